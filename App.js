@@ -20,6 +20,7 @@ import { RecipesScreen } from './src/screens/RecipesScreen';
 import { ShoppingListScreen } from './src/screens/ShoppingListScreen';
 import { SettingsScreen } from './src/screens/SettingsScreen';
 import CategoriesScreen from './src/screens/CategoriesScreen';
+import { ProductCatalogScreen } from './src/screens/ProductCatalogScreen';
 
 // Components
 import { TabIcon } from './src/components/UI';
@@ -42,6 +43,18 @@ function PantryStack() {
   );
 }
 
+/**
+ * Settings stack navigator for the product catalog
+ */
+function SettingsStack() {
+  return (
+    <Stack.Navigator screenOptions={{ headerShown: false }}>
+      <Stack.Screen name="SettingsMain" component={SettingsScreen} />
+      <Stack.Screen name="ProductCatalog" component={ProductCatalogScreen} />
+    </Stack.Navigator>
+  );
+}
+
 /**
  * Main navigation component
  */
@@ -92,7 +105,7 @@ function AppNavigator() {
       />
       <Tab.Screen 
         name="Settings" 
-        component={SettingsScreen}
+        component={SettingsStack}
         options={{ title: 'Indstillinger' }}
       />
     </Tab.Navigator>
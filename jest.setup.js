@@ -0,0 +1,4 @@
+// In-memory AsyncStorage for the storage services under test
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
@@ -0,0 +1,463 @@
+/**
+ * Batch Scan Modal Component - scan a whole grocery bag, then review and add everything at once
+ */
+import React, { useState, useRef } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, ScrollView, Image, Alert, ActivityIndicator, Platform } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { CameraView } from 'expo-camera';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import PropTypes from 'prop-types';
+import * as Haptics from 'expo-haptics';
+
+import { useAppContext } from '../context/AppContext';
+import { lookupProduct } from '../services/productProviders';
+import { saveCatalogProduct } from '../services/productCatalog';
+import { suggestExpiryDate } from '../services/shelfLife';
+import { parseGS1Barcode } from '../utils/gs1';
+import { getProductInfo, suggestCategoryId, suggestQuantity } from '../utils/productInfo';
+import { formatDate, daysBetween } from '../utils/dateUtils';
+import { DATE_TYPES } from '../utils/expiryStatus';
+import { DEFAULT_UNIT, formatQuantity } from '../utils/units';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { PrimaryButton, GhostButton, DeleteButton } from './UI';
+import { CategorySelector } from './CategorySelector';
+
+// The camera reports a code on every frame while it is in view; it must be
+// out of view this long before the same code counts as another package
+const SCAN_COOLDOWN_MS = 2500;
+
+const BARCODE_TYPES = ["qr", "pdf417", "ean13", "ean8", "upc_a", "upc_e", "code128", "code39", "datamatrix"];
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+/**
+ * Batch Entry Structure:
+ * {
+ *   key: string,            // Barcode plus printed expiry date, so packs with different dates stay apart
+ *   barcode: string,
+ *   batch: string,
+ *   count: number,          // Number of packages scanned
+ *   name: string,
+ *   imageUrl: string|null,
+ *   productInfo: Object|null,
+ *   categoryId: string,
+ *   packageQty: {qty, unit}|null,
+ *   expiryDate: Date,
+ *   dateType: string,       // DATE_TYPES key, see utils/expiryStatus
+ *   hasPrintedDate: boolean,
+ *   status: 'loading'|'found'|'unknown'
+ * }
+ */
+
+function getEntryQuantity(entry) {
+  if (!entry.packageQty) {
+    return { qty: entry.count, unit: DEFAULT_UNIT };
+  }
+  return { qty: Math.round(entry.packageQty.qty * entry.count * 1000) / 1000, unit: entry.packageQty.unit };
+}
+
+function CountStepper({ count, onChange }) {
+  const buttonStyle = {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: COLORS.backgroundCard,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    alignItems: 'center',
+    justifyContent: 'center'
+  };
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+      <TouchableOpacity onPress={() => onChange(Math.max(count - 1, 1))} style={buttonStyle}>
+        <Text style={{ fontSize: 16, fontWeight: '700', color: COLORS.primary }}>−</Text>
+      </TouchableOpacity>
+      <Text style={{ fontSize: 15, fontWeight: '700', color: COLORS.textPrimary, minWidth: 20, textAlign: 'center' }}>
+        {count}
+      </Text>
+      <TouchableOpacity onPress={() => onChange(count + 1)} style={buttonStyle}>
+        <Text style={{ fontSize: 16, fontWeight: '700', color: COLORS.primary }}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+export function BatchScanModal({ visible, onClose, onCommit }) {
+  const { categories, settings } = useAppContext();
+  const [phase, setPhase] = useState('scan'); // 'scan' or 'review'
+  const [entries, setEntries] = useState([]);
+  const [datePickerKey, setDatePickerKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const lastSeen = useRef(new Map());
+  const entryKeys = useRef(new Set());
+
+  const totalCount = entries.reduce((sum, entry) => sum + entry.count, 0);
+
+  function updateEntry(key, update) {
+    setEntries(prev => prev.map(entry => (entry.key === key ? { ...entry, ...update(entry) } : entry)));
+  }
+
+  function reset() {
+    setPhase('scan');
+    setEntries([]);
+    setDatePickerKey(null);
+    lastSeen.current.clear();
+    entryKeys.current.clear();
+  }
+
+  // Date for an entry without a printed date: the product's own shelf life or the shelf-life rules
+  function suggestEntryDate(hit, categoryId) {
+    const suggestion = suggestExpiryDate({
+      name: hit?.displayName,
+      categoriesTags: hit?.categoriesTags,
+      category: categories.find(cat => cat.id === categoryId),
+    }, settings.shelfLifeOverrides);
+    return {
+      expiryDate: hit?.shelfLifeDays != null ? daysFromToday(hit.shelfLifeDays) : suggestion.date,
+      dateType: suggestion.dateType,
+    };
+  }
+
+  async function lookupEntry(key, barcode) {
+    let hit = null;
+    try {
+      hit = await lookupProduct(barcode);
+    } catch (error) {
+      console.warn('Batch lookup failed:', error);
+    }
+
+    updateEntry(key, entry => {
+      if (!hit) return { status: 'unknown' };
+      const categoryId = (categories.some(cat => cat.id === hit.categoryId)
+        ? hit.categoryId
+        : suggestCategoryId(hit.categoriesTags, categories)) || entry.categoryId;
+      return {
+        status: 'found',
+        name: entry.name || hit.displayName,
+        imageUrl: hit.imageUrl || null,
+        productInfo: getProductInfo(hit),
+        categoryId,
+        packageQty: suggestQuantity(hit.quantity),
+        ...(entry.hasPrintedDate ? {} : suggestEntryDate(hit, categoryId))
+      };
+    });
+  }
+
+  function handleBarcodeScan({ data }) {
+    const code = String(data);
+    const now = Date.now();
+    const previous = lastSeen.current.get(code);
+    lastSeen.current.set(code, now);
+    if (previous && now - previous < SCAN_COOLDOWN_MS) return;
+
+    // GS1 codes carry the GTIN plus expiry date and batch number
+    const gs1 = parseGS1Barcode(code);
+    const barcode = gs1 ? gs1.barcode : code;
+    const printedDate = gs1?.expiryDate || null;
+    const key = `${barcode}|${printedDate || ''}`;
+
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+
+    if (entryKeys.current.has(key)) {
+      updateEntry(key, entry => ({ count: entry.count + 1 }));
+      return;
+    }
+
+    entryKeys.current.add(key);
+    setEntries(prev => [{
+      key,
+      barcode,
+      batch: gs1?.batch || '',
+      count: 1,
+      name: '',
+      imageUrl: null,
+      productInfo: null,
+      categoryId: 'fridge',
+      packageQty: null,
+      // AI 17 is a use-by date, AI 15 a best-before date
+      ...(printedDate
+        ? { expiryDate: new Date(printedDate + 'T00:00:00'), dateType: gs1.useByDate ? 'useBy' : 'bestBefore' }
+        : suggestEntryDate(null, 'fridge')),
+      hasPrintedDate: !!printedDate,
+      status: 'loading'
+    }, ...prev]);
+    lookupEntry(key, barcode);
+  }
+
+  const handleRemoveEntry = (key) => {
+    entryKeys.current.delete(key);
+    setEntries(prev => prev.filter(entry => entry.key !== key));
+  };
+
+  const handleClose = () => {
+    if (entries.length === 0) {
+      reset();
+      onClose();
+      return;
+    }
+    Alert.alert(
+      'Kassér scanninger',
+      `${totalCount} scannede vare${totalCount !== 1 ? 'r' : ''} er ikke tilføjet endnu.`,
+      [
+        { text: 'Fortsæt', style: 'cancel' },
+        {
+          text: 'Kassér',
+          style: 'destructive',
+          onPress: () => {
+            reset();
+            onClose();
+          }
+        }
+      ]
+    );
+  };
+
+  const handleDateChange = (event, selectedDate) => {
+    const key = datePickerKey;
+    setDatePickerKey(Platform.OS === 'ios' ? key : null);
+    if (event.type === 'set' && selectedDate) {
+      updateEntry(key, () => ({ expiryDate: selectedDate }));
+    }
+  };
+
+  const handleCommit = async () => {
+    if (entries.some(entry => entry.status === 'loading')) {
+      Alert.alert('Vent et øjeblik', 'Nogle varer bliver stadig slået op.');
+      return;
+    }
+    if (entries.some(entry => !entry.name.trim())) {
+      Alert.alert('Manglende navn', 'Giv alle varer et navn, før de tilføjes.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const added = await onCommit(entries.map(entry => ({
+        name: entry.name.trim(),
+        ...getEntryQuantity(entry),
+        expiryDate: formatDate(entry.expiryDate),
+        dateType: entry.dateType,
+        barcode: entry.barcode,
+        batch: entry.batch,
+        categoryId: entry.categoryId,
+        imageUrl: entry.imageUrl,
+        productInfo: entry.productInfo
+      })));
+      if (!added) return;
+
+      // Remember products no lookup source knew, like the single-item form does
+      for (const entry of entries.filter(item => item.status === 'unknown')) {
+        try {
+          await saveCatalogProduct(entry.barcode, {
+            name: entry.name.trim(),
+            categoryId: entry.categoryId,
+            shelfLifeDays: Math.max(daysBetween(new Date(), entry.expiryDate), 0),
+            imageUrl: null
+          });
+        } catch (error) {
+          console.warn('Could not save product to catalog:', error);
+        }
+      }
+
+      reset();
+      onClose();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const datePickerEntry = entries.find(entry => entry.key === datePickerKey);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      onRequestClose={handleClose}
+    >
+      {phase === 'scan' ? (
+        <SafeAreaView style={{ flex: 1, backgroundColor: 'black' }}>
+          <View style={{
+            flexDirection: 'row',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: 20,
+            backgroundColor: 'rgba(0,0,0,0.8)'
+          }}>
+            <TouchableOpacity onPress={handleClose}>
+              <Text style={{ color: '#ef4444', fontSize: 16, fontWeight: '700' }}>✕ Luk</Text>
+            </TouchableOpacity>
+            <Text style={{ color: 'white', fontSize: 18, fontWeight: '600' }}>📦 Batch-scanning</Text>
+            <Text style={{ color: 'white', fontSize: 16, fontWeight: '700', minWidth: 40, textAlign: 'right' }}>
+              {totalCount}
+            </Text>
+          </View>
+
+          <CameraView
+            style={{ flex: 1 }}
+            onBarcodeScanned={visible ? handleBarcodeScan : undefined}
+            barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+          />
+
+          <View style={{ backgroundColor: 'rgba(0,0,0,0.85)', padding: 16 }}>
+            {entries.length === 0 ? (
+              <Text style={{ color: 'rgba(255,255,255,0.7)', textAlign: 'center', fontSize: 14, marginBottom: 12 }}>
+                🎯 Scan varerne én ad gangen. Samme vare to gange tæller op.
+              </Text>
+            ) : (
+              entries.slice(0, 3).map(entry => (
+                <View key={entry.key} style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
+                  {entry.status === 'loading' ? (
+                    <ActivityIndicator size="small" color="white" style={{ marginRight: 8 }} />
+                  ) : (
+                    <Text style={{ fontSize: 16, marginRight: 8 }}>{entry.status === 'found' ? '✅' : '❓'}</Text>
+                  )}
+                  <Text style={{ flex: 1, color: 'white', fontSize: 15 }} numberOfLines={1}>
+                    {entry.name || entry.barcode}
+                  </Text>
+                  <Text style={{ color: 'white', fontSize: 15, fontWeight: '700' }}>× {entry.count}</Text>
+                </View>
+              ))
+            )}
+            <PrimaryButton
+              title={`Gennemse ${totalCount} vare${totalCount !== 1 ? 'r' : ''}`}
+              onPress={() => setPhase('review')}
+              disabled={entries.length === 0}
+              style={{ marginTop: 8 }}
+            />
+          </View>
+        </SafeAreaView>
+      ) : (
+        <SafeAreaView style={{ flex: 1, backgroundColor: COLORS.backgroundLight }}>
+          <View style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingHorizontal: 20,
+            paddingVertical: 12,
+            borderBottomWidth: 1,
+            borderBottomColor: 'rgba(0,0,0,0.05)'
+          }}>
+            <TouchableOpacity onPress={() => setPhase('scan')}>
+              <Text style={{ fontSize: 14, color: COLORS.primary, fontWeight: '600' }}>← Scan flere</Text>
+            </TouchableOpacity>
+            <Text style={[styles.modernTitle, { marginBottom: 0, fontSize: 18 }]}>Gennemse</Text>
+            <View style={{ width: 80 }} />
+          </View>
+
+          <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+            {entries.map(entry => {
+              const { qty, unit } = getEntryQuantity(entry);
+              return (
+                <View key={entry.key} style={[styles.modernCard, { marginBottom: 12 }]}>
+                  <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+                    {entry.imageUrl ? (
+                      <Image source={{ uri: entry.imageUrl }} style={{ width: 40, height: 40, borderRadius: 8, marginRight: 12 }} />
+                    ) : (
+                      <Text style={{ fontSize: 28, marginRight: 12 }}>{entry.status === 'unknown' ? '❓' : '📦'}</Text>
+                    )}
+                    <View style={{ flex: 1 }}>
+                      <TextInput
+                        style={[styles.modernInput, { paddingVertical: 8 }]}
+                        placeholder="Ukendt vare – skriv navnet"
+                        placeholderTextColor="#9ca3af"
+                        value={entry.name}
+                        onChangeText={text => updateEntry(entry.key, () => ({ name: text }))}
+                      />
+                      <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>
+                        {entry.barcode}{entry.batch ? ` · Batch ${entry.batch}` : ''}
+                      </Text>
+                    </View>
+                    <DeleteButton onPress={() => handleRemoveEntry(entry.key)} size="small" style={{ marginLeft: 8 }} />
+                  </View>
+
+                  <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+                    <CountStepper
+                      count={entry.count}
+                      onChange={count => updateEntry(entry.key, () => ({ count }))}
+                    />
+                    <Text style={{ fontSize: 14, color: COLORS.textSecondary }}>{formatQuantity(qty, unit)}</Text>
+                    <TouchableOpacity
+                      onPress={() => setDatePickerKey(entry.key)}
+                      style={{
+                        paddingHorizontal: 12,
+                        paddingVertical: 6,
+                        borderRadius: 8,
+                        borderWidth: 1,
+                        borderColor: COLORS.border,
+                        backgroundColor: COLORS.backgroundCard
+                      }}
+                    >
+                      <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.primary }}>
+                        📅 {entry.expiryDate.toLocaleDateString('da-DK')}
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => updateEntry(entry.key, () => ({ dateType: entry.dateType === 'useBy' ? 'bestBefore' : 'useBy' }))}
+                      style={{
+                        paddingHorizontal: 8,
+                        paddingVertical: 6,
+                        borderRadius: 8,
+                        borderWidth: 1,
+                        borderColor: COLORS.border,
+                        backgroundColor: COLORS.backgroundCard
+                      }}
+                    >
+                      <Text style={{ fontSize: 12, fontWeight: '600', color: COLORS.primary }}>
+                        {DATE_TYPES[entry.dateType].icon} {DATE_TYPES[entry.dateType].shortLabel}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  <CategorySelector
+                    selectedCategoryId={entry.categoryId}
+                    onSelect={categoryId => updateEntry(entry.key, () => ({ categoryId }))}
+                  />
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <View style={{ flexDirection: 'row', gap: 12, padding: 16 }}>
+            <View style={{ flex: 1 }}>
+              <GhostButton title="Annuller" onPress={handleClose} />
+            </View>
+            <View style={{ flex: 2 }}>
+              <PrimaryButton
+                title={`✨ Tilføj ${entries.length} vare${entries.length !== 1 ? 'r' : ''}`}
+                onPress={handleCommit}
+                loading={saving}
+                disabled={entries.length === 0}
+              />
+            </View>
+          </View>
+
+          {datePickerEntry && (
+            <DateTimePicker
+              value={datePickerEntry.expiryDate}
+              mode="date"
+              display="default"
+              onChange={handleDateChange}
+              minimumDate={new Date()}
+            />
+          )}
+        </SafeAreaView>
+      )}
+    </Modal>
+  );
+}
+
+CountStepper.propTypes = {
+  count: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+BatchScanModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCommit: PropTypes.func.isRequired,
+};
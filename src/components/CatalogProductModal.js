@@ -0,0 +1,166 @@
+/**
+ * Catalog Product Modal Component - add or edit a product in the user's own catalog
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Modal, ScrollView, Image, Alert } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { PrimaryButton, GhostButton } from './UI';
+import { CategorySelector } from './CategorySelector';
+
+function FieldLabel({ children }) {
+  return (
+    <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.textPrimary, marginBottom: 6 }}>
+      {children}
+    </Text>
+  );
+}
+
+export function CatalogProductModal({ visible, product, onClose, onSave }) {
+  const [barcode, setBarcode] = useState('');
+  const [name, setName] = useState('');
+  const [categoryId, setCategoryId] = useState('fridge');
+  const [shelfLifeDays, setShelfLifeDays] = useState('');
+  const [imageUrl, setImageUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setBarcode(product?.barcode || '');
+      setName(product?.name || '');
+      setCategoryId(product?.categoryId || 'fridge');
+      setShelfLifeDays(product?.shelfLifeDays != null ? String(product.shelfLifeDays) : '');
+      setImageUrl(product?.imageUrl || '');
+    }
+  }, [visible, product]);
+
+  const handleSave = async () => {
+    if (!barcode.trim() || !name.trim()) {
+      Alert.alert('Manglende felter', 'Udfyld mindst stregkode og navn.');
+      return;
+    }
+    const days = shelfLifeDays.trim() === '' ? null : Number(shelfLifeDays);
+    if (days !== null && (!Number.isInteger(days) || days < 0)) {
+      Alert.alert('Ugyldig holdbarhed', 'Holdbarhed skal være et helt antal dage.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(barcode.trim(), {
+        name: name.trim(),
+        categoryId,
+        shelfLifeDays: days,
+        imageUrl: imageUrl.trim() || null
+      });
+      onClose();
+    } catch (error) {
+      Alert.alert('Fejl', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400, maxHeight: '90%' }]}>
+          <Text style={styles.modernTitle}>{product ? 'Rediger produkt ✏️' : 'Nyt produkt 📒'}</Text>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <View style={styles.inputContainer}>
+              <FieldLabel>Stregkode</FieldLabel>
+              <TextInput
+                style={[styles.modernInput, product && { opacity: 0.6 }]}
+                placeholder="F.eks. 5701234567892"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+                value={barcode}
+                onChangeText={setBarcode}
+                editable={!product}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <FieldLabel>Navn</FieldLabel>
+              <TextInput
+                style={styles.modernInput}
+                placeholder="Produktnavn"
+                placeholderTextColor="#9ca3af"
+                value={name}
+                onChangeText={setName}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <FieldLabel>Standardkategori</FieldLabel>
+              <CategorySelector selectedCategoryId={categoryId} onSelect={setCategoryId} />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <FieldLabel>Holdbarhed (dage)</FieldLabel>
+              <TextInput
+                style={styles.modernInput}
+                placeholder="Valgfrit"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+                value={shelfLifeDays}
+                onChangeText={setShelfLifeDays}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <FieldLabel>Billede (URL)</FieldLabel>
+              <TextInput
+                style={styles.modernInput}
+                placeholder="Valgfrit"
+                placeholderTextColor="#9ca3af"
+                autoCapitalize="none"
+                keyboardType="url"
+                value={imageUrl}
+                onChangeText={setImageUrl}
+              />
+            </View>
+
+            {imageUrl.trim() ? (
+              <Image source={{ uri: imageUrl.trim() }} style={styles.productImage} />
+            ) : null}
+          </ScrollView>
+
+          <View style={{ flexDirection: 'row', gap: 12, marginTop: 12 }}>
+            <View style={{ flex: 1 }}>
+              <GhostButton title="Annuller" onPress={onClose} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <PrimaryButton title="Gem" onPress={handleSave} loading={saving} />
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+FieldLabel.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+CatalogProductModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  product: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
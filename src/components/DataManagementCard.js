@@ -0,0 +1,215 @@
+/**
+ * Data Management Card Component - backup and CSV export and import
+ */
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Alert, Share } from 'react-native';
+import * as Haptics from 'expo-haptics';
+
+import { useAppContext } from '../context/AppContext';
+import { exportBackupAsText, parseBackup } from '../services/backupService';
+import { CSV_COLUMNS, CSV_FORMATS, exportItemsAsCSV, parseItemsCSV } from '../services/csvService';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { ImportTextModal } from './ImportTextModal';
+
+// Number of row errors listed in the CSV import preview
+const MAX_LISTED_ERRORS = 5;
+
+function CardButton({ title, onPress, color = COLORS.primary }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        flex: 1,
+        backgroundColor: color,
+        paddingVertical: 14,
+        paddingHorizontal: 12,
+        borderRadius: 12,
+        alignItems: 'center'
+      }}
+    >
+      <Text style={{ color: 'white', fontSize: 14, fontWeight: '700' }}>{title}</Text>
+    </TouchableOpacity>
+  );
+}
+
+export function DataManagementCard() {
+  const { items, categories, addItems, restoreFromBackup } = useAppContext();
+  const [backupModalVisible, setBackupModalVisible] = useState(false);
+  const [csvModalVisible, setCsvModalVisible] = useState(false);
+
+  const handleExportBackup = async () => {
+    try {
+      const text = await exportBackupAsText();
+      await Share.share({ title: 'FooGood backup', message: text });
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      Alert.alert('Fejl', 'Kunne ikke lave backup');
+    }
+  };
+
+  const handleRestore = async (backup, mode) => {
+    try {
+      await restoreFromBackup(backup, mode);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert('✅ Gendannet', mode === 'replace'
+        ? 'Dine data er erstattet med backuppen.'
+        : 'Backuppen er flettet med dine data.');
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Fejl', 'Kunne ikke gendanne backup');
+    }
+  };
+
+  const handleImportBackup = (text) => {
+    let parsed;
+    try {
+      parsed = parseBackup(text);
+    } catch (error) {
+      Alert.alert('Ugyldig backup', error.message);
+      return;
+    }
+
+    setBackupModalVisible(false);
+    const { backup, counts } = parsed;
+    Alert.alert(
+      'Gendan backup',
+      `Backup fra ${new Date(backup.exportedAt).toLocaleDateString('da-DK')}:\n\n` +
+      `🏠 ${counts.items} varer\n` +
+      `📂 ${counts.categories} kategorier\n` +
+      `🛒 ${counts.shoppingList} på indkøbslisten\n` +
+      `📒 ${counts.productCatalog} produkter i kataloget\n` +
+      `📊 ${counts.history} historik-registreringer\n\n` +
+      'Flet beholder dine nuværende data og tilføjer det nye. Erstat sletter dine nuværende data.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        { text: 'Flet', onPress: () => handleRestore(backup, 'merge') },
+        { text: 'Erstat', style: 'destructive', onPress: () => handleRestore(backup, 'replace') }
+      ]
+    );
+  };
+
+  const shareCSV = async (format) => {
+    try {
+      await Share.share({ title: 'FooGood varer.csv', message: exportItemsAsCSV(items, categories, format) });
+    } catch (error) {
+      console.error('Error exporting CSV:', error);
+      Alert.alert('Fejl', 'Kunne ikke eksportere varer');
+    }
+  };
+
+  const handleExportCSV = () => {
+    if (items.length === 0) {
+      Alert.alert('Ingen varer', 'Der er ingen varer at eksportere.');
+      return;
+    }
+    Alert.alert(
+      'Eksportér CSV',
+      'Dansk Excel læser semikolon og decimalkomma. Vælg Standard til andre programmer.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        { text: CSV_FORMATS.standard.label, onPress: () => shareCSV(CSV_FORMATS.standard) },
+        { text: CSV_FORMATS.excel.label, onPress: () => shareCSV(CSV_FORMATS.excel) }
+      ]
+    );
+  };
+
+  const handleImportCSV = (text) => {
+    let parsed;
+    try {
+      parsed = parseItemsCSV(text, categories);
+    } catch (error) {
+      Alert.alert('Ugyldig CSV', error.message);
+      return;
+    }
+
+    const { items: importedItems, errors, columns } = parsed;
+    const columnNames = CSV_COLUMNS
+      .filter(column => columns.includes(column.field))
+      .map(column => column.header);
+    const errorLines = errors
+      .slice(0, MAX_LISTED_ERRORS)
+      .map(error => `Række ${error.row}: ${error.message}`);
+    if (errors.length > MAX_LISTED_ERRORS) {
+      errorLines.push(`... og ${errors.length - MAX_LISTED_ERRORS} flere`);
+    }
+    const errorText = errors.length > 0
+      ? `\n\n⚠️ ${errors.length} række${errors.length !== 1 ? 'r' : ''} springes over:\n${errorLines.join('\n')}`
+      : '';
+
+    if (importedItems.length === 0) {
+      Alert.alert('Ingen varer importeret', `Ingen rækker kunne læses.${errorText}`);
+      return;
+    }
+
+    setCsvModalVisible(false);
+    Alert.alert(
+      'Importér varer',
+      `${importedItems.length} vare${importedItems.length !== 1 ? 'r' : ''} klar til import.\n` +
+      `Kolonner fundet: ${columnNames.join(', ')}${errorText}`,
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Importér',
+          onPress: async () => {
+            const added = await addItems(importedItems);
+            if (added > 0) {
+              Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+              Alert.alert('✅ Importeret', `${added} vare${added !== 1 ? 'r' : ''} er tilføjet.`);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>💾</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Data
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Flyt dine data til en ny telefon
+          </Text>
+        </View>
+      </View>
+
+      <Text style={{ color: COLORS.textSecondary, marginBottom: 12, fontSize: 14, lineHeight: 20 }}>
+        Backuppen indeholder varer, kategorier, indkøbsliste, historik og indstillinger.
+      </Text>
+      <View style={{ flexDirection: 'row', gap: 12 }}>
+        <CardButton title="📤 Eksportér backup" onPress={handleExportBackup} />
+        <CardButton title="📥 Gendan backup" onPress={() => setBackupModalVisible(true)} color={COLORS.success} />
+      </View>
+
+      <Text style={{ color: COLORS.textSecondary, marginTop: 20, marginBottom: 12, fontSize: 14, lineHeight: 20 }}>
+        Regneark (CSV) med kolonnerne Navn, Antal, Enhed, Udløbsdato, Datotype, Kategori og Stregkode, adskilt af komma eller semikolon.
+      </Text>
+      <View style={{ flexDirection: 'row', gap: 12 }}>
+        <CardButton title="📤 Eksportér CSV" onPress={handleExportCSV} />
+        <CardButton title="📥 Importér CSV" onPress={() => setCsvModalVisible(true)} color={COLORS.success} />
+      </View>
+
+      <ImportTextModal
+        visible={backupModalVisible}
+        title="Gendan backup"
+        description="Indsæt indholdet af en FooGood backup."
+        placeholder='{"type": "foogood-backup", ...}'
+        onClose={() => setBackupModalVisible(false)}
+        onSubmit={handleImportBackup}
+      />
+
+      <ImportTextModal
+        visible={csvModalVisible}
+        title="Importér CSV"
+        description="Indsæt rækkerne fra dit regneark. Første linje skal være kolonnenavne; Navn og Udløbsdato er påkrævet."
+        placeholder={'Navn,Antal,Udløbsdato,Kategori\nLasagne,2,2025-12-01,Fryser'}
+        onClose={() => setCsvModalVisible(false)}
+        onSubmit={handleImportCSV}
+      />
+    </View>
+  );
+}
@@ -6,6 +6,8 @@ import { View, Text, TextInput, Modal, TouchableOpacity, ScrollView, Alert } fro
 import { COLORS } from '../utils/theme';
 import { styles } from '../styles/styles';
 import { PrimaryButton, GhostButton } from './UI';
+import { ReminderOffsetPicker } from './ReminderOffsetPicker';
+import { WarningDaysPicker } from './WarningDaysPicker';
 
 // Common category icons to choose from
 const CATEGORY_ICONS = [
@@ -17,11 +19,15 @@ const CATEGORY_ICONS = [
 export function EditCategoryModal({ visible, category, onClose, onUpdate }) {
   const [categoryName, setCategoryName] = useState('');
   const [selectedIcon, setSelectedIcon] = useState('📦');
+  const [reminderOffsets, setReminderOffsets] = useState(null);
+  const [warningDays, setWarningDays] = useState(null);
 
   useEffect(() => {
     if (category) {
       setCategoryName(category.name);
       setSelectedIcon(category.icon);
+      setReminderOffsets(category.reminderOffsets || null);
+      setWarningDays(category.warningDays ?? null);
     }
   }, [category]);
 
@@ -33,7 +39,9 @@ export function EditCategoryModal({ visible, category, onClose, onUpdate }) {
 
     onUpdate(category.id, {
       name: categoryName.trim(),
-      icon: selectedIcon
+      icon: selectedIcon,
+      reminderOffsets,
+      warningDays
     });
 
     onClose();
@@ -43,6 +51,8 @@ export function EditCategoryModal({ visible, category, onClose, onUpdate }) {
     if (category) {
       setCategoryName(category.name);
       setSelectedIcon(category.icon);
+      setReminderOffsets(category.reminderOffsets || null);
+      setWarningDays(category.warningDays ?? null);
     }
     onClose();
   };
@@ -111,6 +121,28 @@ export function EditCategoryModal({ visible, category, onClose, onUpdate }) {
             ))}
           </ScrollView>
 
+          {/* Reminder offsets */}
+          <Text style={[styles.modernSubtitle, { fontSize: 16, marginBottom: 12 }]}>
+            Påmindelser:
+          </Text>
+          <ReminderOffsetPicker
+            value={reminderOffsets}
+            onChange={setReminderOffsets}
+            inheritLabel="Standard"
+            style={{ marginBottom: 20 }}
+          />
+
+          {/* Expiring soon window */}
+          <Text style={[styles.modernSubtitle, { fontSize: 16, marginBottom: 12 }]}>
+            Udløber snart:
+          </Text>
+          <WarningDaysPicker
+            value={warningDays}
+            onChange={setWarningDays}
+            inheritLabel="Standard"
+            style={{ marginBottom: 20 }}
+          />
+
           {/* Preview */}
           <View style={{
             flexDirection: 'row',
@@ -0,0 +1,242 @@
+/**
+ * Expired Items Section Component - select expired items and discard or extend them together
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, Alert } from 'react-native';
+import PropTypes from 'prop-types';
+import * as Haptics from 'expo-haptics';
+
+import { useAppContext } from '../context/AppContext';
+import { getEffectiveExpiryDate } from '../utils/dateUtils';
+import { DATE_TYPES } from '../utils/expiryStatus';
+import { formatQuantity, getItemUnit } from '../utils/units';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { PrimaryButton, GhostButton, StatusBadge } from './UI';
+
+// Days a "still good" item can be given
+const EXTEND_OPTIONS = [1, 2, 3, 7];
+
+function Checkbox({ checked }) {
+  return (
+    <View style={{
+      width: 22,
+      height: 22,
+      borderRadius: 6,
+      borderWidth: 2,
+      borderColor: checked ? COLORS.primary : COLORS.border,
+      backgroundColor: checked ? COLORS.primary : COLORS.backgroundCard,
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginRight: 12
+    }}>
+      {checked && <Text style={{ color: COLORS.textLight, fontSize: 13, fontWeight: '800' }}>✓</Text>}
+    </View>
+  );
+}
+
+export function ExpiredItemsSection({ entries }) {
+  const { categories, discardItems, extendItems } = useAppContext();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [extendModalVisible, setExtendModalVisible] = useState(false);
+  const [extendDays, setExtendDays] = useState(EXTEND_OPTIONS[1]);
+  const [working, setWorking] = useState(false);
+
+  // Drop selections for items that have left the list
+  useEffect(() => {
+    setSelectedIds(prev => prev.filter(id => entries.some(({ item }) => item.id === id)));
+  }, [entries]);
+
+  const allSelected = entries.length > 0 && selectedIds.length === entries.length;
+  const selectedCount = selectedIds.length;
+
+  const toggleItem = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : entries.map(({ item }) => item.id));
+  };
+
+  const handleDiscard = () => {
+    Alert.alert(
+      'Smid ud',
+      `${selectedCount} vare${selectedCount !== 1 ? 'r' : ''} registreres som smidt ud og fjernes fra pantry.`,
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Smid ud',
+          style: 'destructive',
+          onPress: async () => {
+            setWorking(true);
+            try {
+              await discardItems(selectedIds);
+              Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+              setSelectedIds([]);
+            } finally {
+              setWorking(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleExtend = async () => {
+    setWorking(true);
+    try {
+      await extendItems(selectedIds, extendDays);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setSelectedIds([]);
+      setExtendModalVisible(false);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <View style={{ marginBottom: 20 }}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+        <Text style={[styles.modernTitle, { fontSize: 18, marginBottom: 0, textAlign: 'left' }]}>
+          🗑️ Udløbet ({entries.length})
+        </Text>
+        <TouchableOpacity onPress={toggleAll}>
+          <Text style={{ color: COLORS.primary, fontSize: 14, fontWeight: '600' }}>
+            {allSelected ? 'Fravælg alle' : 'Vælg alle'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {entries.map(({ item, status }) => {
+        const category = categories.find(c => c.id === item.categoryId);
+        const checked = selectedIds.includes(item.id);
+        return (
+          <TouchableOpacity
+            key={item.id}
+            onPress={() => toggleItem(item.id)}
+            style={[styles.modernItemCard, {
+              backgroundColor: COLORS.backgroundCard,
+              borderLeftWidth: 4,
+              borderLeftColor: status.color,
+              marginBottom: 8
+            }]}
+          >
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <Checkbox checked={checked} />
+              <Text style={{ fontSize: 20, marginRight: 8 }}>{category?.icon || '📦'}</Text>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.itemName}>{item.name}</Text>
+                <Text style={styles.itemExpiry}>
+                  {DATE_TYPES[status.dateType].label}: {new Date(getEffectiveExpiryDate(item)).toLocaleDateString('da-DK')}
+                </Text>
+                <Text style={[styles.itemQty, { color: status.color, fontSize: 12, fontWeight: '600' }]}>
+                  {status.hint}
+                </Text>
+              </View>
+              <View style={{ alignItems: 'flex-end', gap: 4 }}>
+                <StatusBadge daysLeft={status.daysLeft} dateType={status.dateType} warningDays={status.warningDays} />
+                <Text style={{ fontSize: 12, color: COLORS.textSecondary }}>
+                  {formatQuantity(item.qty, getItemUnit(item))}
+                </Text>
+              </View>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+
+      {selectedCount > 0 && (
+        <View style={{ flexDirection: 'row', gap: 12, marginTop: 8 }}>
+          <View style={{ flex: 1 }}>
+            <GhostButton
+              title={`🗑️ Smid ud (${selectedCount})`}
+              onPress={handleDiscard}
+              disabled={working}
+            />
+          </View>
+          <View style={{ flex: 1 }}>
+            <PrimaryButton
+              title={`⏳ Stadig god (${selectedCount})`}
+              onPress={() => setExtendModalVisible(true)}
+              disabled={working}
+            />
+          </View>
+        </View>
+      )}
+
+      <Modal
+        visible={extendModalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setExtendModalVisible(false)}
+      >
+        <View style={{
+          flex: 1,
+          backgroundColor: 'rgba(0,0,0,0.5)',
+          justifyContent: 'center',
+          alignItems: 'center',
+          padding: 20
+        }}>
+          <View style={[styles.modernCard, { width: '100%', maxWidth: 400 }]}>
+            <Text style={styles.modernTitle}>Stadig god</Text>
+            <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16 }}>
+              Hvor mange dage fra i dag holder {selectedCount === 1 ? 'varen' : `de ${selectedCount} varer`}?
+            </Text>
+
+            <View style={{ flexDirection: 'row', gap: 8, marginBottom: 20 }}>
+              {EXTEND_OPTIONS.map(days => (
+                <TouchableOpacity
+                  key={days}
+                  onPress={() => setExtendDays(days)}
+                  style={{
+                    flex: 1,
+                    paddingVertical: 10,
+                    borderRadius: 8,
+                    alignItems: 'center',
+                    backgroundColor: extendDays === days ? COLORS.primary : COLORS.backgroundCard,
+                    borderWidth: 1,
+                    borderColor: extendDays === days ? COLORS.primary : COLORS.border
+                  }}
+                >
+                  <Text style={{
+                    color: extendDays === days ? COLORS.textLight : COLORS.textPrimary,
+                    fontWeight: '600',
+                    fontSize: 14
+                  }}>
+                    {days} dag{days !== 1 ? 'e' : ''}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={{ flexDirection: 'row', gap: 12 }}>
+              <View style={{ flex: 1 }}>
+                <GhostButton
+                  title="Annuller"
+                  onPress={() => setExtendModalVisible(false)}
+                />
+              </View>
+              <View style={{ flex: 1 }}>
+                <PrimaryButton
+                  title="Forlæng"
+                  onPress={handleExtend}
+                  loading={working}
+                />
+              </View>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+Checkbox.propTypes = {
+  checked: PropTypes.bool.isRequired,
+};
+
+ExpiredItemsSection.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    item: PropTypes.object.isRequired,
+    status: PropTypes.object.isRequired,
+  })).isRequired,
+};
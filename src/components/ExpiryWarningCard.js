@@ -0,0 +1,47 @@
+/**
+ * Expiry Warning Card Component - how many days ahead items count as expiring soon
+ */
+import React from 'react';
+import { View, Text } from 'react-native';
+
+import { useAppContext } from '../context/AppContext';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { WarningDaysPicker } from './WarningDaysPicker';
+
+export function ExpiryWarningCard() {
+  const { settings, categories, updateSettings } = useAppContext();
+  const ownWindows = categories.filter(category => Number.isInteger(category.warningDays));
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>⏰</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Udløber snart
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Kategorier kan have deres eget antal dage
+          </Text>
+        </View>
+      </View>
+
+      <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.textPrimary, marginBottom: 8 }}>
+        Vis varer som udløber snart
+      </Text>
+      <WarningDaysPicker
+        value={settings.expiryWarningDays}
+        onChange={days => updateSettings({ expiryWarningDays: days }).catch(() => {})}
+      />
+      <Text style={{ color: COLORS.textSecondary, fontSize: 12, marginTop: 8, lineHeight: 18 }}>
+        Varer med bedst før-dato vises en dag senere end varer med sidste anvendelsesdag.
+      </Text>
+      {ownWindows.length > 0 && (
+        <Text style={{ color: COLORS.textSecondary, fontSize: 12, marginTop: 8 }}>
+          Egne indstillinger: {ownWindows.map(category => `${category.icon} ${category.name} (${category.warningDays} d.)`).join(', ')}
+        </Text>
+      )}
+    </View>
+  );
+}
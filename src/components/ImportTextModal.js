@@ -0,0 +1,86 @@
+/**
+ * Import Text Modal Component - paste exported text (backup JSON, CSV) to import it
+ */
+import React, { useState } from 'react';
+import { View, Text, TextInput, Modal, Alert } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { PrimaryButton, GhostButton } from './UI';
+
+export function ImportTextModal({ visible, title, description, placeholder, onClose, onSubmit }) {
+  const [text, setText] = useState('');
+
+  const handleSubmit = () => {
+    if (!text.trim()) {
+      Alert.alert('Fejl', 'Indsæt venligst indholdet der skal importeres');
+      return;
+    }
+
+    onSubmit(text);
+    setText('');
+  };
+
+  const handleCancel = () => {
+    setText('');
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={handleCancel}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400 }]}>
+          <Text style={[styles.modernTitle, { marginBottom: 8 }]}>{title}</Text>
+          {description && (
+            <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16, fontSize: 14 }}>
+              {description}
+            </Text>
+          )}
+
+          <View style={styles.inputContainer}>
+            <TextInput
+              style={[styles.modernInput, { height: 200, textAlignVertical: 'top', fontSize: 12 }]}
+              placeholder={placeholder}
+              placeholderTextColor="#9ca3af"
+              value={text}
+              onChangeText={setText}
+              multiline={true}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+
+          <View style={{ flexDirection: 'row', gap: 12 }}>
+            <View style={{ flex: 1 }}>
+              <GhostButton title="Annuller" onPress={handleCancel} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <PrimaryButton title="Importér" onPress={handleSubmit} />
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+ImportTextModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  placeholder: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+};
@@ -0,0 +1,107 @@
+/**
+ * Notification Debug Card Component - shows what the notification reconciler changed
+ */
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+
+import { useAppContext } from '../context/AppContext';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+
+const CANCEL_REASONS = {
+  orphan: 'Uden vare',
+  duplicate: 'Dublet',
+  stale: 'Forældet',
+};
+
+function ReportRow({ label, value }) {
+  return (
+    <View style={{ flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 4 }}>
+      <Text style={{ color: COLORS.textSecondary, fontSize: 14 }}>{label}</Text>
+      <Text style={{ color: COLORS.textPrimary, fontSize: 14, fontWeight: '600' }}>{value}</Text>
+    </View>
+  );
+}
+
+export function NotificationDebugCard() {
+  const { notificationReport, reconcileNow } = useAppContext();
+  const [running, setRunning] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      await reconcileNow();
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const report = notificationReport;
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <TouchableOpacity
+        onPress={() => setExpanded(!expanded)}
+        style={{ flexDirection: 'row', alignItems: 'center' }}
+      >
+        <Text style={{ fontSize: 32, marginRight: 12 }}>🛠️</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Notifikationskontrol
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            {report
+              ? `Sidst kørt ${new Date(report.ranAt).toLocaleString('da-DK')}`
+              : 'Ikke kørt endnu'}
+          </Text>
+        </View>
+        <Text style={{ color: COLORS.textSecondary, fontSize: 18 }}>{expanded ? '▲' : '▼'}</Text>
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={{ marginTop: 16 }}>
+          {report && (
+            <>
+              <ReportRow label="Planlagt før" value={report.scheduledBefore} />
+              <ReportRow label="Planlagt efter" value={report.scheduledAfter} />
+              <ReportRow label="Annulleret" value={report.cancelled.length} />
+              <ReportRow label="Varer genplanlagt" value={report.rescheduled.length} />
+              <ReportRow label="Glemte ID'er fjernet" value={report.forgottenIds} />
+
+              {report.cancelled.map(entry => (
+                <Text key={entry.id} style={{ color: COLORS.textSecondary, fontSize: 12, marginTop: 6 }}>
+                  ✕ {CANCEL_REASONS[entry.reason] || entry.reason}: {entry.body || entry.title || entry.id}
+                </Text>
+              ))}
+              {report.rescheduled.map(entry => (
+                <Text key={entry.itemId} style={{ color: COLORS.textSecondary, fontSize: 12, marginTop: 6 }}>
+                  ↻ {entry.name}: {entry.count} påmindelse{entry.count !== 1 ? 'r' : ''}
+                </Text>
+              ))}
+            </>
+          )}
+
+          <TouchableOpacity
+            onPress={handleRun}
+            disabled={running}
+            style={{
+              backgroundColor: COLORS.primary,
+              paddingVertical: 12,
+              borderRadius: 12,
+              alignItems: 'center',
+              marginTop: 16,
+              opacity: running ? 0.6 : 1
+            }}
+          >
+            {running ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={{ color: 'white', fontSize: 14, fontWeight: '700' }}>Kør kontrol nu</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
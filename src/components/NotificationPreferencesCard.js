@@ -0,0 +1,147 @@
+/**
+ * Notification Preferences Card Component - master switch, sound, badge and quiet hours
+ */
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Alert, Platform } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import PropTypes from 'prop-types';
+
+import { useAppContext } from '../context/AppContext';
+import { ensureNotificationPermission, sendTestNotification } from '../services/notifications';
+import { timeOfDayToDate, formatTimeOfDay } from '../utils/dateUtils';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { SwitchRow } from './UI';
+
+function TimeButton({ time, onPress, disabled }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      disabled={disabled}
+      style={{
+        paddingHorizontal: 14,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: COLORS.backgroundCard,
+        borderWidth: 1,
+        borderColor: COLORS.border
+      }}
+    >
+      <Text style={{ fontSize: 15, fontWeight: '700', color: COLORS.primary }}>{time}</Text>
+    </TouchableOpacity>
+  );
+}
+
+export function NotificationPreferencesCard() {
+  const { settings, updateSettings } = useAppContext();
+  // 'start' or 'end' while the quiet hours time picker is open
+  const [editingQuietTime, setEditingQuietTime] = useState(null);
+  const notificationSettings = settings.notifications;
+  const { enabled, sound, badge, quietHours } = notificationSettings;
+
+  const updateNotifications = updates => updateSettings({ notifications: updates }).catch(() => {});
+
+  const handleToggleEnabled = async (value) => {
+    if (value && !(await ensureNotificationPermission())) {
+      Alert.alert('Tilladelse mangler', 'Giv FooGood lov til at sende notifikationer i telefonens indstillinger.');
+      return;
+    }
+    updateNotifications({ enabled: value });
+  };
+
+  const handleQuietTimeChange = (event, selectedDate) => {
+    const key = editingQuietTime;
+    setEditingQuietTime(Platform.OS === 'ios' ? key : null);
+    if (event.type === 'set' && selectedDate) {
+      updateNotifications({ quietHours: { ...quietHours, [key]: formatTimeOfDay(selectedDate) } });
+    }
+  };
+
+  const handleTest = async () => {
+    const sent = await sendTestNotification(notificationSettings);
+    if (!sent) {
+      Alert.alert('Fejl', 'Kunne ikke sende testnotifikation. Tjek at FooGood må sende notifikationer.');
+    }
+  };
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>📣</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Notifikationer
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Hvordan og hvornår FooGood må forstyrre
+          </Text>
+        </View>
+      </View>
+
+      <SwitchRow
+        label="Send notifikationer"
+        value={enabled}
+        onValueChange={handleToggleEnabled}
+      />
+      <SwitchRow
+        label="Lyd"
+        value={sound}
+        onValueChange={value => updateNotifications({ sound: value })}
+        disabled={!enabled}
+      />
+      <SwitchRow
+        label="Tal på app-ikonet"
+        description="Antal varer der udløber snart"
+        value={badge}
+        onValueChange={value => updateNotifications({ badge: value })}
+        disabled={!enabled}
+      />
+      <SwitchRow
+        label="Stille timer"
+        description="Notifikationer venter til de stille timer er slut"
+        value={quietHours.enabled}
+        onValueChange={value => updateNotifications({ quietHours: { ...quietHours, enabled: value } })}
+        disabled={!enabled}
+      />
+      {quietHours.enabled && (
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, paddingBottom: 10 }}>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 14 }}>Fra</Text>
+          <TimeButton time={quietHours.start} onPress={() => setEditingQuietTime('start')} disabled={!enabled} />
+          <Text style={{ color: COLORS.textSecondary, fontSize: 14 }}>til</Text>
+          <TimeButton time={quietHours.end} onPress={() => setEditingQuietTime('end')} disabled={!enabled} />
+        </View>
+      )}
+
+      {editingQuietTime && (
+        <DateTimePicker
+          value={timeOfDayToDate(quietHours[editingQuietTime])}
+          mode="time"
+          is24Hour={true}
+          display="default"
+          onChange={handleQuietTimeChange}
+        />
+      )}
+
+      <TouchableOpacity
+        onPress={handleTest}
+        disabled={!enabled}
+        style={{
+          backgroundColor: COLORS.primary,
+          paddingVertical: 12,
+          borderRadius: 12,
+          alignItems: 'center',
+          marginTop: 8,
+          opacity: enabled ? 1 : 0.5
+        }}
+      >
+        <Text style={{ color: 'white', fontSize: 14, fontWeight: '700' }}>🔔 Send testnotifikation</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+TimeButton.propTypes = {
+  time: PropTypes.string.isRequired,
+  onPress: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
@@ -0,0 +1,199 @@
+/**
+ * Pantry List Controls Component - search box, filters and sort order for the pantry list
+ */
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { useAppContext } from '../context/AppContext';
+import {
+  STATUS_FILTERS,
+  OPENED_FILTERS,
+  BARCODE_FILTERS,
+  SORT_OPTIONS,
+  countActiveFilters
+} from '../utils/pantryList';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+
+function FilterChip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        marginRight: 6,
+        backgroundColor: selected ? COLORS.primary : COLORS.backgroundCard,
+        borderWidth: 1,
+        borderColor: selected ? COLORS.primary : COLORS.border
+      }}
+    >
+      <Text style={{
+        color: selected ? COLORS.textLight : COLORS.textPrimary,
+        fontWeight: '600',
+        fontSize: 13
+      }}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+// One labelled row of chips; the "Alle" chip clears the filter
+function FilterRow({ title, options, value, onChange, allLabel }) {
+  return (
+    <View style={{ marginBottom: 10 }}>
+      <Text style={{ fontSize: 12, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 6 }}>
+        {title}
+      </Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {allLabel && (
+          <FilterChip label={allLabel} selected={value == null} onPress={() => onChange(null)} />
+        )}
+        {options.map(option => (
+          <FilterChip
+            key={option.key}
+            label={option.label}
+            selected={value === option.key}
+            onPress={() => onChange(option.key)}
+          />
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+function toOptions(filters) {
+  return Object.entries(filters).map(([key, { label }]) => ({ key, label }));
+}
+
+export function PantryListControls({ query, onQueryChange, filters, onFiltersChange, showCategoryFilter, resultCount, totalCount }) {
+  const { categories } = useAppContext();
+  const [expanded, setExpanded] = useState(false);
+  const activeCount = countActiveFilters(showCategoryFilter ? filters : { ...filters, categoryId: null });
+
+  // Clear the filters shown, keeping the sort order
+  const resetFilters = () => {
+    const cleared = { status: null, opened: null, barcode: null };
+    onFiltersChange(showCategoryFilter ? { ...cleared, categoryId: null } : cleared);
+  };
+
+  return (
+    <View style={{ marginTop: 8, marginBottom: 12 }}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
+        <View style={{ flex: 1 }}>
+          <TextInput
+            style={[styles.modernInput, { paddingVertical: 10, paddingHorizontal: 14, fontSize: 15 }]}
+            value={query}
+            onChangeText={onQueryChange}
+            placeholder="🔍 Søg efter vare"
+            placeholderTextColor="#9ca3af"
+            autoCorrect={false}
+            clearButtonMode="while-editing"
+          />
+        </View>
+        <TouchableOpacity
+          onPress={() => setExpanded(prev => !prev)}
+          style={{
+            paddingHorizontal: 12,
+            paddingVertical: 12,
+            borderRadius: 12,
+            backgroundColor: activeCount > 0 || expanded ? COLORS.primary : COLORS.backgroundCard,
+            borderWidth: 1,
+            borderColor: activeCount > 0 || expanded ? COLORS.primary : COLORS.border
+          }}
+        >
+          <Text style={{
+            color: activeCount > 0 || expanded ? COLORS.textLight : COLORS.textPrimary,
+            fontWeight: '600',
+            fontSize: 14
+          }}>
+            ⚙️ Filtre{activeCount > 0 ? ` (${activeCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {expanded && (
+        <View style={[styles.modernCard, { marginTop: 10, marginBottom: 0, padding: 14 }]}>
+          {showCategoryFilter && (
+            <FilterRow
+              title="Kategori"
+              allLabel="Alle"
+              options={categories.map(category => ({ key: category.id, label: `${category.icon} ${category.name}` }))}
+              value={filters.categoryId}
+              onChange={categoryId => onFiltersChange({ categoryId })}
+            />
+          )}
+          <FilterRow
+            title="Status"
+            allLabel="Alle"
+            options={toOptions(STATUS_FILTERS)}
+            value={filters.status}
+            onChange={status => onFiltersChange({ status })}
+          />
+          <FilterRow
+            title="Åbnet"
+            allLabel="Alle"
+            options={toOptions(OPENED_FILTERS)}
+            value={filters.opened}
+            onChange={opened => onFiltersChange({ opened })}
+          />
+          <FilterRow
+            title="Stregkode"
+            allLabel="Alle"
+            options={toOptions(BARCODE_FILTERS)}
+            value={filters.barcode}
+            onChange={barcode => onFiltersChange({ barcode })}
+          />
+          <FilterRow
+            title="Sortér efter"
+            options={toOptions(SORT_OPTIONS)}
+            value={filters.sortBy}
+            onChange={sortBy => onFiltersChange({ sortBy })}
+          />
+          {activeCount > 0 && (
+            <TouchableOpacity onPress={resetFilters} style={{ alignSelf: 'flex-start', paddingVertical: 4 }}>
+              <Text style={{ color: COLORS.primary, fontSize: 14, fontWeight: '600' }}>Nulstil filtre</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <Text style={{ color: COLORS.textSecondary, fontSize: 13, marginTop: 10 }}>
+        {resultCount === totalCount
+          ? `${totalCount} vare${totalCount !== 1 ? 'r' : ''}`
+          : `${resultCount} af ${totalCount} varer`}
+        {' · '}sorteret efter {SORT_OPTIONS[filters.sortBy]?.label.toLowerCase()}
+      </Text>
+    </View>
+  );
+}
+
+FilterChip.propTypes = {
+  label: PropTypes.string.isRequired,
+  selected: PropTypes.bool.isRequired,
+  onPress: PropTypes.func.isRequired,
+};
+
+FilterRow.propTypes = {
+  title: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+  })).isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  allLabel: PropTypes.string,
+};
+
+PantryListControls.propTypes = {
+  query: PropTypes.string.isRequired,
+  onQueryChange: PropTypes.func.isRequired,
+  filters: PropTypes.object.isRequired,
+  onFiltersChange: PropTypes.func.isRequired,
+  showCategoryFilter: PropTypes.bool,
+  resultCount: PropTypes.number.isRequired,
+  totalCount: PropTypes.number.isRequired,
+};
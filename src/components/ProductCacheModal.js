@@ -0,0 +1,139 @@
+/**
+ * Product Cache Modal Component - browse and clear cached barcode lookups
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, ScrollView, Image, Alert, ActivityIndicator } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { listCachedProducts, removeCachedProduct, clearProductCache, PRODUCT_CACHE_TTL_DAYS } from '../services/productCache';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { GhostButton, DeleteButton } from './UI';
+
+export function ProductCacheModal({ visible, onClose, onChange }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      refresh();
+    }
+  }, [visible]);
+
+  async function refresh() {
+    setLoading(true);
+    try {
+      const cached = await listCachedProducts();
+      setEntries(cached);
+      onChange?.(cached.length);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const handleRemove = async (barcode) => {
+    await removeCachedProduct(barcode);
+    refresh();
+  };
+
+  const handleClear = () => {
+    Alert.alert(
+      'Ryd produkt-cache',
+      'Alle gemte produktopslag slettes. Næste scanning af hver vare kræver internet.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Ryd',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await clearProductCache();
+              refresh();
+            } catch (error) {
+              Alert.alert('Fejl', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400, maxHeight: '85%' }]}>
+          <Text style={[styles.modernTitle, { marginBottom: 8 }]}>Produkt-cache 📦</Text>
+          <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16, fontSize: 13 }}>
+            Opslag gemmes i {PRODUCT_CACHE_TTL_DAYS} dage og bruges også uden internet.
+          </Text>
+
+          {loading ? (
+            <ActivityIndicator color={COLORS.primary} style={{ marginVertical: 24 }} />
+          ) : entries.length === 0 ? (
+            <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginVertical: 24 }}>
+              Ingen produkter i cachen
+            </Text>
+          ) : (
+            <ScrollView style={{ marginBottom: 12 }}>
+              {entries.map(entry => (
+                <View
+                  key={entry.barcode}
+                  style={{
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    paddingVertical: 10,
+                    borderBottomWidth: 1,
+                    borderBottomColor: COLORS.border
+                  }}
+                >
+                  {entry.product.imageUrl ? (
+                    <Image source={{ uri: entry.product.imageUrl }} style={{ width: 40, height: 40, borderRadius: 8, marginRight: 12 }} />
+                  ) : (
+                    <Text style={{ fontSize: 28, marginRight: 12 }}>📦</Text>
+                  )}
+                  <View style={{ flex: 1 }}>
+                    <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }} numberOfLines={1}>
+                      {entry.product.displayName}
+                    </Text>
+                    <Text style={{ fontSize: 12, color: COLORS.textSecondary }}>
+                      {entry.barcode} · {new Date(entry.cachedAt).toLocaleDateString('da-DK')}
+                      {entry.expired ? ' · udløbet' : ''}
+                    </Text>
+                  </View>
+                  <DeleteButton onPress={() => handleRemove(entry.barcode)} size="small" />
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          {entries.length > 0 && (
+            <TouchableOpacity onPress={handleClear} style={{ paddingVertical: 10, alignItems: 'center', marginBottom: 8 }}>
+              <Text style={{ color: COLORS.danger, fontSize: 14, fontWeight: '600' }}>
+                🗑️ Ryd hele cachen
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <GhostButton title="Luk" onPress={onClose} />
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+ProductCacheModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChange: PropTypes.func,
+};
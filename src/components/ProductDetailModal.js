@@ -0,0 +1,170 @@
+/**
+ * Product Detail Modal Component - brand, allergens and nutrition from Open Food Facts
+ */
+import React from 'react';
+import { View, Text, Modal, ScrollView, Image } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { NUTRIMENT_FIELDS, NUTRI_SCORE_COLORS, formatAllergen, formatTag } from '../utils/productInfo';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { GhostButton } from './UI';
+
+// Category tags run from broad to specific; the last few say most about the product
+const SHOWN_CATEGORY_TAGS = 3;
+
+function Section({ title, children }) {
+  return (
+    <View style={{ marginBottom: 16 }}>
+      <Text style={{ fontSize: 14, fontWeight: '700', color: COLORS.textPrimary, marginBottom: 6 }}>{title}</Text>
+      {children}
+    </View>
+  );
+}
+
+export function ProductDetailModal({ visible, product, onClose }) {
+  if (!product) return null;
+
+  const info = product.productInfo || {};
+  const nutriments = info.nutriments || {};
+  const nutrimentRows = NUTRIMENT_FIELDS.filter(field => nutriments[field.key] !== undefined);
+  const categoryTags = (info.categoriesTags || []).slice(-SHOWN_CATEGORY_TAGS);
+  const subtitle = [info.brand, info.quantity].filter(Boolean).join(' · ');
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400, maxHeight: '85%' }]}>
+          <ScrollView>
+            {product.imageUrl && (
+              <Image source={{ uri: product.imageUrl }} style={styles.productImage} />
+            )}
+            <Text style={[styles.modernTitle, { marginBottom: 4 }]}>{product.name}</Text>
+            {subtitle ? (
+              <Text style={{ color: COLORS.textSecondary, textAlign: 'center', fontSize: 14, marginBottom: 4 }}>
+                {subtitle}
+              </Text>
+            ) : null}
+            {product.barcode ? (
+              <Text style={{ color: COLORS.textSecondary, textAlign: 'center', fontSize: 12, marginBottom: 16 }}>
+                {product.barcode}
+              </Text>
+            ) : null}
+
+            {info.nutriScore && (
+              <Section title="Nutri-Score">
+                <View style={{ flexDirection: 'row', gap: 4 }}>
+                  {Object.entries(NUTRI_SCORE_COLORS).map(([grade, color]) => (
+                    <View
+                      key={grade}
+                      style={{
+                        flex: 1,
+                        paddingVertical: grade === info.nutriScore ? 8 : 4,
+                        borderRadius: 6,
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        backgroundColor: color,
+                        opacity: grade === info.nutriScore ? 1 : 0.35
+                      }}
+                    >
+                      <Text style={{ color: COLORS.white, fontWeight: '800', fontSize: grade === info.nutriScore ? 18 : 12 }}>
+                        {grade.toUpperCase()}
+                      </Text>
+                    </View>
+                  ))}
+                </View>
+              </Section>
+            )}
+
+            <Section title="Allergener">
+              {(info.allergens || []).length > 0 ? (
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6 }}>
+                  {info.allergens.map(tag => (
+                    <View
+                      key={tag}
+                      style={{
+                        paddingHorizontal: 10,
+                        paddingVertical: 4,
+                        borderRadius: 12,
+                        backgroundColor: 'rgba(239, 68, 68, 0.1)'
+                      }}
+                    >
+                      <Text style={{ color: COLORS.danger, fontSize: 13, fontWeight: '600' }}>{formatAllergen(tag)}</Text>
+                    </View>
+                  ))}
+                </View>
+              ) : (
+                <Text style={{ color: COLORS.textSecondary, fontSize: 13 }}>Ingen allergener oplyst</Text>
+              )}
+            </Section>
+
+            {nutrimentRows.length > 0 && (
+              <Section title="Næringsindhold pr. 100 g">
+                {nutrimentRows.map(field => (
+                  <View
+                    key={field.key}
+                    style={{
+                      flexDirection: 'row',
+                      justifyContent: 'space-between',
+                      paddingVertical: 4,
+                      borderBottomWidth: 1,
+                      borderBottomColor: COLORS.border
+                    }}
+                  >
+                    <Text style={{ color: COLORS.textPrimary, fontSize: 13, paddingLeft: field.label.startsWith('heraf') ? 12 : 0 }}>
+                      {field.label}
+                    </Text>
+                    <Text style={{ color: COLORS.textPrimary, fontSize: 13, fontWeight: '600' }}>
+                      {nutriments[field.key].toLocaleString('da-DK', { maximumFractionDigits: 1 })} {field.unit}
+                    </Text>
+                  </View>
+                ))}
+              </Section>
+            )}
+
+            {categoryTags.length > 0 && (
+              <Section title="Kategorier">
+                <Text style={{ color: COLORS.textSecondary, fontSize: 13 }}>
+                  {categoryTags.map(formatTag).join(', ')}
+                </Text>
+              </Section>
+            )}
+
+            <Text style={{ color: COLORS.textSecondary, fontSize: 11, textAlign: 'center', marginBottom: 12 }}>
+              Data fra Open Food Facts
+            </Text>
+          </ScrollView>
+
+          <GhostButton title="Luk" onPress={onClose} />
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+Section.propTypes = {
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node,
+};
+
+ProductDetailModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  product: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    barcode: PropTypes.string,
+    imageUrl: PropTypes.string,
+    productInfo: PropTypes.object,
+  }),
+  onClose: PropTypes.func.isRequired,
+};
@@ -0,0 +1,216 @@
+/**
+ * Product Lookup Card Component - product catalog, lookup providers and barcode lookup cache
+ */
+import React, { useState, useCallback, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+
+import { useAppContext } from '../context/AppContext';
+import { listCachedProducts } from '../services/productCache';
+import { loadProductCatalog } from '../services/productCatalog';
+import { testProviderChain } from '../services/productProviders';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { SwitchRow } from './UI';
+import { ProductCacheModal } from './ProductCacheModal';
+
+const TIMEOUT_OPTIONS = [3, 5, 10, 20];
+
+const ROW_STYLE = {
+  flexDirection: 'row',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  paddingVertical: 12,
+  paddingHorizontal: 16,
+  backgroundColor: '#f9fafb',
+  borderRadius: 12
+};
+
+function formatTestResult({ provider, product, error, durationMs }) {
+  if (error) return `⚠️ ${provider.label}: ${error.message}`;
+  if (!product) return `– ${provider.label}: kender ikke stregkoden (${durationMs} ms)`;
+  return `✅ ${provider.label}: ${product.displayName} (${durationMs} ms)`;
+}
+
+export function ProductLookupCard() {
+  const navigation = useNavigation();
+  const { settings, updateSettings } = useAppContext();
+  const lookupSettings = settings.productLookup;
+  const [catalogCount, setCatalogCount] = useState(0);
+  const [cacheCount, setCacheCount] = useState(0);
+  const [cacheModalVisible, setCacheModalVisible] = useState(false);
+  const [endpointText, setEndpointText] = useState(lookupSettings.customEndpoint);
+  const [testBarcode, setTestBarcode] = useState('');
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    setEndpointText(lookupSettings.customEndpoint);
+  }, [lookupSettings.customEndpoint]);
+
+  const updateLookup = updates => updateSettings({ productLookup: updates }).catch(() => {});
+
+  const handleEndpointSave = () => {
+    const endpoint = endpointText.trim();
+    if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+      Alert.alert('Ugyldig adresse', 'Adressen skal starte med http:// eller https://');
+      setEndpointText(lookupSettings.customEndpoint);
+      return;
+    }
+    if (endpoint !== lookupSettings.customEndpoint) {
+      updateLookup({ customEndpoint: endpoint });
+    }
+  };
+
+  const handleTest = async () => {
+    if (!testBarcode.trim()) {
+      Alert.alert('Ingen stregkode', 'Skriv en stregkode at teste opslaget med.');
+      return;
+    }
+    setTesting(true);
+    try {
+      const results = await testProviderChain(testBarcode);
+      Alert.alert('Testopslag', results.map(formatTestResult).join('\n\n'));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  // Counts change from the catalog screen and from scanning, so refresh on focus
+  useFocusEffect(
+    useCallback(() => {
+      loadProductCatalog().then(catalog => setCatalogCount(catalog.length));
+      listCachedProducts().then(entries => setCacheCount(entries.length));
+    }, [])
+  );
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>🔎</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Produktopslag
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Stregkoder slås op i dit katalog, cachen og online
+          </Text>
+        </View>
+      </View>
+
+      <TouchableOpacity
+        onPress={() => navigation.navigate('ProductCatalog')}
+        style={[ROW_STYLE, { marginBottom: 8 }]}
+      >
+        <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>📒 Mit produktkatalog</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary }}>
+          {catalogCount} produkt{catalogCount !== 1 ? 'er' : ''} ›
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        onPress={() => setCacheModalVisible(true)}
+        style={ROW_STYLE}
+      >
+        <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>📦 Produkt-cache</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary }}>
+          {cacheCount} produkt{cacheCount !== 1 ? 'er' : ''} ›
+        </Text>
+      </TouchableOpacity>
+
+      <SwitchRow
+        label="Open Food Facts"
+        description="Slå ukendte stregkoder op i den åbne produktdatabase"
+        value={lookupSettings.openFoodFacts}
+        onValueChange={value => updateLookup({ openFoodFacts: value })}
+      />
+
+      <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary, marginTop: 8, marginBottom: 2 }}>
+        Egen produkttjeneste
+      </Text>
+      <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginBottom: 8 }}>
+        {'{barcode}'} i adressen erstattes med stregkoden
+      </Text>
+      <TextInput
+        style={styles.modernInput}
+        placeholder="https://eksempel.dk/produkter/{barcode}"
+        placeholderTextColor="#9ca3af"
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+        value={endpointText}
+        onChangeText={setEndpointText}
+        onEndEditing={handleEndpointSave}
+        onSubmitEditing={handleEndpointSave}
+      />
+
+      {lookupSettings.customEndpoint ? (
+        <>
+          <SwitchRow
+            label="Spørg før Open Food Facts"
+            value={lookupSettings.customEndpointFirst}
+            onValueChange={value => updateLookup({ customEndpointFirst: value })}
+          />
+          <View style={{ flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap', gap: 6, paddingBottom: 10 }}>
+            <Text style={{ color: COLORS.textSecondary, fontSize: 14, marginRight: 4 }}>Ventetid</Text>
+            {TIMEOUT_OPTIONS.map(seconds => {
+              const selected = lookupSettings.customTimeoutSeconds === seconds;
+              return (
+                <TouchableOpacity
+                  key={seconds}
+                  onPress={() => updateLookup({ customTimeoutSeconds: seconds })}
+                  style={{
+                    paddingHorizontal: 12,
+                    paddingVertical: 6,
+                    borderRadius: 8,
+                    backgroundColor: selected ? COLORS.primary : COLORS.backgroundCard,
+                    borderWidth: 1,
+                    borderColor: selected ? COLORS.primary : COLORS.border
+                  }}
+                >
+                  <Text style={{ color: selected ? COLORS.textLight : COLORS.textPrimary, fontWeight: '600', fontSize: 13 }}>
+                    {seconds} s
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </>
+      ) : null}
+
+      <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, marginTop: 8 }}>
+        <TextInput
+          style={[styles.modernInput, { flex: 1 }]}
+          placeholder="Stregkode til test"
+          placeholderTextColor="#9ca3af"
+          keyboardType="numeric"
+          value={testBarcode}
+          onChangeText={setTestBarcode}
+        />
+        <TouchableOpacity
+          onPress={handleTest}
+          disabled={testing}
+          style={{
+            backgroundColor: COLORS.primary,
+            paddingVertical: 14,
+            paddingHorizontal: 16,
+            borderRadius: 12,
+            alignItems: 'center',
+            justifyContent: 'center'
+          }}
+        >
+          {testing ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            <Text style={{ color: 'white', fontSize: 14, fontWeight: '700' }}>🧪 Test</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <ProductCacheModal
+        visible={cacheModalVisible}
+        onClose={() => setCacheModalVisible(false)}
+        onChange={setCacheCount}
+      />
+    </View>
+  );
+}
@@ -0,0 +1,230 @@
+/**
+ * Quantity Actions Component - "use some", "use all", "set quantity" and "opened" for an item
+ */
+import React, { useState } from 'react';
+import { View, Text, TextInput, Modal, TouchableOpacity, Alert } from 'react-native';
+import PropTypes from 'prop-types';
+import * as Haptics from 'expo-haptics';
+
+import { useAppContext } from '../context/AppContext';
+import { COLORS } from '../utils/theme';
+import { UNITS, UNIT_OPTIONS, getItemUnit, getUnitStep, formatQuantity, areUnitsCompatible, convertQuantity } from '../utils/units';
+import { styles } from '../styles/styles';
+import { PrimaryButton, GhostButton } from './UI';
+import { RemoveItemModal } from './RemoveItemModal';
+
+function ActionChip({ label, onPress, color = COLORS.primary }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        backgroundColor: color,
+        borderRadius: 6,
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+        alignItems: 'center',
+        justifyContent: 'center',
+      }}
+    >
+      <Text style={{ color: COLORS.textLight, fontSize: 12, fontWeight: '700' }}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+export function QuantityActions({ item, style }) {
+  const { consumeItem, setItemQuantity, setItemOpened } = useAppContext();
+  const [modalVisible, setModalVisible] = useState(false);
+  const [quantityText, setQuantityText] = useState('');
+  const [quantityUnit, setQuantityUnit] = useState(null); // Unit the new quantity is typed in
+  const [outcomeModalVisible, setOutcomeModalVisible] = useState(false); // Asks what happened when the quantity is set to 0
+
+  const unit = getItemUnit(item);
+  const step = getUnitStep(unit);
+  // Only units the item's quantity can be converted to, so "g" for an item in kg but not "stk"
+  const unitOptions = UNIT_OPTIONS.filter(option => areUnitsCompatible(option, unit));
+
+  const handleUseStep = () => {
+    if (step >= (Number(item.qty) || 0)) {
+      handleUseAll();
+      return;
+    }
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    consumeItem(item.id, step);
+  };
+
+  const handleUseAll = () => {
+    Alert.alert(
+      'Brug alt',
+      `Er "${item.name}" brugt op? Varen arkiveres.`,
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Brugt op',
+          onPress: () => {
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+            consumeItem(item.id, 'all');
+          }
+        }
+      ]
+    );
+  };
+
+  const handleToggleOpened = () => {
+    if (item.openedDate) {
+      Alert.alert(
+        'Uåbnet',
+        `Er "${item.name}" alligevel ikke åbnet? Den trykte udløbsdato gælder igen.`,
+        [
+          { text: 'Annuller', style: 'cancel' },
+          { text: 'Uåbnet', onPress: () => setItemOpened(item.id, false) }
+        ]
+      );
+      return;
+    }
+
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setItemOpened(item.id, true).then(updated => {
+      if (updated?.openedExpiryDate && updated.openedExpiryDate < updated.expiryDate) {
+        Alert.alert('Åbnet', `Åbnet holder "${item.name}" til ${new Date(updated.openedExpiryDate).toLocaleDateString('da-DK')}.`);
+      }
+    });
+  };
+
+  const openQuantityModal = () => {
+    setQuantityText(String(item.qty));
+    setQuantityUnit(unit);
+    setModalVisible(true);
+  };
+
+  const handleSaveQuantity = () => {
+    const typed = Number(quantityText.replace(',', '.'));
+    if (quantityText.trim() === '' || isNaN(typed) || typed < 0) {
+      Alert.alert('Fejl', 'Indtast et gyldigt antal');
+      return;
+    }
+    const value = convertQuantity(typed, quantityUnit || unit, unit);
+
+    setModalVisible(false);
+    if (value === 0) {
+      setOutcomeModalVisible(true);
+      return;
+    }
+    setItemQuantity(item.id, value);
+  };
+
+  return (
+    <View style={[{ flexDirection: 'row', gap: 6 }, style]}>
+      <ActionChip label={`Brug ${formatQuantity(step, unit)}`} onPress={handleUseStep} />
+      <ActionChip label="Brug alt" onPress={handleUseAll} color={COLORS.success} />
+      <ActionChip label="Antal" onPress={openQuantityModal} color={COLORS.warning} />
+      <ActionChip
+        label={item.openedDate ? 'Åbnet ✓' : 'Åbn'}
+        onPress={handleToggleOpened}
+        color={item.openedDate ? COLORS.textSecondary : COLORS.primary}
+      />
+
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={{
+          flex: 1,
+          backgroundColor: 'rgba(0,0,0,0.5)',
+          justifyContent: 'center',
+          alignItems: 'center',
+          padding: 20
+        }}>
+          <View style={[styles.modernCard, { width: '100%', maxWidth: 400 }]}>
+            <Text style={styles.modernTitle}>Sæt antal</Text>
+            <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16 }}>
+              Hvor meget er der tilbage af "{item.name}"? ({UNITS[quantityUnit || unit].label})
+            </Text>
+
+            <View style={styles.inputContainer}>
+              <TextInput
+                style={styles.modernInput}
+                placeholder="Antal tilbage"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+                value={quantityText}
+                onChangeText={setQuantityText}
+                autoFocus={true}
+              />
+              {unitOptions.length > 1 && (
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 }}>
+                  {unitOptions.map((option) => (
+                    <TouchableOpacity
+                      key={option}
+                      onPress={() => setQuantityUnit(option)}
+                      style={{
+                        paddingHorizontal: 12,
+                        paddingVertical: 6,
+                        borderRadius: 8,
+                        backgroundColor: quantityUnit === option ? COLORS.primary : COLORS.backgroundCard,
+                        borderWidth: 1,
+                        borderColor: quantityUnit === option ? COLORS.primary : COLORS.border
+                      }}
+                    >
+                      <Text style={{
+                        color: quantityUnit === option ? COLORS.textLight : COLORS.textPrimary,
+                        fontWeight: '600',
+                        fontSize: 13
+                      }}>
+                        {UNITS[option].label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+
+            <View style={{ flexDirection: 'row', gap: 12 }}>
+              <View style={{ flex: 1 }}>
+                <GhostButton
+                  title="Annuller"
+                  onPress={() => setModalVisible(false)}
+                />
+              </View>
+              <View style={{ flex: 1 }}>
+                <PrimaryButton
+                  title="Gem"
+                  onPress={handleSaveQuantity}
+                />
+              </View>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <RemoveItemModal
+        visible={outcomeModalVisible}
+        item={item}
+        onClose={() => setOutcomeModalVisible(false)}
+        onRemove={(removed, outcome) => setItemQuantity(removed.id, 0, outcome)}
+      />
+    </View>
+  );
+}
+
+ActionChip.propTypes = {
+  label: PropTypes.string.isRequired,
+  onPress: PropTypes.func.isRequired,
+  color: PropTypes.string,
+};
+
+QuantityActions.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    qty: PropTypes.number,
+    unit: PropTypes.string,
+    expiryDate: PropTypes.string,
+    openedDate: PropTypes.string,
+    openedExpiryDate: PropTypes.string,
+  }).isRequired,
+  style: PropTypes.object,
+};
@@ -0,0 +1,79 @@
+/**
+ * Reminder Offset Picker Component - choose how many days before expiry to be reminded
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { REMINDER_OFFSET_OPTIONS, formatReminderOffset } from '../services/notifications';
+import { COLORS } from '../utils/theme';
+
+function OffsetChip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: selected ? COLORS.primary : COLORS.backgroundCard,
+        borderWidth: 1,
+        borderColor: selected ? COLORS.primary : COLORS.border
+      }}
+    >
+      <Text style={{
+        color: selected ? COLORS.textLight : COLORS.textPrimary,
+        fontWeight: '600',
+        fontSize: 13
+      }}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * Multi-select of reminder offsets. When inheritLabel is given, an extra chip
+ * lets the user fall back to inherited offsets, represented by null.
+ */
+export function ReminderOffsetPicker({ value, onChange, inheritLabel, style }) {
+  const inherited = value === null || value === undefined;
+  const selected = inherited ? [] : value;
+
+  const toggleOffset = (days) => {
+    const next = selected.includes(days)
+      ? selected.filter(offset => offset !== days)
+      : [...selected, days].sort((a, b) => b - a);
+    // Deselecting the last offset goes back to inheriting rather than silencing the item
+    onChange(next.length === 0 && inheritLabel ? null : next);
+  };
+
+  return (
+    <View style={[{ flexDirection: 'row', flexWrap: 'wrap', gap: 6 }, style]}>
+      {inheritLabel && (
+        <OffsetChip label={inheritLabel} selected={inherited} onPress={() => onChange(null)} />
+      )}
+      {REMINDER_OFFSET_OPTIONS.map(days => (
+        <OffsetChip
+          key={days}
+          label={formatReminderOffset(days)}
+          selected={selected.includes(days)}
+          onPress={() => toggleOffset(days)}
+        />
+      ))}
+    </View>
+  );
+}
+
+OffsetChip.propTypes = {
+  label: PropTypes.string.isRequired,
+  selected: PropTypes.bool.isRequired,
+  onPress: PropTypes.func.isRequired,
+};
+
+ReminderOffsetPicker.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.number),
+  onChange: PropTypes.func.isRequired,
+  inheritLabel: PropTypes.string,
+  style: PropTypes.object,
+};
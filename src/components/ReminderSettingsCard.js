@@ -0,0 +1,118 @@
+/**
+ * Reminder Settings Card Component - when expiry reminders are sent
+ */
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Platform } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+import { useAppContext } from '../context/AppContext';
+import { NOTIFICATION_MODES } from '../services/notifications';
+import { timeOfDayToDate, formatTimeOfDay } from '../utils/dateUtils';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { ReminderOffsetPicker } from './ReminderOffsetPicker';
+
+export function ReminderSettingsCard() {
+  const { settings, updateSettings } = useAppContext();
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const { mode, reminderOffsets, reminderTime, digestTime } = settings.notifications;
+  const isDigest = mode === 'digest';
+  // Digests and per-item reminders each have their own time of day
+  const timeKey = isDigest ? 'digestTime' : 'reminderTime';
+  const time = isDigest ? digestTime : reminderTime;
+
+  const handleTimeChange = (event, selectedDate) => {
+    setShowTimePicker(Platform.OS === 'ios');
+    if (event.type === 'set' && selectedDate) {
+      updateSettings({ notifications: { [timeKey]: formatTimeOfDay(selectedDate) } }).catch(() => {});
+    }
+  };
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>🔔</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Påmindelser
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Kategorier og varer kan have deres egne
+          </Text>
+        </View>
+      </View>
+
+      <View style={{ flexDirection: 'row', backgroundColor: COLORS.backgroundCard, borderRadius: 10, padding: 4, marginBottom: 16 }}>
+        {Object.entries(NOTIFICATION_MODES).map(([key, { label }]) => (
+          <TouchableOpacity
+            key={key}
+            onPress={() => key !== mode && updateSettings({ notifications: { mode: key } }).catch(() => {})}
+            style={{
+              flex: 1,
+              paddingVertical: 8,
+              borderRadius: 8,
+              alignItems: 'center',
+              backgroundColor: mode === key ? COLORS.primary : 'transparent'
+            }}
+          >
+            <Text style={{ color: mode === key ? COLORS.textLight : COLORS.textPrimary, fontWeight: '600', fontSize: 13 }}>
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isDigest ? (
+        <Text style={{ color: COLORS.textSecondary, fontSize: 14, lineHeight: 20 }}>
+          Én notifikation om dagen med det, der udløber i dag, i morgen og resten af ugen.
+        </Text>
+      ) : (
+        <>
+          <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.textPrimary, marginBottom: 8 }}>
+            Påmind mig
+          </Text>
+          <ReminderOffsetPicker
+            value={reminderOffsets}
+            onChange={offsets => updateSettings({ notifications: { reminderOffsets: offsets } }).catch(() => {})}
+          />
+          {reminderOffsets.length === 0 && (
+            <Text style={{ color: COLORS.warning, fontSize: 13, marginTop: 8 }}>
+              Ingen påmindelser for varer uden egne indstillinger
+            </Text>
+          )}
+        </>
+      )}
+
+      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 16 }}>
+        <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.textPrimary }}>
+          Tidspunkt
+        </Text>
+        <TouchableOpacity
+          onPress={() => setShowTimePicker(true)}
+          style={{
+            paddingHorizontal: 16,
+            paddingVertical: 8,
+            borderRadius: 8,
+            backgroundColor: COLORS.backgroundCard,
+            borderWidth: 1,
+            borderColor: COLORS.border
+          }}
+        >
+          <Text style={{ fontSize: 16, fontWeight: '700', color: COLORS.primary }}>
+            🕕 {time}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {showTimePicker && (
+        <DateTimePicker
+          value={timeOfDayToDate(time)}
+          mode="time"
+          is24Hour={true}
+          display="default"
+          onChange={handleTimeChange}
+        />
+      )}
+    </View>
+  );
+}
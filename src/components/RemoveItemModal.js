@@ -0,0 +1,88 @@
+/**
+ * Remove Item Modal Component - asks what happened to an item before it is removed
+ */
+import React from 'react';
+import { View, Text, Modal, TouchableOpacity } from 'react-native';
+import PropTypes from 'prop-types';
+import * as Haptics from 'expo-haptics';
+
+import { OUTCOMES } from '../services/historyService';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { GhostButton } from './UI';
+
+export function RemoveItemModal({ visible, item, onClose, onRemove }) {
+  if (!item) return null;
+
+  const handleSelect = async (outcome) => {
+    await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy);
+    onRemove(item, outcome);
+    onClose();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400 }]}>
+          <Text style={[styles.modernTitle, { marginBottom: 8 }]}>Fjern vare</Text>
+          <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16 }}>
+            Hvad skete der med "{item.name}"?
+          </Text>
+
+          {Object.entries(OUTCOMES).map(([key, outcome]) => (
+            <TouchableOpacity
+              key={key}
+              onPress={() => handleSelect(key)}
+              style={{
+                flexDirection: 'row',
+                alignItems: 'center',
+                paddingVertical: 14,
+                paddingHorizontal: 16,
+                marginBottom: 8,
+                backgroundColor: key === 'discarded' ? 'rgba(239, 68, 68, 0.1)' : '#f9fafb',
+                borderRadius: 12,
+              }}
+            >
+              <Text style={{ fontSize: 22, marginRight: 12 }}>{outcome.icon}</Text>
+              <Text style={{ fontSize: 16, fontWeight: '600', color: COLORS.textPrimary }}>
+                {outcome.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity
+            onPress={() => handleSelect(null)}
+            style={{ paddingVertical: 10, alignItems: 'center', marginBottom: 8 }}
+          >
+            <Text style={{ color: COLORS.textSecondary, fontSize: 13 }}>
+              Slet uden at registrere (fejlindtastning)
+            </Text>
+          </TouchableOpacity>
+
+          <GhostButton title="Annuller" onPress={onClose} />
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+RemoveItemModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
@@ -0,0 +1,57 @@
+/**
+ * Shelf-Life Card Component - entry point for adjusting the suggested expiry dates
+ */
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+
+import { useAppContext } from '../context/AppContext';
+import { getShelfLifeRules } from '../services/shelfLife';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { ShelfLifeRulesModal } from './ShelfLifeRulesModal';
+
+export function ShelfLifeCard() {
+  const { settings } = useAppContext();
+  const [modalVisible, setModalVisible] = useState(false);
+  const rules = getShelfLifeRules(settings.shelfLifeOverrides);
+  const changedCount = rules.filter(rule => rule.overridden).length;
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+        <Text style={{ fontSize: 32, marginRight: 12 }}>⏳</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 18, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Holdbarhed
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 12 }}>
+            Bruges til at foreslå udløbsdatoer ud fra varetype og opbevaring
+          </Text>
+        </View>
+      </View>
+
+      <TouchableOpacity
+        onPress={() => setModalVisible(true)}
+        style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          paddingVertical: 12,
+          paddingHorizontal: 16,
+          backgroundColor: '#f9fafb',
+          borderRadius: 12
+        }}
+      >
+        <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>🗓️ Varetyper</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary }}>
+          {rules.length} typer{changedCount > 0 ? ` · ${changedCount} ændret` : ''} ›
+        </Text>
+      </TouchableOpacity>
+
+      <ShelfLifeRulesModal
+        visible={modalVisible}
+        onClose={() => setModalVisible(false)}
+      />
+    </View>
+  );
+}
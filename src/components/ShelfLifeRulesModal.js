@@ -0,0 +1,145 @@
+/**
+ * Shelf-Life Rules Modal Component - adjust how long each product type keeps
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, ScrollView, TextInput } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { useAppContext } from '../context/AppContext';
+import { SHELF_LIFE_RULES, STORAGE_LOCATIONS, getShelfLifeRules } from '../services/shelfLife';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { GhostButton } from './UI';
+
+// Override fields in display order, see settings.shelfLifeOverrides
+const FIELDS = [
+  { key: 'fridge', label: STORAGE_LOCATIONS.fridge },
+  { key: 'freezer', label: STORAGE_LOCATIONS.freezer },
+  { key: 'pantry', label: STORAGE_LOCATIONS.pantry },
+  { key: 'opened', label: 'Åbnet' },
+];
+
+function getRuleDefault(rule, key) {
+  return key === 'opened' ? rule.openedDays : rule.days[key];
+}
+
+// Text for the inputs: the user's own numbers, blank where the rule's default applies
+function toDrafts(overrides) {
+  const drafts = {};
+  Object.entries(overrides || {}).forEach(([ruleId, override]) => {
+    if (!override) return;
+    drafts[ruleId] = {};
+    FIELDS.forEach(({ key }) => {
+      if (Number.isInteger(override[key])) drafts[ruleId][key] = String(override[key]);
+    });
+  });
+  return drafts;
+}
+
+export function ShelfLifeRulesModal({ visible, onClose }) {
+  const { settings, updateSettings } = useAppContext();
+  const overrides = settings.shelfLifeOverrides;
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setDrafts(toDrafts(overrides));
+    }
+  }, [visible]);
+
+  const rules = getShelfLifeRules(overrides);
+
+  const handleChange = (ruleId, key, text) => {
+    setDrafts(prev => ({ ...prev, [ruleId]: { ...prev[ruleId], [key]: text.replace(/[^0-9]/g, '') } }));
+  };
+
+  const handleSave = (rule) => {
+    const ruleDrafts = drafts[rule.id] || {};
+    const override = {};
+    FIELDS.forEach(({ key }) => {
+      const days = parseInt(ruleDrafts[key], 10);
+      if (Number.isInteger(days) && days !== getRuleDefault(rule, key)) override[key] = days;
+    });
+    const hasOverride = Object.keys(override).length > 0;
+    if (!hasOverride && !overrides[rule.id]) return;
+    updateSettings({ shelfLifeOverrides: { [rule.id]: hasOverride ? override : null } }).catch(() => {});
+  };
+
+  const handleReset = (ruleId) => {
+    setDrafts(prev => ({ ...prev, [ruleId]: {} }));
+    updateSettings({ shelfLifeOverrides: { [ruleId]: null } }).catch(() => {});
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={{
+        flex: 1,
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: 20
+      }}>
+        <View style={[styles.modernCard, { width: '100%', maxWidth: 400, maxHeight: '85%' }]}>
+          <Text style={[styles.modernTitle, { marginBottom: 8 }]}>Holdbarhed ⏳</Text>
+          <Text style={{ color: COLORS.textSecondary, textAlign: 'center', marginBottom: 16, fontSize: 13 }}>
+            Antal dage hver varetype holder. Lad et felt stå tomt for at bruge standarden.
+          </Text>
+
+          <ScrollView style={{ marginBottom: 12 }}>
+            {rules.map(rule => {
+              const base = SHELF_LIFE_RULES.find(candidate => candidate.id === rule.id);
+              return (
+                <View
+                  key={rule.id}
+                  style={{ paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: COLORS.border }}
+                >
+                  <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 6 }}>
+                    <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>
+                      {rule.label}{rule.overridden ? ' ✏️' : ''}
+                    </Text>
+                    {rule.overridden && (
+                      <TouchableOpacity onPress={() => handleReset(rule.id)}>
+                        <Text style={{ color: COLORS.primary, fontSize: 13, fontWeight: '600' }}>Nulstil</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  <View style={{ flexDirection: 'row', gap: 6 }}>
+                    {FIELDS.map(({ key, label }) => {
+                      const fallback = getRuleDefault(base, key);
+                      return (
+                        <View key={key} style={{ flex: 1 }}>
+                          <Text style={{ fontSize: 11, color: COLORS.textSecondary, marginBottom: 2 }}>{label}</Text>
+                          <TextInput
+                            style={[styles.modernInput, { paddingVertical: 6, paddingHorizontal: 8, fontSize: 14 }]}
+                            value={drafts[rule.id]?.[key] ?? ''}
+                            onChangeText={text => handleChange(rule.id, key, text)}
+                            onEndEditing={() => handleSave(base)}
+                            placeholder={fallback != null ? String(fallback) : '–'}
+                            placeholderTextColor="#9ca3af"
+                            keyboardType="number-pad"
+                          />
+                        </View>
+                      );
+                    })}
+                  </View>
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <GhostButton title="Luk" onPress={onClose} />
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+ShelfLifeRulesModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -2,10 +2,11 @@
  * Reusable UI components for the FooGood app
  */
 import React from 'react';
-import { View, Text, TouchableOpacity, Pressable, Image, ActivityIndicator } from 'react-native';
+import { View, Text, TouchableOpacity, Pressable, Image, ActivityIndicator, Switch } from 'react-native';
 import PropTypes from 'prop-types';
 import * as Haptics from 'expo-haptics';
 import { COLORS } from '../utils/theme';
+import { getStatusForDays, DATE_TYPE_OPTIONS } from '../utils/expiryStatus';
 import { Logo, ChefIcon, ShoppingIcon, SettingsIcon, ExpireIcon } from './Logo';
 
 /**
@@ -112,21 +113,8 @@ export function GhostButton({ title, onPress, style, hapticFeedback = true, ...p
 /**
  * Status badge component
  */
-export function StatusBadge({ daysLeft, style }) {
-  const getBackgroundColor = () => {
-    if (daysLeft < 0) return COLORS.danger;
-    if (daysLeft === 0) return COLORS.danger;
-    if (daysLeft <= 2) return COLORS.warning;
-    if (daysLeft <= 5) return '#f59e0b'; // Orange for soon
-    return COLORS.success;
-  };
-
-  const getText = () => {
-    if (daysLeft < 0) return 'Udløbet';
-    if (daysLeft === 0) return 'I dag!';
-    if (daysLeft === 1) return '1 dag';
-    return `${daysLeft} dage`;
-  };
+export function StatusBadge({ daysLeft, dateType, warningDays, style }) {
+  const status = getStatusForDays(daysLeft, dateType, warningDays);
 
   return (
     <View 
@@ -135,7 +123,7 @@ export function StatusBadge({ daysLeft, style }) {
           borderRadius: 12,
           paddingHorizontal: 8,
           paddingVertical: 4,
-          backgroundColor: getBackgroundColor(),
+          backgroundColor: status.color,
           minWidth: 60,
           alignItems: 'center',
         },
@@ -148,7 +136,7 @@ export function StatusBadge({ daysLeft, style }) {
         fontWeight: '700',
         textAlign: 'center'
       }}>
-        {getText()}
+        {status.label}
       </Text>
     </View>
   );
@@ -350,6 +338,8 @@ export function TabIcon({ route, focused }) {
 
   StatusBadge.propTypes = {
     daysLeft: PropTypes.number.isRequired,
+    dateType: PropTypes.oneOf(DATE_TYPE_OPTIONS),
+    warningDays: PropTypes.number,
     style: PropTypes.object,
   };
 
@@ -439,4 +429,34 @@ DeleteButton.propTypes = {
   size: PropTypes.oneOf(['small', 'medium', 'large']),
   icon: PropTypes.string,
   hapticFeedback: PropTypes.bool,
-};
\ No newline at end of file
+};
+
+/**
+ * Settings row with a label, optional description and a switch
+ */
+export function SwitchRow({ label, description, value, onValueChange, disabled = false }) {
+  return (
+    <View style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 10, opacity: disabled ? 0.5 : 1 }}>
+      <View style={{ flex: 1, marginRight: 12 }}>
+        <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>{label}</Text>
+        {description && (
+          <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 2 }}>{description}</Text>
+        )}
+      </View>
+      <Switch
+        value={value}
+        onValueChange={onValueChange}
+        disabled={disabled}
+        trackColor={{ true: COLORS.primary }}
+      />
+    </View>
+  );
+}
+
+SwitchRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  value: PropTypes.bool.isRequired,
+  onValueChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
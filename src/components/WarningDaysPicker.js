@@ -0,0 +1,70 @@
+/**
+ * Warning Days Picker Component - choose how many days ahead items count as expiring soon
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { WARNING_DAY_OPTIONS } from '../utils/expiryStatus';
+import { COLORS } from '../utils/theme';
+
+function DaysChip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        backgroundColor: selected ? COLORS.primary : COLORS.backgroundCard,
+        borderWidth: 1,
+        borderColor: selected ? COLORS.primary : COLORS.border
+      }}
+    >
+      <Text style={{
+        color: selected ? COLORS.textLight : COLORS.textPrimary,
+        fontWeight: '600',
+        fontSize: 13
+      }}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * Single-select of the warning window. When inheritLabel is given, an extra
+ * chip lets the user fall back to the inherited window, represented by null.
+ */
+export function WarningDaysPicker({ value, onChange, inheritLabel, style }) {
+  const inherited = value === null || value === undefined;
+
+  return (
+    <View style={[{ flexDirection: 'row', flexWrap: 'wrap', gap: 6 }, style]}>
+      {inheritLabel && (
+        <DaysChip label={inheritLabel} selected={inherited} onPress={() => onChange(null)} />
+      )}
+      {WARNING_DAY_OPTIONS.map(days => (
+        <DaysChip
+          key={days}
+          label={`${days} dag${days !== 1 ? 'e' : ''}`}
+          selected={value === days}
+          onPress={() => onChange(days)}
+        />
+      ))}
+    </View>
+  );
+}
+
+DaysChip.propTypes = {
+  label: PropTypes.string.isRequired,
+  selected: PropTypes.bool.isRequired,
+  onPress: PropTypes.func.isRequired,
+};
+
+WarningDaysPicker.propTypes = {
+  value: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  inheritLabel: PropTypes.string,
+  style: PropTypes.object,
+};
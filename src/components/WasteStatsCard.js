@@ -0,0 +1,172 @@
+/**
+ * Waste Stats Card Component - food waste statistics for the settings screen
+ */
+import React, { useMemo } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { useAppContext } from '../context/AppContext';
+import { computeWasteStats, STATS_PERIODS } from '../services/wasteStatsService';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+
+function StatTile({ emoji, value, label, color }) {
+  return (
+    <View style={{
+      flex: 1,
+      backgroundColor: 'rgba(74, 85, 104, 0.05)',
+      padding: 12,
+      borderRadius: 12,
+      alignItems: 'center'
+    }}>
+      <Text style={{ fontSize: 20, marginBottom: 4 }}>{emoji}</Text>
+      <Text style={{ fontSize: 20, fontWeight: '700', color, marginBottom: 2 }}>
+        {value}
+      </Text>
+      <Text style={{ fontSize: 11, color: COLORS.textSecondary, textAlign: 'center' }}>
+        {label}
+      </Text>
+    </View>
+  );
+}
+
+export function WasteStatsCard() {
+  const { history, categories, settings, updateSettings } = useAppContext();
+  const period = settings.statsPeriod;
+
+  const setPeriod = (value) => {
+    updateSettings({ statsPeriod: value }).catch(() => {});
+  };
+
+  const stats = useMemo(
+    () => computeWasteStats(history, categories, period),
+    [history, categories, period]
+  );
+
+  const trendMax = Math.max(1, ...stats.trend.map(bucket => bucket.eaten + bucket.wasted));
+  const periodWord = period === 'week' ? 'uge' : 'måned';
+
+  return (
+    <View style={[styles.modernCard, { marginBottom: 20 }]}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 16 }}>
+        <View style={{ flex: 1 }}>
+          <Text style={[styles.modernTitle, { fontSize: 20, color: COLORS.primary, marginBottom: 0, textAlign: 'left' }]}>
+            Madspild
+          </Text>
+          <Text style={{ color: COLORS.textSecondary, fontSize: 14 }}>
+            Spist og smidt ud denne {periodWord}
+          </Text>
+        </View>
+        <View style={{ flexDirection: 'row', gap: 6 }}>
+          {Object.entries(STATS_PERIODS).map(([key, option]) => (
+            <TouchableOpacity
+              key={key}
+              onPress={() => setPeriod(key)}
+              style={{
+                paddingHorizontal: 10,
+                paddingVertical: 6,
+                borderRadius: 8,
+                backgroundColor: period === key ? COLORS.primary : 'rgba(74, 85, 104, 0.1)'
+              }}
+            >
+              <Text style={{
+                fontSize: 12,
+                fontWeight: '600',
+                color: period === key ? COLORS.textLight : COLORS.textPrimary
+              }}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {history.length === 0 ? (
+        <Text style={{ color: COLORS.textSecondary, textAlign: 'center', fontSize: 14 }}>
+          Ingen historik endnu. Når du fjerner varer, registreres om de blev spist eller smidt ud.
+        </Text>
+      ) : (
+        <>
+          <View style={{ flexDirection: 'row', gap: 8, marginBottom: 8 }}>
+            <StatTile emoji="😋" value={stats.eatenCount} label="Spist" color={COLORS.success} />
+            <StatTile emoji="🗑️" value={stats.wastedCount} label="Smidt ud" color={COLORS.danger} />
+            <StatTile emoji="📉" value={`${stats.wasteRate}%`} label="Spildprocent" color={COLORS.warning} />
+          </View>
+          <View style={{ flexDirection: 'row', gap: 8, marginBottom: 16 }}>
+            <StatTile emoji="💸" value={`${stats.moneyLost} kr`} label="Anslået tab" color={COLORS.danger} />
+            <StatTile emoji="🌍" value={`${stats.co2Lost.toLocaleString('da-DK')} kg`} label="Anslået CO2e" color={COLORS.primary} />
+          </View>
+
+          {/* Trend */}
+          <Text style={[styles.modernSubtitle, { fontSize: 15, marginBottom: 8, marginTop: 0 }]}>
+            Udvikling
+          </Text>
+          <View style={{ flexDirection: 'row', alignItems: 'flex-end', height: 80, gap: 8, marginBottom: 4 }}>
+            {stats.trend.map(bucket => (
+              <View key={bucket.index} style={{ flex: 1, justifyContent: 'flex-end', height: '100%' }}>
+                <View style={{
+                  height: `${(bucket.wasted / trendMax) * 100}%`,
+                  backgroundColor: COLORS.danger,
+                  borderTopLeftRadius: 4,
+                  borderTopRightRadius: 4
+                }} />
+                <View style={{
+                  height: `${(bucket.eaten / trendMax) * 100}%`,
+                  backgroundColor: COLORS.success
+                }} />
+              </View>
+            ))}
+          </View>
+          <View style={{ flexDirection: 'row', gap: 8, marginBottom: 16 }}>
+            {stats.trend.map(bucket => (
+              <Text key={bucket.index} style={{ flex: 1, fontSize: 10, color: COLORS.textSecondary, textAlign: 'center' }}>
+                {bucket.index === 0 ? 'Nu' : `-${bucket.index}`}
+              </Text>
+            ))}
+          </View>
+
+          {/* Top wasted */}
+          {stats.topProducts.length > 0 && (
+            <>
+              <Text style={[styles.modernSubtitle, { fontSize: 15, marginBottom: 8, marginTop: 0 }]}>
+                Oftest smidt ud (alle tider)
+              </Text>
+              {stats.topProducts.map(product => (
+                <View key={product.name} style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
+                  <Text style={{ color: COLORS.textPrimary, fontSize: 14 }}>{product.name}</Text>
+                  <Text style={{ color: COLORS.danger, fontSize: 14, fontWeight: '600' }}>{product.count}×</Text>
+                </View>
+              ))}
+            </>
+          )}
+          {stats.topCategories.length > 0 && (
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 }}>
+              {stats.topCategories.map(category => (
+                <View key={category.id} style={{
+                  flexDirection: 'row',
+                  alignItems: 'center',
+                  backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                  paddingHorizontal: 8,
+                  paddingVertical: 4,
+                  borderRadius: 8
+                }}>
+                  <Text style={{ marginRight: 4 }}>{category.icon}</Text>
+                  <Text style={{ fontSize: 12, color: '#dc2626', fontWeight: '600' }}>
+                    {category.name} ({category.count})
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+StatTile.propTypes = {
+  emoji: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  label: PropTypes.string.isRequired,
+  color: PropTypes.string,
+};
@@ -1,14 +1,44 @@
 /**
  * Application context for managing food items state
  */
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { Alert } from 'react-native';
-import { loadItems, saveItems, clearStorage } from '../services/storage';
+import { loadItems, saveItems, clearStorage, archiveItem } from '../services/storage';
 import { loadCategories, saveCategories, addCategory as addCategoryService, updateCategory, deleteCategory } from '../services/categoryStorage';
-import { scheduleExpiryNotification, cancelNotification, rescheduleAllNotifications } from '../services/notifications';
+import {
+  scheduleExpiryNotifications,
+  cancelItemNotifications,
+  rescheduleAllNotifications,
+  scheduleDigestNotifications,
+  scheduleSnoozedReminder,
+  registerNotificationActions,
+  parseNotificationResponse,
+  addNotificationResponseListener,
+  takeLaunchNotificationResponse,
+  applyNotificationPreferences,
+  updateBadgeCount
+} from '../services/notifications';
+import { applyProductLookupSettings } from '../services/productProviders';
+import { loadHistory, logConsumptionEvent } from '../services/historyService';
+import { runMigrations } from '../services/migrations';
+import { getRecoveryReport } from '../services/schemaStorage';
+import { loadSettings, updateSettings as updateSettingsService, DEFAULT_SETTINGS } from '../services/settingsStorage';
+import { restoreBackup } from '../services/backupService';
+import { suggestOpenedExpiryDate } from '../services/shelfLife';
+import { formatDate, getEffectiveExpiryDate } from '../utils/dateUtils';
+import { reconcileNotifications } from '../services/notificationReconciler';
 
 const AppContext = createContext();
 
+/**
+ * Create a unique item id. The random suffix keeps ids apart when several
+ * items are added within the same millisecond, e.g. from an import.
+ * @returns {string} Item id
+ */
+function createItemId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
 /**
  * Hook to use app context
  * @returns {Object} App context value
@@ -27,7 +57,13 @@ export function useAppContext() {
 export function AppProvider({ children }) {
   const [items, setItems] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [loading, setLoading] = useState(true);
+  const [notificationReport, setNotificationReport] = useState(null);
+  // Latest response handler, so the long-lived listener always sees current items
+  const notificationResponseHandler = useRef(null);
+  const handledResponses = useRef(new Set());
 
   // Load data on startup
   useEffect(() => {
@@ -41,14 +77,74 @@ export function AppProvider({ children }) {
     }
   }, [items, loading]);
 
+  // Handle reminder actions, both while running and the one that launched the app
+  useEffect(() => {
+    if (loading) return undefined;
+
+    const handle = response => notificationResponseHandler.current?.(response);
+    const unsubscribe = addNotificationResponseListener(handle);
+    takeLaunchNotificationResponse().then(response => {
+      if (response) handle(response);
+    });
+    return unsubscribe;
+  }, [loading]);
+
+  // Keep barcode lookups pointed at the configured providers
+  useEffect(() => {
+    applyProductLookupSettings(settings.productLookup);
+  }, [settings.productLookup]);
+
+  // Keep the notification handler in step with the settings
+  useEffect(() => {
+    applyNotificationPreferences(settings.notifications);
+  }, [settings.notifications]);
+
+  // Keep the app badge in step with the items and the settings it counts by
+  useEffect(() => {
+    if (!loading) {
+      updateBadgeCount(items, settings, categories);
+    }
+  }, [items, categories, settings.notifications, settings.expiryWarningDays, loading]);
+
+  // Recompute the daily digest whenever items or notification settings change;
+  // other settings must not, as rescheduling cancels and recreates every digest
+  useEffect(() => {
+    if (!loading && settings.notifications.mode === 'digest') {
+      scheduleDigestNotifications(items, settings);
+    }
+  }, [items, settings.notifications, loading]);
+
+  async function loadStoredData() {
+    const [loadedItems, loadedCategories, loadedHistory, loadedSettings] = await Promise.all([
+      loadItems(),
+      loadCategories(),
+      loadHistory(),
+      loadSettings()
+    ]);
+    setItems(loadedItems);
+    setCategories(loadedCategories);
+    setHistory(loadedHistory);
+    setSettings(loadedSettings);
+    return { items: loadedItems, categories: loadedCategories, settings: loadedSettings };
+  }
+
   async function loadInitialData() {
     try {
-      const [loadedItems, loadedCategories] = await Promise.all([
-        loadItems(),
-        loadCategories()
-      ]);
-      setItems(loadedItems);
-      setCategories(loadedCategories);
+      await registerNotificationActions();
+
+      // Bring stored data up to the current schema before anything reads it
+      await runMigrations();
+      const loaded = await loadStoredData();
+      await runReconciliation(loaded.items, loaded.categories, loaded.settings);
+
+      const recovered = getRecoveryReport();
+      if (recovered.length > 0) {
+        const salvaged = recovered.reduce((sum, entry) => sum + entry.salvagedCount, 0);
+        Alert.alert(
+          'Data gendannet',
+          `Noget af dine gemte data var beskadiget. ${salvaged} poster blev reddet, og en kopi af de beskadigede data er gemt.`
+        );
+      }
     } catch (error) {
       console.error('Failed to load initial data:', error);
       Alert.alert('Fejl', 'Kunne ikke indlæse data fra storage');
@@ -57,6 +153,33 @@ export function AppProvider({ children }) {
     }
   }
 
+  /**
+   * Check scheduled notifications against the items and fix any drift
+   * @param {Array} itemList - Items to reconcile
+   * @param {Array} categoryList - Categories for per-category reminder offsets
+   * @param {Object} currentSettings - Settings to schedule with
+   * @returns {Promise<Object|null>} Reconciliation report, or null if it failed
+   */
+  async function runReconciliation(itemList, categoryList, currentSettings) {
+    try {
+      const { items: reconciledItems, report } = await reconcileNotifications(itemList, categoryList, currentSettings);
+      setItems(reconciledItems);
+      setNotificationReport(report);
+      return report;
+    } catch (error) {
+      console.error('Failed to reconcile notifications:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reconcile notifications on demand, e.g. from the debug view
+   * @returns {Promise<Object|null>} Reconciliation report
+   */
+  function reconcileNow() {
+    return runReconciliation(items, categories, settings);
+  }
+
   async function saveItemsToStorage() {
     try {
       await saveItems(items);
@@ -65,6 +188,18 @@ export function AppProvider({ children }) {
     }
   }
 
+  /**
+   * Schedule the reminders for an item
+   * @param {Object} item - Food item
+   * @param {Array} [categoryList] - Categories to find the item's category in
+   * @param {Object} [currentSettings] - Settings to schedule with
+   * @returns {Promise<Array<string>>} Notification IDs
+   */
+  function scheduleReminders(item, categoryList = categories, currentSettings = settings) {
+    const category = categoryList.find(cat => cat.id === item.categoryId);
+    return scheduleExpiryNotifications(item, { category, settings: currentSettings });
+  }
+
   /**
    * Add new food item
    * @param {Object} itemData - Item data
@@ -72,16 +207,14 @@ export function AppProvider({ children }) {
   async function addItem(itemData) {
     try {
       const item = {
-        id: String(Date.now()),
+        id: createItemId(),
+        createdAt: new Date().toISOString(),
         categoryId: itemData.categoryId || 'pantry', // Default to pantry category
         ...itemData
       };
 
-      // Schedule notification
-      const notificationId = await scheduleExpiryNotification(item);
-      if (notificationId) {
-        item.notificationId = notificationId;
-      }
+      // Schedule notifications
+      item.notificationIds = await scheduleReminders(item);
 
       setItems(prev => [...prev, item]);
     } catch (error) {
@@ -90,15 +223,60 @@ export function AppProvider({ children }) {
     }
   }
 
+  /**
+   * Add several food items at once, e.g. from an import
+   * @param {Array} itemDataList - Item data for each new item
+   * @returns {Promise<number>} Number of items added
+   */
+  async function addItems(itemDataList) {
+    try {
+      const now = Date.now();
+      const newItems = [];
+
+      for (const itemData of itemDataList) {
+        const item = {
+          id: createItemId(),
+          createdAt: new Date(now).toISOString(),
+          categoryId: itemData.categoryId || 'pantry',
+          ...itemData
+        };
+
+        item.notificationIds = await scheduleReminders(item);
+        newItems.push(item);
+      }
+
+      setItems(prev => [...prev, ...newItems]);
+      return newItems.length;
+    } catch (error) {
+      console.error('Failed to add items:', error);
+      Alert.alert('Fejl', 'Kunne ikke tilføje varer');
+      return 0;
+    }
+  }
+
+  /**
+   * Record an outcome in the consumption history
+   * @param {Object} item - Food item
+   * @param {string} outcome - One of the history OUTCOMES keys
+   * @param {number} [qty] - Quantity affected, defaults to the whole item
+   * @param {Object} [details] - Extra fields for the event
+   */
+  async function recordOutcome(item, outcome, qty, details) {
+    const updatedHistory = await logConsumptionEvent(item, outcome, qty, details);
+    setHistory(updatedHistory);
+  }
+
   /**
    * Delete food item
    * @param {string} id - Item ID to delete
+   * @param {string} [outcome] - What happened to the item; logged to history when given
    */
-  async function deleteItem(id) {
+  async function deleteItem(id, outcome) {
     try {
       const item = items.find(x => x.id === id);
-      if (item?.notificationId) {
-        await cancelNotification(item.notificationId);
+      await cancelItemNotifications(item);
+      if (item && outcome) {
+        await recordOutcome(item, outcome);
       }
       
       setItems(prev => prev.filter(x => x.id !== id));
@@ -108,12 +286,214 @@ export function AppProvider({ children }) {
     }
   }
 
+  /**
+   * Throw out several items at once, e.g. everything that has expired.
+   * Each item is logged as discarded and its reminders cancelled.
+   * @param {Array<string>} ids - Item IDs
+   * @returns {Promise<number>} Number of items removed
+   */
+  async function discardItems(ids) {
+    const removedIds = [];
+    try {
+      for (const item of items.filter(x => ids.includes(x.id))) {
+        await cancelItemNotifications(item);
+        await recordOutcome(item, 'discarded');
+        removedIds.push(item.id);
+      }
+    } catch (error) {
+      console.error('Failed to discard items:', error);
+      Alert.alert('Fejl', 'Kunne ikke smide alle varerne ud');
+    }
+
+    setItems(prev => prev.filter(x => !removedIds.includes(x.id)));
+    return removedIds.length;
+  }
+
+  /**
+   * Keep several items that are still good a number of days from today.
+   * The new date replaces both the printed date and any opened shelf life;
+   * reminders are rescheduled and the change is logged as extended.
+   * @param {Array<string>} ids - Item IDs
+   * @param {number} days - Days from today the items keep
+   * @returns {Promise<number>} Number of items extended
+   */
+  async function extendItems(ids, days) {
+    const expiry = new Date();
+    expiry.setDate(expiry.getDate() + days);
+    const expiryDate = formatDate(expiry);
+
+    const extended = new Map();
+    try {
+      for (const existing of items.filter(x => ids.includes(x.id))) {
+        await recordOutcome(existing, 'extended', existing.qty, { newExpiryDate: expiryDate });
+        await cancelItemNotifications(existing);
+        const item = { ...existing, expiryDate, openedExpiryDate: null };
+        item.notificationIds = await scheduleReminders(item);
+        extended.set(item.id, item);
+      }
+    } catch (error) {
+      console.error('Failed to extend items:', error);
+      Alert.alert('Fejl', 'Kunne ikke forlænge alle varerne');
+    }
+
+    setItems(prev => prev.map(x => extended.get(x.id) || x));
+    return extended.size;
+  }
+
+  /**
+   * Update an existing food item
+   * @param {string} id - Item ID to update
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} The updated item, or null if not found or not saved
+   */
+  async function updateItem(id, updates) {
+    try {
+      const existing = items.find(x => x.id === id);
+      if (!existing) return null;
+
+      const item = { ...existing, ...updates, id };
+
+      // Reminders carry the name, date and date type and depend on the category's and item's offsets
+      const remindersChanged = getEffectiveExpiryDate(item) !== getEffectiveExpiryDate(existing)
+        || item.dateType !== existing.dateType
+        || item.name !== existing.name
+        || item.categoryId !== existing.categoryId
+        || JSON.stringify(item.reminderOffsets || null) !== JSON.stringify(existing.reminderOffsets || null);
+      if (remindersChanged) {
+        await cancelItemNotifications(existing);
+        item.notificationIds = await scheduleReminders(item);
+      }
+
+      setItems(prev => prev.map(x => x.id === id ? item : x));
+      return item;
+    } catch (error) {
+      console.error('Failed to update item:', error);
+      Alert.alert('Fejl', 'Kunne ikke opdatere vare');
+      return null;
+    }
+  }
+
+  /**
+   * Set the remaining quantity of an item. A lower quantity logs the
+   * removed amount with the outcome; items that reach zero are archived and
+   * their notification cancelled.
+   * @param {string} id - Item ID
+   * @param {number} qty - New remaining quantity
+   * @param {string} [outcome] - What happened to the removed amount, one of the OUTCOMES keys
+   */
+  async function setItemQuantity(id, qty, outcome = 'eaten') {
+    try {
+      const item = items.find(x => x.id === id);
+      if (!item) return;
+
+      const current = Number(item.qty) || 0;
+      const remaining = Math.max(0, Math.round((Number(qty) || 0) * 1000) / 1000);
+      if (remaining < current) {
+        try {
+          await recordOutcome(item, outcome, Math.round((current - remaining) * 1000) / 1000);
+        } catch (error) {
+          console.error('Failed to log consumption:', error);
+        }
+      }
+
+      if (remaining > 0) {
+        setItems(prev => prev.map(x => x.id === id ? { ...x, qty: remaining } : x));
+        return;
+      }
+
+      await cancelItemNotifications(item);
+      await archiveItem({ ...item, qty: 0, notificationIds: [] });
+      setItems(prev => prev.filter(x => x.id !== id));
+    } catch (error) {
+      console.error('Failed to set item quantity:', error);
+      Alert.alert('Fejl', 'Kunne ikke opdatere antal');
+    }
+  }
+
+  /**
+   * Use part of an item
+   * @param {string} id - Item ID
+   * @param {number|'all'} amount - Amount used in the item's unit, or 'all' to use up the item
+   */
+  async function consumeItem(id, amount = 1) {
+    const item = items.find(x => x.id === id);
+    if (!item) return;
+
+    const current = Number(item.qty) || 0;
+    const used = amount === 'all' ? current : Math.min(amount, current);
+    await setItemQuantity(id, current - used, 'eaten');
+  }
+
+  /**
+   * Mark an item as opened or not. An opened item also gets the date its
+   * opened shelf life runs out, which counts when it comes before the
+   * printed expiry date.
+   * @param {string} id - Item ID
+   * @param {boolean} opened - Whether the package has been opened
+   * @returns {Promise<Object|null>} The updated item, or null if not found or not saved
+   */
+  async function setItemOpened(id, opened) {
+    const item = items.find(x => x.id === id);
+    if (!item) return null;
+
+    let updates = { openedDate: null, openedExpiryDate: null };
+    if (opened) {
+      const openedDate = new Date();
+      const suggestion = suggestOpenedExpiryDate({
+        name: item.name,
+        categoriesTags: item.productInfo?.categoriesTags,
+        category: categories.find(cat => cat.id === item.categoryId),
+      }, settings.shelfLifeOverrides, openedDate);
+      updates = {
+        openedDate: formatDate(openedDate),
+        openedExpiryDate: suggestion ? formatDate(suggestion.date) : null,
+      };
+    }
+
+    return updateItem(id, updates);
+  }
+
+  /**
+   * Act on a button pressed on an item reminder
+   * @param {Object} response - Notification response from expo-notifications
+   */
+  async function handleNotificationResponse(response) {
+    // The launch response can also reach the listener; only act once
+    const key = `${response.notification.request.identifier}:${response.actionIdentifier}`;
+    if (handledResponses.current.has(key)) return;
+    handledResponses.current.add(key);
+
+    const parsed = parseNotificationResponse(response);
+    const item = parsed && items.find(x => x.id === parsed.itemId);
+    if (!item) return;
+
+    switch (parsed.action) {
+      case 'eaten':
+      case 'discarded':
+        await deleteItem(item.id, parsed.action);
+        break;
+      case 'snooze': {
+        const notificationId = await scheduleSnoozedReminder(item, settings);
+        if (notificationId) {
+          setItems(prev => prev.map(x => x.id === item.id
+            ? { ...x, notificationIds: [...(x.notificationIds || []), notificationId] }
+            : x));
+        }
+        break;
+      }
+      default:
+        // A plain tap just opens the app
+        break;
+    }
+  }
+  notificationResponseHandler.current = handleNotificationResponse;
+
   /**
    * Reschedule all notifications
    */
   async function rescheduleAll() {
     try {
-      const updatedItems = await rescheduleAllNotifications(items);
+      const updatedItems = await rescheduleAllNotifications(items, categories, settings);
       setItems(updatedItems);
       Alert.alert('Succes', 'Alle notifikationer er blevet genplanlagt');
     } catch (error) {
@@ -147,6 +527,48 @@ export function AppProvider({ children }) {
     );
   }
 
+  /**
+   * Update user settings
+   * @param {Object} updates - Settings to change
+   */
+  async function updateSettings(updates) {
+    try {
+      const updatedSettings = await updateSettingsService(updates);
+      // Keep the sections the update did not touch, so effects depending on them do not re-run
+      setSettings(prev => Object.fromEntries(Object.entries(updatedSettings).map(([key, value]) => (
+        [key, key in updates || !(key in prev) ? value : prev[key]]
+      ))));
+
+      if (updates.notifications) {
+        const rescheduledItems = await rescheduleAllNotifications(items, categories, updatedSettings);
+        setItems(rescheduledItems);
+      }
+      return updatedSettings;
+    } catch (error) {
+      Alert.alert('Fejl', 'Kunne ikke gemme indstillinger');
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a parsed backup and reload everything from storage
+   * @param {Object} backup - Backup returned by parseBackup
+   * @param {'merge'|'replace'} mode - How to combine with current data
+   */
+  async function restoreFromBackup(backup, mode) {
+    setLoading(true);
+    try {
+      await restoreBackup(backup, mode);
+      const restored = await loadStoredData();
+
+      // Notification ids from another phone mean nothing here
+      const rescheduledItems = await rescheduleAllNotifications(restored.items, restored.categories, restored.settings);
+      setItems(rescheduledItems);
+    } finally {
+      setLoading(false);
+    }
+  }
+
   // Category management functions
   async function addCategory(category) {
     try {
@@ -161,8 +583,23 @@ export function AppProvider({ children }) {
 
   async function editCategory(categoryId, updates) {
     try {
+      const existing = categories.find(cat => cat.id === categoryId);
       const updatedCategories = await updateCategory(categoryId, updates);
       setCategories(updatedCategories);
+
+      const remindersChanged = 'reminderOffsets' in updates
+        && JSON.stringify(updates.reminderOffsets || null) !== JSON.stringify(existing?.reminderOffsets || null);
+      if (remindersChanged) {
+        const categoryItems = items.filter(item => item.categoryId === categoryId);
+        const rescheduled = {};
+        for (const item of categoryItems) {
+          await cancelItemNotifications(item);
+          rescheduled[item.id] = await scheduleReminders(item, updatedCategories);
+        }
+        setItems(prev => prev.map(item =>
+          rescheduled[item.id] ? { ...item, notificationIds: rescheduled[item.id] } : item
+        ));
+      }
       return updatedCategories;
     } catch (error) {
       Alert.alert('Fejl', 'Kunne ikke opdatere kategori');
@@ -175,13 +612,16 @@ export function AppProvider({ children }) {
       const updatedCategories = await deleteCategory(categoryId);
       setCategories(updatedCategories);
       
-      // Update items that belong to this category to use default category
-      const updatedItems = items.map(item => 
-        item.categoryId === categoryId 
-          ? { ...item, categoryId: 'pantry' }
-          : item
-      );
-      setItems(updatedItems);
+      // Move the category's items to the default category; their reminders
+      // were scheduled with the deleted category's offsets, so schedule them anew
+      const movedItems = {};
+      for (const item of items.filter(x => x.categoryId === categoryId)) {
+        const moved = { ...item, categoryId: 'pantry' };
+        await cancelItemNotifications(item);
+        moved.notificationIds = await scheduleReminders(moved, updatedCategories);
+        movedItems[item.id] = moved;
+      }
+      setItems(prev => prev.map(item => movedItems[item.id] || item));
       
       return updatedCategories;
     } catch (error) {
@@ -193,11 +633,24 @@ export function AppProvider({ children }) {
   const value = {
     items,
     categories,
+    history,
+    settings,
     loading,
+    notificationReport,
     addItem,
+    addItems,
+    updateItem,
     deleteItem,
+    discardItems,
+    extendItems,
+    consumeItem,
+    setItemQuantity,
+    setItemOpened,
     rescheduleAll,
+    reconcileNow,
     clearAllItems,
+    updateSettings,
+    restoreFromBackup,
     addCategory,
     editCategory,
     removeCategory
@@ -1,34 +1,45 @@
 /**
- * Expiring Soon Screen - Shows items expiring within 2 days
+ * Expiring Soon Screen - Shows items expiring soon and the expired items to clean up
  */
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { View, Text, ScrollView, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 
 import { useAppContext } from '../context/AppContext';
-import { daysUntilExpiry } from '../utils/dateUtils';
-import { showDeleteConfirmation } from '../utils/alertUtils';
+import { getEffectiveExpiryDate } from '../utils/dateUtils';
+import { DATE_TYPES, EXPIRY_GROUPS, getExpiryStatus, getExpiryGroup, needsAttention } from '../utils/expiryStatus';
+import { formatQuantity, getItemUnit } from '../utils/units';
 import { COLORS } from '../utils/theme';
 import { styles } from '../styles/styles';
 import { ScreenHeader, StatusBadge, EmptyState, DeleteButton } from '../components/UI';
 import { ExpireIcon } from '../components/Logo';
+import { QuantityActions } from '../components/QuantityActions';
+import { RemoveItemModal } from '../components/RemoveItemModal';
+import { ExpiredItemsSection } from '../components/ExpiredItemsSection';
 
 export function ExpiringSoonScreen() {
-  const { items, categories, deleteItem } = useAppContext();
+  const { items, categories, settings, deleteItem } = useAppContext();
+  const [itemToRemove, setItemToRemove] = useState(null);
   
-  const expiringSoon = useMemo(() => {
-    return items
-      .filter(item => {
-        const daysLeft = daysUntilExpiry(item.expiryDate);
-        return daysLeft <= 2 && daysLeft >= 0; // Don't show expired items
-      })
-      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
-  }, [items]);
+  const { expiringSoon, groups, expired } = useMemo(() => {
+    const withStatus = items
+      .map(item => ({ item, status: getExpiryStatus(item, { categories, settings }) }))
+      .sort((a, b) => new Date(getEffectiveExpiryDate(a.item)) - new Date(getEffectiveExpiryDate(b.item)));
+    const soon = withStatus.filter(({ status }) => status.daysLeft >= 0 && needsAttention(status));
+    return {
+      expiringSoon: soon,
+      groups: EXPIRY_GROUPS
+        .map(group => ({ group, entries: soon.filter(({ status }) => getExpiryGroup(status.daysLeft) === group) }))
+        .filter(({ entries }) => entries.length > 0),
+      // Past-date best-before items are listed here too, to be checked rather than thrown out
+      expired: withStatus.filter(({ status }) => status.daysLeft < 0),
+    };
+  }, [items, categories, settings.expiryWarningDays]);
 
   const handleDeleteItem = (item) => {
-    showDeleteConfirmation(item.name, () => deleteItem(item.id));
+    setItemToRemove(item);
   };
 
   return (
@@ -38,13 +49,13 @@ export function ExpiringSoonScreen() {
         
         <ScreenHeader 
           title="Udløber snart" 
-          subtitle="Varer der udløber inden for 2 dage"
+          subtitle="Varer der snart skal bruges eller tjekkes"
           customIcon={<ExpireIcon size={60} />}
           bannerMode={true}
         />
 
         <ScrollView style={styles.container}>
-          {expiringSoon.length === 0 ? (
+          {expiringSoon.length === 0 && expired.length === 0 ? (
             <EmptyState 
               title="🎉 Godt arbejde!"
               subtitle="Ingen varer udløber snart."
@@ -52,68 +63,99 @@ export function ExpiringSoonScreen() {
             />
           ) : (
             <>
-              {/* Information card */}
-              <View style={[styles.modernCard, styles.warningCard, { marginBottom: 20 }]}>
-                <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
-                  <Text style={{ fontSize: 24, marginRight: 8 }}>⚠️</Text>
-                  <Text style={[styles.modernTitle, { fontSize: 18, marginBottom: 0, color: '#92400e' }]}>
-                    {expiringSoon.length} vare{expiringSoon.length !== 1 ? 'r' : ''} udløber snart
-                  </Text>
-                </View>
-                <Text style={{ color: '#92400e', fontSize: 14, lineHeight: 20 }}>
-                  Varer der udløber inden for 2 dage. Overvej at bruge dem hurtigst muligt.
-                </Text>
-              </View>
+              {expiringSoon.length > 0 && (
+                <>
+                  {/* Information card */}
+                  <View style={[styles.modernCard, styles.warningCard, { marginBottom: 20 }]}>
+                    <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
+                      <Text style={{ fontSize: 24, marginRight: 8 }}>⚠️</Text>
+                      <Text style={[styles.modernTitle, { fontSize: 18, marginBottom: 0, color: '#92400e' }]}>
+                        {expiringSoon.length} vare{expiringSoon.length !== 1 ? 'r' : ''} udløber snart
+                      </Text>
+                    </View>
+                    <Text style={{ color: '#92400e', fontSize: 14, lineHeight: 20 }}>
+                      {DATE_TYPES.useBy.icon} {DATE_TYPES.useBy.label} skal overholdes. {DATE_TYPES.bestBefore.icon} {DATE_TYPES.bestBefore.label}-varer er ofte gode efter datoen – tjek dem før brug.
+                    </Text>
+                  </View>
 
-              {/* Items list */}
-              {expiringSoon.map((item) => {
-                const category = categories.find(c => c.id === item.categoryId);
-                const daysLeft = daysUntilExpiry(item.expiryDate);
+                  {/* Items list, grouped by when they expire */}
+                  {groups.map(({ group, entries }) => (
+                    <View key={group.key} style={{ marginBottom: 8 }}>
+                      <Text style={[styles.modernTitle, { fontSize: 16, marginBottom: 10, textAlign: 'left' }]}>
+                        {group.label} ({entries.length})
+                      </Text>
+                      {entries.map(({ item, status }) => {
+                        const category = categories.find(c => c.id === item.categoryId);
                 
-                return (
-                  <View key={item.id} style={[styles.modernItemCard, {
-                    backgroundColor: COLORS.backgroundCard,
-                    borderLeftWidth: 4,
-                    borderLeftColor: daysLeft === 0 ? COLORS.danger : daysLeft <= 1 ? COLORS.warning : COLORS.success,
-                    marginBottom: 12
-                  }]}>
-                    <View style={styles.itemHeader}>
-                      <View style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}>
-                        <View style={{
-                          backgroundColor: 'rgba(74, 85, 104, 0.1)',
-                          padding: 10,
-                          borderRadius: 10,
-                          marginRight: 12
-                        }}>
-                          <Text style={{ fontSize: 20 }}>{category?.icon || '📦'}</Text>
-                        </View>
-                        <View style={{ flex: 1 }}>
-                          <Text style={styles.itemName}>{item.name}</Text>
-                          <Text style={styles.itemExpiry}>
-                            Udløber: {new Date(item.expiryDate).toLocaleDateString('da-DK')}
-                          </Text>
-                          <Text style={styles.itemQty}>Antal: {item.qty}</Text>
-                          {category && (
-                            <Text style={[styles.itemQty, { color: COLORS.textSecondary, fontSize: 12 }]}>
-                              Kategori: {category.name}
-                            </Text>
-                          )}
-                        </View>
-                      </View>
-                      <View style={{ alignItems: 'center', gap: 8 }}>
-                        <StatusBadge daysLeft={daysLeft} />
-                        <DeleteButton
-                          onPress={() => handleDeleteItem(item)}
-                          size="medium"
-                        />
-                      </View>
+                        return (
+                          <View key={item.id} style={[styles.modernItemCard, {
+                            backgroundColor: COLORS.backgroundCard,
+                            borderLeftWidth: 4,
+                            borderLeftColor: status.color,
+                            marginBottom: 12
+                          }]}>
+                            <View style={styles.itemHeader}>
+                              <View style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}>
+                                <View style={{
+                                  backgroundColor: 'rgba(74, 85, 104, 0.1)',
+                                  padding: 10,
+                                  borderRadius: 10,
+                                  marginRight: 12
+                                }}>
+                                  <Text style={{ fontSize: 20 }}>{category?.icon || '📦'}</Text>
+                                </View>
+                                <View style={{ flex: 1 }}>
+                                  <Text style={styles.itemName}>{item.name}</Text>
+                                  <Text style={styles.itemExpiry}>
+                                    {DATE_TYPES[status.dateType].label}: {new Date(getEffectiveExpiryDate(item)).toLocaleDateString('da-DK')}
+                                  </Text>
+                                  {status.hint && (
+                                    <Text style={[styles.itemQty, { color: status.color, fontSize: 12, fontWeight: '600' }]}>
+                                      {status.hint}
+                                    </Text>
+                                  )}
+                                  {item.openedDate && (
+                                    <Text style={[styles.itemQty, { color: COLORS.textSecondary, fontSize: 12 }]}>
+                                      📂 Åbnet {new Date(item.openedDate).toLocaleDateString('da-DK')}
+                                    </Text>
+                                  )}
+                                  <Text style={styles.itemQty}>Antal: {formatQuantity(item.qty, getItemUnit(item))}</Text>
+                                  {category && (
+                                    <Text style={[styles.itemQty, { color: COLORS.textSecondary, fontSize: 12 }]}>
+                                      Kategori: {category.name}
+                                    </Text>
+                                  )}
+                                </View>
+                              </View>
+                              <View style={{ alignItems: 'center', gap: 8 }}>
+                                <StatusBadge daysLeft={status.daysLeft} dateType={status.dateType} warningDays={status.warningDays} />
+                                <DeleteButton
+                                  onPress={() => handleDeleteItem(item)}
+                                  size="medium"
+                                />
+                              </View>
+                            </View>
+                            <QuantityActions item={item} />
+                          </View>
+                        );
+                      })}
                     </View>
-                  </View>
-                );
-              })}
+                  ))}
+                </>
+              )}
+
+              {/* Expired items */}
+              {expired.length > 0 && <ExpiredItemsSection entries={expired} />}
             </>
           )}
         </ScrollView>
+
+        <RemoveItemModal
+          visible={!!itemToRemove}
+          item={itemToRemove}
+          onClose={() => setItemToRemove(null)}
+          onRemove={(item, outcome) => deleteItem(item.id, outcome)}
+        />
       </SafeAreaView>
     </LinearGradient>
   );
@@ -1,8 +1,8 @@
 /**
  * Pantry Screen - Main food inventory management
  */
-import React, { useState, useMemo, useRef } from 'react';
-import { ScrollView, TextInput, Image, ActivityIndicator, Alert, View, Text, TouchableOpacity, Modal, RefreshControl } from 'react-native';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ScrollView, TextInput, Image, ActivityIndicator, Alert, View, Text, TouchableOpacity, Modal, RefreshControl, Switch } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
@@ -11,33 +11,48 @@ import DateTimePicker from '@react-native-community/datetimepicker';
 import * as Haptics from 'expo-haptics';
 
 import { useAppContext } from '../context/AppContext';
-import { lookupOpenFoodFacts } from '../services/api';
-import { parseISOorEmpty, daysUntilExpiry, formatDate } from '../utils/dateUtils';
-import { showDeleteConfirmation } from '../utils/alertUtils';
+import { lookupProduct } from '../services/productProviders';
+import { saveCatalogProduct } from '../services/productCatalog';
+import { suggestExpiryDate, describeShelfLife } from '../services/shelfLife';
+import { daysBetween, formatDate, getEffectiveExpiryDate } from '../utils/dateUtils';
+import { parseGS1Barcode } from '../utils/gs1';
+import { getProductInfo, suggestCategoryId, suggestQuantity } from '../utils/productInfo';
+import { DATE_TYPES, DATE_TYPE_OPTIONS, getItemDateType, getExpiryStatus, isExpiringSoon } from '../utils/expiryStatus';
+import { filterPantryItems } from '../utils/pantryList';
+import { UNITS, UNIT_OPTIONS, DEFAULT_UNIT, formatQuantity, getItemUnit } from '../utils/units';
 import { COLORS } from '../utils/theme';
 import { styles } from '../styles/styles';
 import { CategorySelector } from '../components/CategorySelector';
 import { AddCategoryModal } from '../components/AddCategoryModal';
+import { ReminderOffsetPicker } from '../components/ReminderOffsetPicker';
 import { Logo } from '../components/Logo';
+import { QuantityActions } from '../components/QuantityActions';
+import { RemoveItemModal } from '../components/RemoveItemModal';
+import { BatchScanModal } from '../components/BatchScanModal';
+import { ProductDetailModal } from '../components/ProductDetailModal';
+import { PantryListControls } from '../components/PantryListControls';
 import { 
-  ScreenHeader, 
   StatusBadge, 
   EmptyState,
   PrimaryButton,
-  GhostButton,
   DeleteButton
 } from '../components/UI';
 
 export function PantryScreen({ navigation }) {
-  const { items, categories, addItem, deleteItem, addCategory, removeCategory } = useAppContext();
+  const { items, categories, settings, updateSettings, addItem, addItems, updateItem, deleteItem, addCategory, removeCategory } = useAppContext();
   
   // View state
-  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard', 'add-item', or 'category-detail'
-  const [selectedCategoryId, setSelectedCategoryId] = useState(null);
+  const [currentView, setCurrentView] = useState('dashboard'); // 'dashboard', 'add-item', 'category-detail' or 'all-items'
+  const [selectedCategoryId, setSelectedCategoryId] = useState(null); // null while the all-items list is open
+  const [searchQuery, setSearchQuery] = useState(''); // Filters and sort order are kept in settings.pantryList
+  const [editingItemId, setEditingItemId] = useState(null); // Set when the add-item view edits an existing item
   const [showAddCategoryModal, setShowAddCategoryModal] = useState(false);
+  const [itemToRemove, setItemToRemove] = useState(null);
+  const [detailProduct, setDetailProduct] = useState(null); // Item or form contents shown in the product detail modal
   
   // Scanner state
   const [showScanner, setShowScanner] = useState(false);
+  const [showBatchScan, setShowBatchScan] = useState(false);
   const [hasPermission, setHasPermission] = useState(null);
   const [scanned, setScanned] = useState(false);
   const [lastScannedBarcode, setLastScannedBarcode] = useState(null);
@@ -52,18 +67,31 @@ export function PantryScreen({ navigation }) {
   // Form state
   const [name, setName] = useState("");
   const [qty, setQty] = useState("1");
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
   const [date, setDate] = useState(new Date());
+  const [dateSource, setDateSource] = useState('default'); // 'default', 'suggested', 'product', 'printed' or 'user'
+  const [dateType, setDateType] = useState('bestBefore');
+  const [dateTypeChosen, setDateTypeChosen] = useState(false); // Set once the date type comes from the label or the user
   const [barcode, setBarcode] = useState("");
+  const [batch, setBatch] = useState("");
   const [categoryId, setCategoryId] = useState("fridge");
+  const [reminderOffsets, setReminderOffsets] = useState(null); // null follows the category and global settings
   const [imageUrlPreview, setImageUrlPreview] = useState(null);
+  const [productInfo, setProductInfo] = useState(null); // Brand, allergens and nutrition from Open Food Facts
   const [lookupLoading, setLookupLoading] = useState(false);
   const [lastLookupBarcode, setLastLookupBarcode] = useState("");
+  const [unknownBarcode, setUnknownBarcode] = useState(false); // Set when no lookup source knew the scanned barcode
+  const [rememberInCatalog, setRememberInCatalog] = useState(true);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
 
-  const sortedItems = useMemo(() => {
-    return [...items].sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
-  }, [items]);
+  // Items inside their warning window, soonest first, with their status
+  const expiringSoonItems = useMemo(() => {
+    return [...items]
+      .sort((a, b) => new Date(getEffectiveExpiryDate(a)) - new Date(getEffectiveExpiryDate(b)))
+      .map(item => ({ item, status: getExpiryStatus(item, { categories, settings }) }))
+      .filter(({ status }) => isExpiringSoon(status));
+  }, [items, categories, settings.expiryWarningDays]);
 
   // Get category statistics
   const categoryStats = useMemo(() => {
@@ -71,7 +99,7 @@ export function PantryScreen({ navigation }) {
       const categoryItems = items.filter(item => item.categoryId === category.id);
       const nextExpiring = categoryItems.length > 0 
         ? categoryItems.reduce((earliest, item) => 
-            new Date(item.expiryDate) < new Date(earliest.expiryDate) ? item : earliest
+            new Date(getEffectiveExpiryDate(item)) < new Date(getEffectiveExpiryDate(earliest)) ? item : earliest
           )
         : null;
       
@@ -79,32 +107,66 @@ export function PantryScreen({ navigation }) {
         ...category,
         itemCount: categoryItems.length,
         nextExpiring,
-        daysUntilNext: nextExpiring ? daysUntilExpiry(nextExpiring.expiryDate) : null
+        nextStatus: nextExpiring ? getExpiryStatus(nextExpiring, { categories, settings }) : null
       };
     }).filter(cat => cat.itemCount > 0); // Only show categories with items
-  }, [categories, items]);
+  }, [categories, items, settings.expiryWarningDays]);
 
-  // Get items for selected category
-  const selectedCategoryItems = useMemo(() => {
-    if (!selectedCategoryId) return [];
-    return items
-      .filter(item => item.categoryId === selectedCategoryId)
-      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
-  }, [items, selectedCategoryId]);
+  // Items the list views start from: the selected category's, or all of them
+  const listScopeItems = useMemo(() => {
+    if (currentView !== 'category-detail') return items;
+    return items.filter(item => item.categoryId === selectedCategoryId);
+  }, [items, currentView, selectedCategoryId]);
+
+  // Remembered list filters, dropping a category filter whose category was removed
+  const pantryFilters = useMemo(() => {
+    const { categoryId } = settings.pantryList;
+    return categories.some(cat => cat.id === categoryId) ? settings.pantryList : { ...settings.pantryList, categoryId: null };
+  }, [settings.pantryList, categories]);
+
+  // The list views' items after search, filters and sorting, with their status
+  const listEntries = useMemo(() => {
+    const filters = currentView === 'category-detail' ? { ...pantryFilters, categoryId: null } : pantryFilters;
+    return filterPantryItems(listScopeItems, { query: searchQuery, filters, categories, settings });
+  }, [listScopeItems, pantryFilters, categories, settings.expiryWarningDays, currentView, searchQuery]);
+
+  // Shelf-life suggestion for the product in the form
+  const shelfLifeSuggestion = useMemo(() => {
+    if (!name.trim() && !productInfo?.categoriesTags?.length) return null;
+    return suggestExpiryDate({
+      name,
+      categoriesTags: productInfo?.categoriesTags,
+      category: categories.find(cat => cat.id === categoryId),
+    }, settings.shelfLifeOverrides);
+  }, [name, productInfo, categoryId, categories, settings.shelfLifeOverrides]);
+
+  // Follow the suggestion until the date comes from somewhere better
+  useEffect(() => {
+    if (shelfLifeSuggestion && !dateTypeChosen) {
+      setDateType(shelfLifeSuggestion.dateType);
+    }
+    if (shelfLifeSuggestion && (dateSource === 'default' || dateSource === 'suggested')) {
+      setDate(shelfLifeSuggestion.date);
+      setDateSource('suggested');
+    }
+  }, [shelfLifeSuggestion]);
 
   async function performLookup(code) {
     if (!code || code === lastLookupBarcode && (name || imageUrlPreview)) return;
     try {
       setLookupLoading(true);
       setLastLookupBarcode(code);
-      const hit = await lookupOpenFoodFacts(code);
+      const hit = await lookupProduct(code);
       if (!hit) {
         Alert.alert("Ikke fundet", "Kunne ikke finde produkt for den stregkode.");
         setImageUrlPreview(null);
+        setUnknownBarcode(true);
         return;
       }
+      setUnknownBarcode(false);
       if (!name.trim()) setName(hit.displayName);
       setImageUrlPreview(hit.imageUrl || null);
+      setProductInfo(getProductInfo(hit));
     } catch (err) {
       Alert.alert("Opslag fejlede", "Der opstod en fejl under produktopslag.");
     } finally {
@@ -112,7 +174,128 @@ export function PantryScreen({ navigation }) {
     }
   }
 
+  // Fill the form from a lookup hit; catalog products also bring the user's category and shelf life,
+  // Open Food Facts products a category and unit derived from their details
+  function applyLookupHit(hit, { hasExpiryDate = false } = {}) {
+    setName(hit.displayName);
+    setImageUrlPreview(hit.imageUrl || null);
+    setProductInfo(getProductInfo(hit));
+    const suggestedCategoryId = categories.some(cat => cat.id === hit.categoryId)
+      ? hit.categoryId
+      : suggestCategoryId(hit.categoriesTags, categories);
+    if (suggestedCategoryId) {
+      setCategoryId(suggestedCategoryId);
+    }
+    const suggestedQuantity = suggestQuantity(hit.quantity);
+    if (suggestedQuantity) {
+      setQty(String(suggestedQuantity.qty));
+      setUnit(suggestedQuantity.unit);
+    }
+    if (!hasExpiryDate && hit.shelfLifeDays != null) {
+      const suggestedDate = new Date();
+      suggestedDate.setDate(suggestedDate.getDate() + hit.shelfLifeDays);
+      setDate(suggestedDate);
+      setDateSource('product');
+    }
+  }
+
+  // Remember a product no lookup source knew, so the next scan fills in the form
+  async function rememberUnknownProduct() {
+    if (!unknownBarcode || !rememberInCatalog || !barcode.trim()) return;
+    try {
+      await saveCatalogProduct(barcode, {
+        name: name.trim(),
+        categoryId,
+        shelfLifeDays: Math.max(daysBetween(new Date(), date), 0),
+        imageUrl: imageUrlPreview || null
+      });
+    } catch (error) {
+      console.warn('Could not save product to catalog:', error);
+    }
+  }
+
+  function resetForm() {
+    setName("");
+    setQty("1");
+    setUnit(DEFAULT_UNIT);
+    setDate(new Date());
+    setDateSource('default');
+    setDateType('bestBefore');
+    setDateTypeChosen(false);
+    setBarcode("");
+    setBatch("");
+    setCategoryId("fridge");
+    setImageUrlPreview(null);
+    setProductInfo(null);
+    setLastLookupBarcode("");
+    setReminderOffsets(null);
+    setUnknownBarcode(false);
+    setRememberInCatalog(true);
+  }
+
+  // Open the add-item view pre-filled with an existing item
+  function startEditItem(item) {
+    setEditingItemId(item.id);
+    setName(item.name);
+    setQty(String(item.qty));
+    setUnit(getItemUnit(item));
+    setDate(new Date(item.expiryDate + 'T00:00:00'));
+    setDateSource('user');
+    setDateType(getItemDateType(item));
+    setDateTypeChosen(true);
+    setBarcode(item.barcode || "");
+    setBatch(item.batch || "");
+    setCategoryId(item.categoryId);
+    setImageUrlPreview(item.imageUrl || null);
+    setProductInfo(item.productInfo || null);
+    setLastLookupBarcode(item.barcode || "");
+    setReminderOffsets(item.reminderOffsets || null);
+    setUnknownBarcode(false);
+    setCurrentView('add-item');
+  }
+
+  // Leave the add-item view, returning to the list an edited item came from
+  function closeItemForm() {
+    const listView = selectedCategoryId ? 'category-detail' : 'all-items';
+    const returnView = editingItemId ? listView : 'dashboard';
+    setEditingItemId(null);
+    resetForm();
+    setCurrentView(returnView);
+  }
+
+  async function handleUpdateItem() {
+    if (!name.trim() || !date) {
+      Alert.alert("Manglende felter", "Udfyld mindst navn og udløbsdato.");
+      return;
+    }
+
+    const updated = await updateItem(editingItemId, {
+      name: name.trim(),
+      qty: Number(qty.replace(',', '.')) || 1,
+      unit,
+      expiryDate: formatDate(date),
+      dateType,
+      barcode: barcode.trim() || "",
+      batch: batch.trim(),
+      categoryId: categoryId,
+      imageUrl: imageUrlPreview || null,
+      productInfo,
+      reminderOffsets
+    });
+    // updateItem has told the user; keep the form so the edits are not lost
+    if (!updated) return;
+    await rememberUnknownProduct();
+
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    if (selectedCategoryId) setSelectedCategoryId(categoryId);
+    closeItemForm();
+  }
+
   async function handleAddItem() {
+    if (editingItemId) {
+      return handleUpdateItem();
+    }
+
     if (!name.trim() || !date) {
       Alert.alert("Manglende felter", "Udfyld mindst navn og udløbsdato.");
       return;
@@ -121,12 +304,18 @@ export function PantryScreen({ navigation }) {
     try {
       await addItem({
         name: name.trim(),
-        qty: Number(qty) || 1,
+        qty: Number(qty.replace(',', '.')) || 1,
+        unit,
         expiryDate: formatDate(date),
+        dateType,
         barcode: barcode.trim() || "",
+        batch: batch.trim(),
         categoryId: categoryId,
-        imageUrl: imageUrlPreview || null
+        imageUrl: imageUrlPreview || null,
+        productInfo,
+        reminderOffsets
       });
+      await rememberUnknownProduct();
 
       // Success feedback
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
@@ -140,13 +329,10 @@ export function PantryScreen({ navigation }) {
             text: "Tilføj mere",
             style: "default",
             onPress: () => {
-              // Reset form but stay on add screen
-              setName("");
-              setQty("1");
-              setDate(new Date());
-              setBarcode("");
-              setImageUrlPreview(null);
-              setLastLookupBarcode("");
+              // Reset form but stay on add screen, keeping the chosen category
+              const keepCategoryId = categoryId;
+              resetForm();
+              setCategoryId(keepCategoryId);
             }
           },
           {
@@ -154,13 +340,7 @@ export function PantryScreen({ navigation }) {
             style: "default", 
             onPress: () => {
               // Reset form and go back
-              setName("");
-              setQty("1");
-              setDate(new Date());
-              setBarcode("");
-              setCategoryId("fridge");
-              setImageUrlPreview(null);
-              setLastLookupBarcode("");
+              resetForm();
               setCurrentView('dashboard');
             }
           }
@@ -181,46 +361,15 @@ export function PantryScreen({ navigation }) {
     }
   }
 
-  // Product categories with expiry days
-  const PRODUCT_CATEGORIES = {
-    dairy: { keywords: ['mælk', 'milk', 'yoghurt', 'fløde'], days: 8 },
-    bread: { keywords: ['brød', 'bread', 'bagel', 'toast'], days: 4 },
-    meat: { keywords: ['kød', 'meat', 'chicken', 'beef', 'pork'], days: 2 },
-    fish: { keywords: ['fisk', 'fish', 'laks', 'salmon'], days: 1 },
-    eggs: { keywords: ['æg', 'egg'], days: 21 },
-    fruit: { keywords: ['frugt', 'fruit', 'apple', 'banana', 'æble'], days: 6 },
-    vegetables: { keywords: ['grøntsag', 'vegetable', 'salat', 'lettuce'], days: 6 },
-    pantry: { keywords: ['kaffe', 'coffee', 'te', 'tea', 'krydder', 'mel', 'flour', 'sukker', 'sugar', 'ris', 'rice', 'pasta'], days: 180 },
-    canned: { keywords: ['konserv', 'can', 'dåse'], days: 365 }
-  };
-
-  // Function to suggest expiry date based on product type
-  const suggestExpiryDate = (productName) => {
-    const today = new Date();
-    const productLower = productName.toLowerCase();
-    
-    // Find matching category
-    for (const category of Object.values(PRODUCT_CATEGORIES)) {
-      if (category.keywords.some(keyword => productLower.includes(keyword))) {
-        today.setDate(today.getDate() + category.days);
-        return today;
-      }
-    }
-    
-    // Default: 1 week
-    today.setDate(today.getDate() + 7);
-    return today;
-  };
-
   const handleSuggestDate = () => {
-    if (!name.trim()) {
+    if (!shelfLifeSuggestion) {
       Alert.alert("Ingen produktnavn", "Indtast et produktnavn først for at få en datoforslag.");
       return;
     }
-    
-    const suggestedDate = suggestExpiryDate(name);
-    setDate(suggestedDate);
-    Alert.alert("Dato foreslået", `Udløbsdato sat til ${suggestedDate.toLocaleDateString('da-DK')} baseret på produkttype.`);
+
+    setDate(shelfLifeSuggestion.date);
+    setDateSource('suggested');
+    Alert.alert("Dato foreslået", `Udløbsdato sat til ${shelfLifeSuggestion.date.toLocaleDateString('da-DK')} (${describeShelfLife(shelfLifeSuggestion)}).`);
   };
 
   // Scanner functions
@@ -230,17 +379,16 @@ export function PantryScreen({ navigation }) {
     return status === "granted";
   }
 
-  async function openScanner() {
-    if (hasPermission === null) {
-      const granted = await requestCameraPermission();
-      if (!granted) {
-        Alert.alert("Kamera adgang nødvendig", "Tillad kamera adgang for at scanne stregkoder.");
-        return;
-      }
-    } else if (hasPermission === false) {
+  async function ensureCameraAccess() {
+    const granted = hasPermission === null ? await requestCameraPermission() : hasPermission;
+    if (!granted) {
       Alert.alert("Kamera adgang nødvendig", "Tillad kamera adgang for at scanne stregkoder.");
-      return;
     }
+    return granted;
+  }
+
+  async function openScanner() {
+    if (!(await ensureCameraAccess())) return;
     // Reset all scanning state before opening
     setScannerLocked(false);
     setScanned(false);
@@ -252,6 +400,22 @@ export function PantryScreen({ navigation }) {
     setShowScanner(true);
   }
 
+  async function openBatchScan() {
+    if (!(await ensureCameraAccess())) return;
+    setShowBatchScan(true);
+  }
+
+  async function handleBatchCommit(itemDataList) {
+    const added = await addItems(itemDataList);
+    if (added > 0) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert("Succes! ✅", `${added} vare${added !== 1 ? 'r' : ''} er tilføjet til dit pantry!`);
+      resetForm();
+      setCurrentView('dashboard');
+    }
+    return added;
+  }
+
   async function handleBarcodeScan({ data }) {
     const code = String(data);
     const currentTime = Date.now();
@@ -280,25 +444,41 @@ export function PantryScreen({ navigation }) {
     lastScanTime.current = currentTime;
     processedBarcodes.current.add(code);
     
+    // GS1 codes carry the GTIN plus expiry date and batch number
+    const gs1 = parseGS1Barcode(code);
+    const lookupCode = gs1 ? gs1.barcode : code;
+    const gs1Details = gs1 ? [
+      gs1.expiryDate && `📅 Udløbsdato: ${new Date(gs1.expiryDate + 'T00:00:00').toLocaleDateString('da-DK')}`,
+      gs1.batch && `🏷️ Batch: ${gs1.batch}`
+    ].filter(Boolean).map(line => `\n${line}`).join('') : '';
+
     // Immediately lock everything
     setScannerLocked(true);
     setScanned(true);
     setScanInProgress(true);
     setShowScanner(false);
     setLastScannedBarcode(code);
-    setBarcode(code);
+    setBarcode(lookupCode);
+    setBatch(gs1?.batch || "");
+    if (gs1?.expiryDate) {
+      setDate(new Date(gs1.expiryDate + 'T00:00:00'));
+      setDateSource('printed');
+      // AI 17 is a use-by date, AI 15 a best-before date
+      setDateType(gs1.useByDate ? 'useBy' : 'bestBefore');
+      setDateTypeChosen(true);
+    }
     setLookupLoading(true);
     
     console.log(`Processing barcode: ${code} at ${currentTime}`); // Debug log
     
     try {
-      const hit = await lookupOpenFoodFacts(code);
+      const hit = await lookupProduct(lookupCode);
+      setUnknownBarcode(!hit);
       if (hit) {
-        setName(hit.displayName);
-        setImageUrlPreview(hit.imageUrl || null);
+        applyLookupHit(hit, { hasExpiryDate: !!gs1?.expiryDate });
         Alert.alert(
           "Produkt fundet!", 
-          `${hit.displayName} tilføjet til formularen.`,
+          `${hit.displayName} tilføjet til formularen.${gs1Details}`,
           [{ 
             text: "OK", 
             onPress: () => {
@@ -311,7 +491,7 @@ export function PantryScreen({ navigation }) {
       } else {
         Alert.alert(
           "Ikke fundet", 
-          "Kunne ikke finde produkt for den stregkode.",
+          `Kunne ikke finde produkt for den stregkode. Udfyld varen, så husker FooGood den til næste gang.${gs1Details}`,
           [{ 
             text: "OK", 
             onPress: () => {
@@ -337,7 +517,7 @@ export function PantryScreen({ navigation }) {
     } finally {
       setLookupLoading(false);
       setScanInProgress(false);
-      setLastLookupBarcode(code);
+      setLastLookupBarcode(lookupCode);
     }
   }
   
@@ -353,9 +533,9 @@ export function PantryScreen({ navigation }) {
     }, 2000);
   }
 
-  // Handle item deletion with confirmation
+  // Handle item deletion by asking what happened to it
   const handleDeleteItem = (item) => {
-    showDeleteConfirmation(item.name, () => deleteItem(item.id));
+    setItemToRemove(item);
   };
 
   // Pull to refresh function
@@ -413,14 +593,14 @@ export function PantryScreen({ navigation }) {
           ) : currentView === 'add-item' ? (
             <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
               <TouchableOpacity
-                onPress={() => setCurrentView('dashboard')}
+                onPress={closeItemForm}
                 style={{ flexDirection: 'row', alignItems: 'center' }}
               >
                 <Text style={{ fontSize: 18, color: COLORS.primary, marginRight: 8 }}>←</Text>
                 <Text style={{ fontSize: 14, color: COLORS.primary, fontWeight: '600' }}>Back</Text>
               </TouchableOpacity>
               <Logo size={50} />
-              <Text style={[styles.modernTitle, { marginBottom: 0, fontSize: 18 }]}>ADD ITEM</Text>
+              <Text style={[styles.modernTitle, { marginBottom: 0, fontSize: 18 }]}>{editingItemId ? 'EDIT ITEM' : 'ADD ITEM'}</Text>
               <View style={{ width: 60 }} />
             </View>
           ) : (
@@ -434,7 +614,9 @@ export function PantryScreen({ navigation }) {
               </TouchableOpacity>
               <Logo size={50} />
               <Text style={[styles.modernTitle, { marginBottom: 0, fontSize: 16 }]}>
-                {categories.find(cat => cat.id === selectedCategoryId)?.name || 'Category'}
+                {currentView === 'all-items'
+                  ? 'Alle varer'
+                  : categories.find(cat => cat.id === selectedCategoryId)?.name || 'Category'}
               </Text>
               <View style={{ width: 60 }} />
             </View>
@@ -457,20 +639,18 @@ export function PantryScreen({ navigation }) {
             <>
 
               {/* Soon to expire section */}
-              {sortedItems.filter(item => daysUntilExpiry(item.expiryDate) <= 3 && daysUntilExpiry(item.expiryDate) >= 0).length > 0 && (
+              {expiringSoonItems.length > 0 && (
                 <View style={[styles.modernCard, styles.warningCard, { marginBottom: 16 }]}>
                   <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
                     <Text style={{ fontSize: 24, marginRight: 8 }}>⚠️</Text>
                     <Text style={[styles.modernSubtitle, { marginBottom: 0, color: '#92400e' }]}>
-                      Udløber snart: {sortedItems.filter(item => daysUntilExpiry(item.expiryDate) <= 3 && daysUntilExpiry(item.expiryDate) >= 0).length} vare{sortedItems.filter(item => daysUntilExpiry(item.expiryDate) <= 3 && daysUntilExpiry(item.expiryDate) >= 0).length !== 1 ? 'r' : ''}
+                      Udløber snart: {expiringSoonItems.length} vare{expiringSoonItems.length !== 1 ? 'r' : ''}
                     </Text>
                   </View>
-                  {sortedItems
-                    .filter(item => daysUntilExpiry(item.expiryDate) <= 3 && daysUntilExpiry(item.expiryDate) >= 0)
+                  {expiringSoonItems
                     .slice(0, 3)
-                    .map((item) => {
+                    .map(({ item, status }) => {
                       const category = categories.find(c => c.id === item.categoryId);
-                      const daysLeft = daysUntilExpiry(item.expiryDate);
                       return (
                         <View key={item.id} style={{ 
                           flexDirection: 'row', 
@@ -482,22 +662,34 @@ export function PantryScreen({ navigation }) {
                         }}>
                           <Text style={{ fontSize: 16, marginRight: 8 }}>{category?.icon}</Text>
                           <Text style={{ flex: 1, fontWeight: '500', color: '#92400e' }}>{item.name}</Text>
-                          <View style={{
-                            backgroundColor: daysLeft === 0 ? '#dc2626' : daysLeft <= 1 ? '#f59e0b' : '#10b981',
-                            paddingHorizontal: 8,
-                            paddingVertical: 4,
-                            borderRadius: 12
-                          }}>
-                            <Text style={{ color: 'white', fontSize: 12, fontWeight: '700' }}>
-                              {daysLeft === 0 ? 'I dag!' : daysLeft === 1 ? '1 dag' : `${daysLeft} dage`}
-                            </Text>
-                          </View>
+                          <StatusBadge daysLeft={status.daysLeft} dateType={status.dateType} warningDays={status.warningDays} />
                         </View>
                       );
                     })}
                 </View>
               )}
 
+              {/* Search all items */}
+              {items.length > 0 && (
+                <TouchableOpacity
+                  onPress={() => {
+                    setSelectedCategoryId(null);
+                    setSearchQuery('');
+                    setCurrentView('all-items');
+                  }}
+                  style={[styles.modernCard, {
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    paddingVertical: 14,
+                    marginBottom: 16
+                  }]}
+                >
+                  <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }}>🔍 Søg og filtrer alle varer</Text>
+                  <Text style={{ fontSize: 14, color: COLORS.textSecondary }}>{items.length} ›</Text>
+                </TouchableOpacity>
+              )}
+
               {/* Categories overview */}
               {categoryStats.length === 0 ? (
                 <EmptyState 
@@ -512,10 +704,11 @@ export function PantryScreen({ navigation }) {
                     style={[styles.modernItemCard, { 
                       backgroundColor: COLORS.backgroundCard,
                       borderLeftWidth: 4,
-                      borderLeftColor: categoryStat.daysUntilNext <= 2 ? COLORS.warning : COLORS.success
+                      borderLeftColor: categoryStat.nextStatus.key === 'fresh' ? COLORS.success : COLORS.warning
                     }]}
                     onPress={() => {
                       setSelectedCategoryId(categoryStat.id);
+                      setSearchQuery('');
                       setCurrentView('category-detail');
                     }}
                   >
@@ -536,8 +729,12 @@ export function PantryScreen({ navigation }) {
                           </Text>
                         </View>
                       </View>
-                      {categoryStat.nextExpiring && (
-                        <StatusBadge daysLeft={categoryStat.daysUntilNext} />
+                      {categoryStat.nextStatus && (
+                        <StatusBadge
+                          daysLeft={categoryStat.nextStatus.daysLeft}
+                          dateType={categoryStat.nextStatus.dateType}
+                          warningDays={categoryStat.nextStatus.warningDays}
+                        />
                       )}
                     </View>
                   </TouchableOpacity>
@@ -552,7 +749,28 @@ export function PantryScreen({ navigation }) {
 
               {/* Add new item form */}
               <View style={styles.modernCard}>
-                <Text style={[styles.modernTitle, { marginBottom: 16, fontSize: 22 }]}>Tilføj nyt produkt</Text>
+                <Text style={[styles.modernTitle, { marginBottom: 16, fontSize: 22 }]}>
+                  {editingItemId ? 'Rediger produkt' : 'Tilføj nyt produkt'}
+                </Text>
+                {!editingItemId && (
+                  <TouchableOpacity
+                    onPress={openBatchScan}
+                    style={{
+                      flexDirection: 'row',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      gap: 8,
+                      paddingVertical: 12,
+                      borderRadius: 12,
+                      borderWidth: 1,
+                      borderColor: COLORS.primary,
+                      marginBottom: 16
+                    }}
+                  >
+                    <Text style={{ fontSize: 16 }}>📦</Text>
+                    <Text style={{ color: COLORS.primary, fontSize: 14, fontWeight: '700' }}>Scan flere varer på én gang</Text>
+                  </TouchableOpacity>
+                )}
             <View style={styles.inputContainer}>
               <Text style={{ 
                 fontSize: 14, 
@@ -600,12 +818,36 @@ export function PantryScreen({ navigation }) {
               </Text>
               <TextInput
                 style={styles.modernInput}
-                placeholder="Hvor mange styk?"
+                placeholder="Hvor meget?"
                 placeholderTextColor="#9ca3af"
                 keyboardType="numeric"
                 value={qty}
                 onChangeText={setQty}
               />
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 }}>
+                {UNIT_OPTIONS.map((option) => (
+                  <TouchableOpacity
+                    key={option}
+                    onPress={() => setUnit(option)}
+                    style={{
+                      paddingHorizontal: 12,
+                      paddingVertical: 6,
+                      borderRadius: 8,
+                      backgroundColor: unit === option ? COLORS.primary : COLORS.backgroundCard,
+                      borderWidth: 1,
+                      borderColor: unit === option ? COLORS.primary : COLORS.border
+                    }}
+                  >
+                    <Text style={{
+                      color: unit === option ? COLORS.textLight : COLORS.textPrimary,
+                      fontWeight: '600',
+                      fontSize: 13
+                    }}>
+                      {UNITS[option].label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
             </View>
             <View style={styles.inputContainer}>
               <Text style={{ 
@@ -657,6 +899,93 @@ export function PantryScreen({ navigation }) {
                   <Text style={{ fontSize: 16, color: 'white' }}>💡</Text>
                 </TouchableOpacity>
               </View>
+              {shelfLifeSuggestion && (
+                <Text style={{ color: COLORS.textSecondary, fontSize: 12, marginTop: 6 }}>
+                  💡 Forslag: {shelfLifeSuggestion.date.toLocaleDateString('da-DK')} ({describeShelfLife(shelfLifeSuggestion)})
+                  {dateSource === 'suggested' ? '' : ' · tryk 💡 for at bruge det'}
+                </Text>
+              )}
+              <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+                {DATE_TYPE_OPTIONS.map((option) => (
+                  <TouchableOpacity
+                    key={option}
+                    onPress={() => {
+                      setDateType(option);
+                      setDateTypeChosen(true);
+                    }}
+                    style={{
+                      flex: 1,
+                      paddingHorizontal: 12,
+                      paddingVertical: 6,
+                      borderRadius: 8,
+                      alignItems: 'center',
+                      backgroundColor: dateType === option ? COLORS.primary : COLORS.backgroundCard,
+                      borderWidth: 1,
+                      borderColor: dateType === option ? COLORS.primary : COLORS.border
+                    }}
+                  >
+                    <Text style={{
+                      color: dateType === option ? COLORS.textLight : COLORS.textPrimary,
+                      fontWeight: '600',
+                      fontSize: 13
+                    }}>
+                      {DATE_TYPES[option].icon} {DATE_TYPES[option].label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+            {(barcode || batch) ? (
+              <View style={styles.inputContainer}>
+                <Text style={{ 
+                  fontSize: 14, 
+                  fontWeight: '600', 
+                  color: COLORS.textPrimary, 
+                  marginBottom: 6 
+                }}>
+                  Batchnummer
+                </Text>
+                <TextInput
+                  style={styles.modernInput}
+                  placeholder="Valgfrit"
+                  placeholderTextColor="#9ca3af"
+                  value={batch}
+                  onChangeText={setBatch}
+                  autoCapitalize="characters"
+                />
+              </View>
+            ) : null}
+            {unknownBarcode && barcode ? (
+              <View style={[styles.inputContainer, { flexDirection: 'row', alignItems: 'center' }]}>
+                <View style={{ flex: 1, marginRight: 12 }}>
+                  <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.textPrimary }}>
+                    Husk i mit produktkatalog
+                  </Text>
+                  <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 2 }}>
+                    Navn, kategori og holdbarhed udfyldes næste gang stregkoden scannes
+                  </Text>
+                </View>
+                <Switch
+                  value={rememberInCatalog}
+                  onValueChange={setRememberInCatalog}
+                  trackColor={{ true: COLORS.primary }}
+                />
+              </View>
+            ) : null}
+            <View style={styles.inputContainer}>
+              <Text style={{ 
+                fontSize: 14, 
+                fontWeight: '600', 
+                color: COLORS.textPrimary, 
+                marginBottom: 6 
+              }}>
+                Påmindelser
+              </Text>
+              <ReminderOffsetPicker
+                value={reminderOffsets}
+                onChange={setReminderOffsets}
+                inheritLabel="Som kategorien"
+              />
             </View>
             {lookupLoading && (
               <View style={{ 
@@ -683,8 +1012,18 @@ export function PantryScreen({ navigation }) {
             {imageUrlPreview && (
               <Image source={{ uri: imageUrlPreview }} style={styles.productImage} />
             )}
+            {productInfo && (
+              <TouchableOpacity
+                onPress={() => setDetailProduct({ name: name.trim() || 'Produkt', barcode, imageUrl: imageUrlPreview, productInfo })}
+                style={{ alignItems: 'center', paddingVertical: 8, marginBottom: 8 }}
+              >
+                <Text style={{ color: COLORS.primary, fontSize: 14, fontWeight: '600' }}>
+                  ℹ️ Se produktinfo{productInfo.brand ? ` · ${productInfo.brand}` : ''}
+                </Text>
+              </TouchableOpacity>
+            )}
             <PrimaryButton 
-              title="✨ Tilføj til pantry" 
+              title={editingItemId ? "💾 Gem ændringer" : "✨ Tilføj til pantry"} 
               onPress={handleAddItem}
               style={styles.modernButton}
             />
@@ -692,21 +1031,33 @@ export function PantryScreen({ navigation }) {
             </>
           )}
 
-          {/* Category Detail View */}
-          {currentView === 'category-detail' && (
+          {/* Category Detail and All Items Views */}
+          {(currentView === 'category-detail' || currentView === 'all-items') && (
             <>
-              <Text style={[styles.modernSubtitle, { marginTop: 8 }]}>
-                {selectedCategoryItems.length} vare{selectedCategoryItems.length !== 1 ? 'r' : ''} i denne kategori
-              </Text>
+              <PantryListControls
+                query={searchQuery}
+                onQueryChange={setSearchQuery}
+                filters={pantryFilters}
+                onFiltersChange={changes => updateSettings({ pantryList: changes }).catch(() => {})}
+                showCategoryFilter={currentView === 'all-items'}
+                resultCount={listEntries.length}
+                totalCount={listScopeItems.length}
+              />
               
-              {selectedCategoryItems.length === 0 ? (
+              {listScopeItems.length === 0 ? (
                 <EmptyState 
-                  title="Ingen varer i denne kategori"
-                  subtitle="Tilføj fødevarer til denne kategori"
+                  title={currentView === 'all-items' ? 'Ingen varer endnu' : 'Ingen varer i denne kategori'}
+                  subtitle="Tilføj fødevarer med ADD knappen"
                   emoji="📦"
                 />
+              ) : listEntries.length === 0 ? (
+                <EmptyState 
+                  title="Ingen varer matcher"
+                  subtitle="Prøv en anden søgning eller nulstil filtrene"
+                  emoji="🔍"
+                />
               ) : (
-                selectedCategoryItems.map((item) => {
+                listEntries.map(({ item, status }) => {
                   const category = categories.find(cat => cat.id === item.categoryId) || categories[0];
                   return (
                     <View key={item.id} style={styles.modernItemCard}>
@@ -715,18 +1066,54 @@ export function PantryScreen({ navigation }) {
                           <Text style={{ fontSize: 16, marginRight: 8 }}>{category?.icon}</Text>
                           <View style={{ flex: 1 }}>
                             <Text style={styles.itemName}>{item.name}</Text>
-                            <Text style={styles.itemExpiry}>Udløber: {item.expiryDate}</Text>
-                            <Text style={styles.itemQty}>Antal: {item.qty}</Text>
+                            <Text style={styles.itemExpiry}>{DATE_TYPES[status.dateType].label}: {getEffectiveExpiryDate(item)}</Text>
+                            {item.openedDate && (
+                              <Text style={[styles.itemQty, { color: COLORS.textSecondary, fontSize: 12 }]}>
+                                📂 Åbnet {item.openedDate}{getEffectiveExpiryDate(item) !== item.expiryDate ? ` · trykt dato ${item.expiryDate}` : ''}
+                              </Text>
+                            )}
+                            <Text style={styles.itemQty}>Antal: {formatQuantity(item.qty, getItemUnit(item))}</Text>
                           </View>
                         </View>
                         <View style={{ alignItems: 'center', gap: 6 }}>
-                          <StatusBadge daysLeft={daysUntilExpiry(item.expiryDate)} />
-                          <DeleteButton
-                            onPress={() => handleDeleteItem(item)}
-                            size="medium"
-                          />
+                          <StatusBadge daysLeft={status.daysLeft} dateType={status.dateType} warningDays={status.warningDays} />
+                          <View style={{ flexDirection: 'row', gap: 6 }}>
+                            {item.productInfo && (
+                              <TouchableOpacity
+                                onPress={() => setDetailProduct(item)}
+                                style={{
+                                  backgroundColor: COLORS.backgroundCard,
+                                  borderRadius: 6,
+                                  padding: 6,
+                                  minWidth: 28,
+                                  alignItems: 'center',
+                                  justifyContent: 'center'
+                                }}
+                              >
+                                <Text style={{ fontSize: 14 }}>ℹ️</Text>
+                              </TouchableOpacity>
+                            )}
+                            <TouchableOpacity
+                              onPress={() => startEditItem(item)}
+                              style={{
+                                backgroundColor: COLORS.primary,
+                                borderRadius: 6,
+                                padding: 6,
+                                minWidth: 28,
+                                alignItems: 'center',
+                                justifyContent: 'center'
+                              }}
+                            >
+                              <Text style={{ color: COLORS.textLight, fontSize: 14 }}>✏️</Text>
+                            </TouchableOpacity>
+                            <DeleteButton
+                              onPress={() => handleDeleteItem(item)}
+                              size="medium"
+                            />
+                          </View>
                         </View>
                       </View>
+                      <QuantityActions item={item} />
                     </View>
                   );
                 })
@@ -744,12 +1131,29 @@ export function PantryScreen({ navigation }) {
               setShowDatePicker(false);
               if (selectedDate) {
                 setDate(selectedDate);
+                setDateSource('user');
               }
             }}
-            minimumDate={new Date()}
+            // An edited item may already be past its date; new items start from today
+            minimumDate={editingItemId ? undefined : new Date()}
           />
         )}
         
+        {/* Remove Item Modal */}
+        <RemoveItemModal
+          visible={!!itemToRemove}
+          item={itemToRemove}
+          onClose={() => setItemToRemove(null)}
+          onRemove={(item, outcome) => deleteItem(item.id, outcome)}
+        />
+
+        {/* Product Detail Modal */}
+        <ProductDetailModal
+          visible={!!detailProduct}
+          product={detailProduct}
+          onClose={() => setDetailProduct(null)}
+        />
+
         {/* Add Category Modal */}
         <AddCategoryModal
           visible={showAddCategoryModal}
@@ -757,6 +1161,13 @@ export function PantryScreen({ navigation }) {
           onAdd={handleAddCategory}
         />
 
+        {/* Batch Scan Modal */}
+        <BatchScanModal
+          visible={showBatchScan}
+          onClose={() => setShowBatchScan(false)}
+          onCommit={handleBatchCommit}
+        />
+
         {/* Scanner Modal */}
         <Modal
           visible={showScanner}
@@ -786,7 +1197,7 @@ export function PantryScreen({ navigation }) {
                 style={{ flex: 1 }}
                 onBarcodeScanned={(scannerLocked || scanned || scanInProgress) ? undefined : handleBarcodeScan}
                 barcodeScannerSettings={{
-                  barcodeTypes: ["qr", "pdf417", "ean13", "ean8", "upc_a", "upc_e", "code128", "code39"],
+                  barcodeTypes: ["qr", "pdf417", "ean13", "ean8", "upc_a", "upc_e", "code128", "code39", "datamatrix"],
                 }}
               />
 
@@ -0,0 +1,152 @@
+/**
+ * Product Catalog Screen - the user's own products for barcodes Open Food Facts does not know
+ */
+import React, { useState, useCallback } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Image, Alert } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
+import { useFocusEffect } from '@react-navigation/native';
+
+import { useAppContext } from '../context/AppContext';
+import { loadProductCatalog, saveCatalogProduct, removeCatalogProduct } from '../services/productCatalog';
+import { COLORS } from '../utils/theme';
+import { styles } from '../styles/styles';
+import { EmptyState, PrimaryButton, DeleteButton } from '../components/UI';
+import { CatalogProductModal } from '../components/CatalogProductModal';
+
+export function ProductCatalogScreen({ navigation }) {
+  const { categories } = useAppContext();
+  const [catalog, setCatalog] = useState([]);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [modalVisible, setModalVisible] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadProductCatalog().then(setCatalog);
+    }, [])
+  );
+
+  const sortedCatalog = [...catalog].sort((a, b) => a.name.localeCompare(b.name, 'da'));
+
+  const openEditor = (product = null) => {
+    setEditingProduct(product);
+    setModalVisible(true);
+  };
+
+  const handleSave = async (barcode, fields) => {
+    if (!editingProduct && catalog.some(product => product.barcode === barcode)) {
+      throw new Error('Stregkoden findes allerede i kataloget');
+    }
+    setCatalog(await saveCatalogProduct(barcode, fields));
+  };
+
+  const handleRemove = (product) => {
+    Alert.alert(
+      'Fjern produkt',
+      `Skal "${product.name}" fjernes fra kataloget? Varer i dit pantry påvirkes ikke.`,
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Fjern',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setCatalog(await removeCatalogProduct(product.barcode));
+            } catch (error) {
+              Alert.alert('Fejl', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const describeProduct = (product) => {
+    const category = categories.find(cat => cat.id === product.categoryId);
+    return [
+      product.barcode,
+      category && `${category.icon} ${category.name}`,
+      product.shelfLifeDays != null && `${product.shelfLifeDays} dage`
+    ].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <LinearGradient colors={COLORS.gradients.settings} style={styles.screenGradient}>
+      <SafeAreaView style={{ flex: 1 }}>
+        <StatusBar style="dark" />
+
+        <View style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          paddingHorizontal: 20,
+          paddingVertical: 12,
+          backgroundColor: COLORS.backgroundLight,
+          borderBottomWidth: 1,
+          borderBottomColor: 'rgba(0,0,0,0.05)'
+        }}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 8 }}>
+            <Text style={{ fontSize: 16, color: COLORS.primary, fontWeight: '600' }}>← Tilbage</Text>
+          </TouchableOpacity>
+          <Text style={[styles.modernTitle, { marginBottom: 0, flex: 1, textAlign: 'center' }]}>Produktkatalog</Text>
+          <View style={{ width: 80 }} />
+        </View>
+
+        <ScrollView style={styles.container}>
+          <View style={[styles.modernCard, { marginBottom: 20 }]}>
+            <Text style={{ color: COLORS.textSecondary, fontSize: 14, lineHeight: 20, marginBottom: 16 }}>
+              Produkter du selv har navngivet. Når stregkoden scannes igen, udfyldes navn, kategori og udløbsdato herfra før Open Food Facts spørges.
+            </Text>
+            <PrimaryButton title="➕ Tilføj produkt" onPress={() => openEditor()} />
+          </View>
+
+          {sortedCatalog.length === 0 ? (
+            <EmptyState
+              title="Kataloget er tomt"
+              subtitle="Scan en vare FooGood ikke kender, så gemmes den her"
+              emoji="📒"
+            />
+          ) : (
+            <View style={[styles.modernCard, { marginBottom: 20 }]}>
+              {sortedCatalog.map((product, index) => (
+                <TouchableOpacity
+                  key={product.barcode}
+                  onPress={() => openEditor(product)}
+                  style={{
+                    flexDirection: 'row',
+                    alignItems: 'center',
+                    paddingVertical: 10,
+                    borderTopWidth: index === 0 ? 0 : 1,
+                    borderTopColor: COLORS.border
+                  }}
+                >
+                  {product.imageUrl ? (
+                    <Image source={{ uri: product.imageUrl }} style={{ width: 40, height: 40, borderRadius: 8, marginRight: 12 }} />
+                  ) : (
+                    <Text style={{ fontSize: 28, marginRight: 12 }}>📦</Text>
+                  )}
+                  <View style={{ flex: 1 }}>
+                    <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.textPrimary }} numberOfLines={1}>
+                      {product.name}
+                    </Text>
+                    <Text style={{ fontSize: 12, color: COLORS.textSecondary }} numberOfLines={1}>
+                      {describeProduct(product)}
+                    </Text>
+                  </View>
+                  <DeleteButton onPress={() => handleRemove(product)} size="small" />
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </ScrollView>
+
+        <CatalogProductModal
+          visible={modalVisible}
+          product={editingProduct}
+          onClose={() => setModalVisible(false)}
+          onSave={handleSave}
+        />
+      </SafeAreaView>
+    </LinearGradient>
+  );
+}
@@ -10,7 +10,8 @@ import { useNavigation } from '@react-navigation/native';
 import * as Haptics from 'expo-haptics';
 
 import { useAppContext } from '../context/AppContext';
-import { daysUntilExpiry } from '../utils/dateUtils';
+import { daysUntilExpiry, getEffectiveExpiryDate } from '../utils/dateUtils';
+import { getExpiryStatus, needsAttention } from '../utils/expiryStatus';
 import { COLORS } from '../utils/theme';
 import { styles } from '../styles/styles';
 import { ScreenHeader, StatusBadge, EmptyState, PrimaryButton, GhostButton } from '../components/UI';
@@ -19,7 +20,7 @@ import { generateRecipeSuggestions } from '../services/aiRecipeService';
 import { addRecipeToShoppingList } from '../services/shoppingListService';
 
 export function RecipesScreen() {
-  const { items, categories } = useAppContext();
+  const { items, categories, settings } = useAppContext();
   const navigation = useNavigation();
   const [selectedDifficulty, setSelectedDifficulty] = useState('all'); // 'easy', 'medium', 'hard', 'all'
   const [aiRecipes, setAiRecipes] = useState([]);
@@ -32,7 +33,8 @@ export function RecipesScreen() {
       .filter(item => item.qty > 0) // Only items we have
       .map(item => ({
         ...item,
-        daysLeft: daysUntilExpiry(item.expiryDate),
+        daysLeft: daysUntilExpiry(getEffectiveExpiryDate(item)),
+        status: getExpiryStatus(item, { categories, settings }),
         category: categories.find(c => c.id === item.categoryId)
       }))
       .sort((a, b) => {
@@ -43,7 +45,7 @@ export function RecipesScreen() {
         // Then by quantity (more items first)
         return b.qty - a.qty;
       });
-  }, [items, categories]);
+  }, [items, categories, settings.expiryWarningDays]); // Other settings must not rebuild the list and ask for new recipes
 
   // Load AI recipe suggestions when ingredients change
   useEffect(() => {
@@ -547,7 +549,7 @@ export function RecipesScreen() {
           ) : (
             <>
               {/* Priority ingredients info */}
-              {prioritizedIngredients.filter(item => item.daysLeft <= 3).length > 0 && (
+              {prioritizedIngredients.some(item => needsAttention(item.status)) && (
                 <View style={[styles.modernCard, styles.warningCard, { marginBottom: 20 }]}>
                   <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
                     <Text style={{ fontSize: 20, marginRight: 8 }}>⚡</Text>
@@ -560,7 +562,7 @@ export function RecipesScreen() {
                   </Text>
                   <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
                     {prioritizedIngredients
-                      .filter(item => item.daysLeft <= 3)
+                      .filter(item => needsAttention(item.status))
                       .slice(0, 6)
                       .map((item) => (
                         <View key={`priority-${item.id}`} style={{
@@ -574,7 +576,7 @@ export function RecipesScreen() {
                           <Text style={{ fontSize: 12, fontWeight: '600', color: '#92400e' }}>
                             {item.name}
                           </Text>
-                          <StatusBadge daysLeft={item.daysLeft} style={{ marginLeft: 4, transform: [{ scale: 0.8 }] }} />
+                          <StatusBadge daysLeft={item.status.daysLeft} dateType={item.status.dateType} warningDays={item.status.warningDays} style={{ marginLeft: 4, transform: [{ scale: 0.8 }] }} />
                         </View>
                       ))}
                   </View>
@@ -672,6 +674,7 @@ export function RecipesScreen() {
                                   }}>
                                     {ingredient.name} ({ingredient.amount})
                                     {ingredient.priority === 'high' && ' ⚡'}
+                                    {ingredient.insufficient && ` ⚠️ har ${ingredient.pantryAmount}`}
                                   </Text>
                                 </View>
                               ))}
@@ -9,14 +9,23 @@ import { StatusBar } from 'expo-status-bar';
 
 import { useAppContext } from '../context/AppContext';
 import { getShoppingList, getShoppingStats } from '../services/shoppingListService';
+import { getExpiryStatus, isExpiringSoon } from '../utils/expiryStatus';
 import { COLORS } from '../utils/theme';
 import { styles } from '../styles/styles';
 import { ScreenHeader, PrimaryButton } from '../components/UI';
 import { SettingsIcon } from '../components/Logo';
 import { CategoryManagementModal } from '../components/CategoryManagementModal';
+import { WasteStatsCard } from '../components/WasteStatsCard';
+import { DataManagementCard } from '../components/DataManagementCard';
+import { ReminderSettingsCard } from '../components/ReminderSettingsCard';
+import { NotificationPreferencesCard } from '../components/NotificationPreferencesCard';
+import { NotificationDebugCard } from '../components/NotificationDebugCard';
+import { ProductLookupCard } from '../components/ProductLookupCard';
+import { ShelfLifeCard } from '../components/ShelfLifeCard';
+import { ExpiryWarningCard } from '../components/ExpiryWarningCard';
 
 export function SettingsScreen() {
-  const { items } = useAppContext();
+  const { items, categories, settings } = useAppContext();
   const [categoryModalVisible, setCategoryModalVisible] = useState(false);
   const [shoppingListStats, setShoppingListStats] = useState({ total: 0, checked: 0, unchecked: 0 });
 
@@ -105,13 +114,7 @@ export function SettingsScreen() {
               }}>
                 <Text style={{ fontSize: 24, marginBottom: 4 }}>⏰</Text>
                 <Text style={{ fontSize: 24, fontWeight: '700', color: COLORS.warning, marginBottom: 2 }}>
-                  {items.filter(item => {
-                    const today = new Date();
-                    const expiry = new Date(item.expiryDate);
-                    const diffTime = expiry - today;
-                    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-                    return diffDays <= 3 && diffDays >= 0;
-                  }).length}
+                  {items.filter(item => isExpiringSoon(getExpiryStatus(item, { categories, settings }))).length}
                 </Text>
                 <Text style={{ fontSize: 12, color: COLORS.textSecondary, textAlign: 'center' }}>
                   Udløber snart
@@ -120,6 +123,15 @@ export function SettingsScreen() {
             </View>
           </View>
 
+          {/* Food Waste Statistics */}
+          <WasteStatsCard />
+
+          {/* Notification Preferences */}
+          <NotificationPreferencesCard />
+
+          {/* Reminder Settings */}
+          <ReminderSettingsCard />
+
           {/* Category Management - Primary Feature */}
           <View style={[styles.modernCard, { 
             marginBottom: 20,
@@ -177,6 +189,21 @@ export function SettingsScreen() {
             </TouchableOpacity>
           </View>
 
+          {/* Product Lookup */}
+          <ProductLookupCard />
+
+          {/* Expiring Soon Window */}
+          <ExpiryWarningCard />
+
+          {/* Shelf Life */}
+          <ShelfLifeCard />
+
+          {/* Backup & Restore */}
+          <DataManagementCard />
+
+          {/* Notification Debug */}
+          <NotificationDebugCard />
+
           {/* Category Management Modal */}
           <CategoryManagementModal
             visible={categoryModalVisible}
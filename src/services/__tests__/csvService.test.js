@@ -0,0 +1,104 @@
+import { CSV_FORMATS, exportItemsAsCSV, parseCSVRows, parseCSVDate, parseItemsCSV } from '../csvService';
+
+const categories = [
+  { id: 'fridge', name: 'Køleskab', icon: '🧊' },
+  { id: 'pantry', name: 'Spisekammer', icon: '🥫' },
+];
+
+const items = [
+  { id: '1', name: 'Mel, hvede', qty: 1.5, unit: 'kg', expiryDate: '2026-11-01', dateType: 'bestBefore', categoryId: 'pantry', barcode: '5701234567892' },
+  { id: '2', name: 'Mælk', qty: 1, unit: 'l', expiryDate: '2026-10-25', categoryId: 'fridge' },
+];
+
+describe('exportItemsAsCSV', () => {
+  it('writes a header and quotes values containing the delimiter', () => {
+    const lines = exportItemsAsCSV(items, categories).split('\n');
+    expect(lines[0]).toBe('Navn,Antal,Enhed,Udløbsdato,Datotype,Kategori,Stregkode');
+    expect(lines[1]).toBe('"Mel, hvede",1.5,kg,2026-11-01,Bedst før,Spisekammer,5701234567892');
+    expect(lines[2]).toBe('Mælk,1,l,2026-10-25,Sidste anvendelsesdag,Køleskab,');
+  });
+
+  it('writes semicolons and decimal commas for Danish Excel', () => {
+    const lines = exportItemsAsCSV(items, categories, CSV_FORMATS.excel).split('\n');
+    expect(lines[0]).toBe('Navn;Antal;Enhed;Udløbsdato;Datotype;Kategori;Stregkode');
+    expect(lines[1]).toBe('Mel, hvede;1,5;kg;2026-11-01;Bedst før;Spisekammer;5701234567892');
+  });
+
+  it('reads back what it writes in either format', () => {
+    Object.values(CSV_FORMATS).forEach(format => {
+      const { items: parsed, errors } = parseItemsCSV(exportItemsAsCSV(items, categories, format), categories);
+      expect(errors).toEqual([]);
+      expect(parsed.map(item => [item.name, item.qty, item.unit, item.categoryId])).toEqual([
+        ['Mel, hvede', 1.5, 'kg', 'pantry'],
+        ['Mælk', 1, 'l', 'fridge'],
+      ]);
+      expect(parsed[0].dateType).toBe('bestBefore');
+    });
+  });
+});
+
+describe('parseCSVRows', () => {
+  it('handles quoted delimiters, escaped quotes and line breaks', () => {
+    const text = 'a,"b, c","say ""hi"""\r\n"two\nlines",x,y\n';
+    expect(parseCSVRows(text, ',')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['two\nlines', 'x', 'y'],
+    ]);
+  });
+
+  it('drops blank lines', () => {
+    expect(parseCSVRows('a;b\n\n;\nc;d\n', ';')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('parseCSVDate', () => {
+  it('reads ISO and Danish day-first dates', () => {
+    expect(parseCSVDate('2026-3-7')).toBe('2026-03-07');
+    expect(parseCSVDate('07-03-2026')).toBe('2026-03-07');
+    expect(parseCSVDate('7/3/2026')).toBe('2026-03-07');
+    expect(parseCSVDate('7.3.26')).toBe('2026-03-07');
+  });
+
+  it('rejects dates that do not exist', () => {
+    expect(parseCSVDate('31-02-2026')).toBeNull();
+    expect(parseCSVDate('i morgen')).toBeNull();
+  });
+});
+
+describe('parseItemsCSV', () => {
+  it('detects a semicolon delimiter and decimal commas', () => {
+    const { items: parsed } = parseItemsCSV('Navn;Antal;Enhed;Udløbsdato\nSmør;0,25;kg;01-11-2026', categories);
+    expect(parsed).toEqual([expect.objectContaining({ name: 'Smør', qty: 0.25, unit: 'kg', expiryDate: '2026-11-01' })]);
+  });
+
+  it('reports errors by their line in the file, counting blank lines', () => {
+    const text = [
+      'Navn,Udløbsdato,Kategori',
+      '',
+      'Ost,2026-11-01,Køleskab',
+      '"Tomater',
+      'på dåse",ikke en dato,Spisekammer',
+      '',
+      'Æg,2026-11-02,Fryser',
+    ].join('\n');
+    const { items: parsed, errors } = parseItemsCSV(text, categories);
+    expect(parsed.map(item => item.name)).toEqual(['Ost']);
+    expect(errors.map(error => error.row)).toEqual([4, 7]);
+  });
+
+  it('guesses a missing date type from the product, like the add form', () => {
+    const { items: parsed } = parseItemsCSV('Navn,Udløbsdato,Datotype\nHakket oksekød,2026-11-01,\nRis,2027-01-01,', categories);
+    expect(parsed.map(item => item.dateType)).toEqual(['useBy', 'bestBefore']);
+  });
+
+  it('falls back to the first category and tells which columns it found', () => {
+    const { items: parsed, columns } = parseItemsCSV('name\tdate\nRis\t2027-01-01', categories);
+    expect(parsed[0].categoryId).toBe('fridge');
+    expect(columns).toEqual(['name', 'expiryDate']);
+  });
+
+  it('rejects files without the required columns', () => {
+    expect(() => parseItemsCSV('', categories)).toThrow('Filen er tom');
+    expect(() => parseItemsCSV('Navn,Antal\nOst,1', categories)).toThrow('Udløbsdato');
+  });
+});
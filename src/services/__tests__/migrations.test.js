@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { migrateData, runMigrations, CURRENT_SCHEMA_VERSION } from '../migrations';
+import { STORAGE_KEYS } from '../schemaStorage';
+
+const createdAt = new Date(1700000000000).toISOString();
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('migrateData', () => {
+  it('upgrades unversioned items to the current schema', () => {
+    const data = {
+      items: [
+        { id: '1700000000000', name: 'Mælk', qty: '2', expiryDate: '2026-10-25', notificationId: 'n1' },
+        { id: 'abc', name: 'Ost', unit: 'g', categoryId: 'fridge', expiryDate: '2026-11-01' },
+      ],
+      settings: { expiryWarningDays: 3 },
+    };
+
+    const migrated = migrateData(data, 0);
+
+    expect(migrated.settings).toBe(data.settings);
+    expect(migrated.items[0]).toEqual({
+      id: '1700000000000',
+      name: 'Mælk',
+      qty: 2,
+      unit: 'stk',
+      categoryId: 'pantry',
+      expiryDate: '2026-10-25',
+      createdAt,
+      notificationIds: ['n1'],
+      dateType: 'useBy',
+    });
+    expect(migrated.items[1]).toMatchObject({ qty: 1, unit: 'g', categoryId: 'fridge', notificationIds: [] });
+    expect(Number.isNaN(Date.parse(migrated.items[1].createdAt))).toBe(false);
+  });
+
+  it('archives used up items instead of giving them a quantity again', () => {
+    const archived = { id: 'old', name: 'Smør', qty: 0, archivedAt: '2026-01-01T00:00:00.000Z' };
+    const data = {
+      items: [
+        { id: '1', name: 'Mælk', qty: '0', expiryDate: '2026-10-25' },
+        { id: '2', name: 'Ost', qty: 1, expiryDate: '2026-11-01' },
+      ],
+      archive: [archived],
+    };
+
+    const migrated = migrateData(data, 0);
+
+    expect(migrated.items.map(item => item.name)).toEqual(['Ost']);
+    expect(migrated.archive).toEqual([
+      archived,
+      expect.objectContaining({ id: '1', name: 'Mælk', qty: 0, archivedAt: expect.any(String) }),
+    ]);
+  });
+
+  it('only runs the migrations newer than the stored version', () => {
+    const item = { id: '1', name: 'Mælk', qty: '2', notificationId: 'n1' };
+    const [migrated] = migrateData({ items: [item] }, 2).items;
+
+    // Version 1 and 2 are skipped, so the quantity stays as stored
+    expect(migrated).toEqual({ id: '1', name: 'Mælk', qty: '2', notificationIds: ['n1'], dateType: 'useBy' });
+  });
+
+  it('keeps existing createdAt, notificationIds and date types', () => {
+    const item = { id: '1', name: 'Mælk', qty: 1, createdAt: '2026-01-01T00:00:00.000Z', notificationIds: ['a', 'b'], dateType: 'bestBefore' };
+    expect(migrateData({ items: [item] }, 0).items[0]).toMatchObject({
+      createdAt: '2026-01-01T00:00:00.000Z',
+      notificationIds: ['a', 'b'],
+      dateType: 'bestBefore',
+    });
+  });
+});
+
+describe('runMigrations', () => {
+  it('migrates stored data and records the new version', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.items, JSON.stringify([{ id: '1700000000000', name: 'Mælk', qty: '1' }]));
+
+    await expect(runMigrations()).resolves.toEqual({ from: 0, to: CURRENT_SCHEMA_VERSION });
+
+    const [item] = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.items));
+    expect(item).toMatchObject({ qty: 1, unit: 'stk', createdAt, notificationIds: [] });
+    expect(await AsyncStorage.getItem('@foogood_schema_version')).toBe(String(CURRENT_SCHEMA_VERSION));
+  });
+
+  it('leaves data from a newer app version alone', async () => {
+    const stored = JSON.stringify([{ id: '1', name: 'Mælk', qty: '1' }]);
+    await AsyncStorage.setItem('@foogood_schema_version', String(CURRENT_SCHEMA_VERSION + 1));
+    await AsyncStorage.setItem(STORAGE_KEYS.items, stored);
+
+    await expect(runMigrations()).resolves.toEqual({ from: CURRENT_SCHEMA_VERSION + 1, to: CURRENT_SCHEMA_VERSION + 1 });
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.items)).toBe(stored);
+  });
+});
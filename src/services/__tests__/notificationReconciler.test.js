@@ -0,0 +1,116 @@
+import {
+  getAllScheduledNotifications,
+  cancelNotification,
+  getUpcomingReminders,
+  scheduleExpiryNotifications,
+} from '../notifications';
+import { reconcileNotifications } from '../notificationReconciler';
+
+jest.mock('../notifications', () => ({
+  DIGEST_TYPE: 'digest',
+  getAllScheduledNotifications: jest.fn(),
+  cancelNotification: jest.fn(),
+  getUpcomingReminders: jest.fn(),
+  scheduleExpiryNotifications: jest.fn(),
+}));
+
+// In-memory stand-in for the notifications scheduled on the device
+let scheduled;
+
+function reminder(identifier, data, body = '') {
+  return { identifier, content: { title: 'Udløber snart', body, data } };
+}
+
+const settings = { notifications: { enabled: true, mode: 'perItem' } };
+const milk = { id: '1', name: 'Mælk', categoryId: 'fridge', notificationIds: ['a', 'b'] };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  scheduled = [];
+  getAllScheduledNotifications.mockImplementation(() => Promise.resolve([...scheduled]));
+  cancelNotification.mockImplementation(id => {
+    scheduled = scheduled.filter(notification => notification.identifier !== id);
+    return Promise.resolve();
+  });
+  getUpcomingReminders.mockReturnValue([{ daysBefore: 1 }, { daysBefore: 0 }]);
+  scheduleExpiryNotifications.mockImplementation(item => Promise.resolve([`${item.id}-new-1`, `${item.id}-new-0`]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reconcileNotifications', () => {
+  it('keeps reminders that match the item', async () => {
+    scheduled = [reminder('a', { itemId: '1', daysBefore: 1 }), reminder('b', { itemId: '1', daysBefore: 0 })];
+
+    const { items, report } = await reconcileNotifications([milk], [], settings);
+
+    expect(items[0].notificationIds).toEqual(['a', 'b']);
+    expect(report).toMatchObject({ scheduledBefore: 2, scheduledAfter: 2, cancelled: [], rescheduled: [], forgottenIds: 0 });
+    expect(scheduleExpiryNotifications).not.toHaveBeenCalled();
+  });
+
+  it('cancels orphans and duplicates', async () => {
+    scheduled = [
+      reminder('c', { itemId: '1', daysBefore: 1 }),
+      reminder('a', { itemId: '1', daysBefore: 1 }),
+      reminder('b', { itemId: '1', daysBefore: 0 }),
+      reminder('x', { itemId: 'gone', daysBefore: 1 }),
+    ];
+
+    const { items, report } = await reconcileNotifications([milk], [], settings);
+
+    // The reminder the item knows about wins over the unknown duplicate
+    expect(report.cancelled.map(({ id, reason }) => [id, reason])).toEqual([['c', 'duplicate'], ['x', 'orphan']]);
+    expect(items[0].notificationIds).toEqual(['a', 'b']);
+    expect(scheduled.map(notification => notification.identifier)).toEqual(['a', 'b']);
+  });
+
+  it('reschedules items with missing reminders and keeps their snoozes', async () => {
+    scheduled = [reminder('a', { itemId: '1', daysBefore: 1 }), reminder('s', { itemId: '1', snoozed: true })];
+
+    const { items, report } = await reconcileNotifications([milk], [], settings);
+
+    expect(cancelNotification).toHaveBeenCalledWith('a');
+    expect(items[0].notificationIds).toEqual(['s', '1-new-1', '1-new-0']);
+    expect(report.rescheduled).toEqual([{ itemId: '1', name: 'Mælk', count: 2 }]);
+    expect(report.forgottenIds).toBe(2);
+  });
+
+  it('cancels reminders for offsets the item no longer uses', async () => {
+    getUpcomingReminders.mockReturnValue([{ daysBefore: 0 }]);
+    scheduled = [reminder('a', { itemId: '1', daysBefore: 1 }), reminder('b', { itemId: '1', daysBefore: 0 })];
+
+    const { items, report } = await reconcileNotifications([milk], [], settings);
+
+    expect(report.cancelled).toEqual([expect.objectContaining({ id: 'a', reason: 'stale' })]);
+    expect(items[0].notificationIds).toEqual(['b']);
+  });
+
+  it('cancels everything but the digest in digest mode', async () => {
+    const digestSettings = { notifications: { ...settings.notifications, mode: 'digest' } };
+    getUpcomingReminders.mockReturnValue([]);
+    scheduled = [
+      reminder('a', { itemId: '1', daysBefore: 1 }),
+      reminder('s', { itemId: '1', snoozed: true }),
+      reminder('d', { type: 'digest' }),
+    ];
+
+    const { items, report } = await reconcileNotifications([milk], [], digestSettings);
+
+    expect(report.cancelled.map(({ id, reason }) => [id, reason])).toEqual([['a', 'stale']]);
+    expect(items[0].notificationIds).toEqual(['s']);
+  });
+
+  it('cancels all notifications when they are turned off', async () => {
+    getUpcomingReminders.mockReturnValue([]);
+    scheduled = [reminder('a', { itemId: '1', daysBefore: 1 }), reminder('d', { type: 'digest' })];
+
+    const { items, report } = await reconcileNotifications([milk], [], { notifications: { ...settings.notifications, enabled: false } });
+
+    expect(report.cancelled.map(({ reason }) => reason)).toEqual(['stale', 'stale']);
+    expect(report.scheduledAfter).toBe(0);
+    expect(items[0].notificationIds).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import * as Notifications from 'expo-notifications';
+
+import {
+  NOTIFICATION_ACTIONS,
+  registerNotificationActions,
+  parseNotificationResponse,
+  takeLaunchNotificationResponse,
+  isInQuietHours,
+  applyQuietHours,
+  resolveReminderOffsets,
+  buildDigestSummary,
+} from '../notifications';
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  setNotificationCategoryAsync: jest.fn(() => Promise.resolve()),
+  getLastNotificationResponseAsync: jest.fn(),
+  clearLastNotificationResponseAsync: jest.fn(() => Promise.resolve()),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+}));
+
+function reminderResponse(actionIdentifier) {
+  return {
+    actionIdentifier,
+    notification: { request: { identifier: 'n1', content: { data: { itemId: '42' } } } },
+  };
+}
+
+describe('registerNotificationActions', () => {
+  it('opens the app for every action, so responses survive a killed app', async () => {
+    await registerNotificationActions();
+
+    const [, actions] = Notifications.setNotificationCategoryAsync.mock.calls[0];
+    expect(actions).toHaveLength(Object.keys(NOTIFICATION_ACTIONS).length);
+    actions.forEach(action => expect(action.options.opensAppToForeground).toBe(true));
+  });
+});
+
+describe('takeLaunchNotificationResponse', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('hands over the action that launched the app once', async () => {
+    const response = reminderResponse(NOTIFICATION_ACTIONS.eaten.identifier);
+    Notifications.getLastNotificationResponseAsync.mockResolvedValueOnce(response);
+
+    const launched = await takeLaunchNotificationResponse();
+
+    expect(parseNotificationResponse(launched)).toEqual({ action: 'eaten', itemId: '42' });
+    expect(Notifications.clearLastNotificationResponseAsync).toHaveBeenCalled();
+  });
+
+  it('returns null when the app was opened normally', async () => {
+    Notifications.getLastNotificationResponseAsync.mockResolvedValueOnce(null);
+
+    expect(await takeLaunchNotificationResponse()).toBeNull();
+    expect(Notifications.clearLastNotificationResponseAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseNotificationResponse', () => {
+  it('maps action buttons and plain taps', () => {
+    expect(parseNotificationResponse(reminderResponse(NOTIFICATION_ACTIONS.snooze.identifier)))
+      .toEqual({ action: 'snooze', itemId: '42' });
+    expect(parseNotificationResponse(reminderResponse(NOTIFICATION_ACTIONS.discarded.identifier)))
+      .toEqual({ action: 'discarded', itemId: '42' });
+    expect(parseNotificationResponse(reminderResponse('expo.modules.notifications.actions.DEFAULT')))
+      .toEqual({ action: 'open', itemId: '42' });
+  });
+
+  it('ignores notifications that are not item reminders', () => {
+    expect(parseNotificationResponse({ notification: { request: { content: { data: {} } } } })).toBeNull();
+  });
+});
+
+describe('quiet hours', () => {
+  const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+  it('spans midnight', () => {
+    expect(isInQuietHours(new Date(2026, 0, 1, 23, 0), quietHours)).toBe(true);
+    expect(isInQuietHours(new Date(2026, 0, 1, 6, 59), quietHours)).toBe(true);
+    expect(isInQuietHours(new Date(2026, 0, 1, 7, 0), quietHours)).toBe(false);
+    expect(isInQuietHours(new Date(2026, 0, 1, 23, 0), { ...quietHours, enabled: false })).toBe(false);
+  });
+
+  it('holds notifications until the quiet hours end', () => {
+    const held = applyQuietHours(new Date(2026, 0, 1, 23, 0), { quietHours });
+
+    expect(held).toEqual(new Date(2026, 0, 2, 7, 0));
+  });
+});
+
+describe('resolveReminderOffsets', () => {
+  const notificationSettings = { reminderOffsets: [1] };
+
+  it('prefers the item, then the category, then the settings', () => {
+    expect(resolveReminderOffsets({ reminderOffsets: [3] }, { reminderOffsets: [2] }, notificationSettings)).toEqual([3]);
+    expect(resolveReminderOffsets({}, { reminderOffsets: [2] }, notificationSettings)).toEqual([2]);
+    expect(resolveReminderOffsets({}, {}, notificationSettings)).toEqual([1]);
+  });
+});
+
+describe('buildDigestSummary', () => {
+  it('groups items by how soon they expire', () => {
+    const items = [
+      { name: 'A', expiryDate: '2026-01-01' },
+      { name: 'B', expiryDate: '2026-01-02' },
+      { name: 'C', expiryDate: '2026-01-05' },
+      { name: 'D', expiryDate: '2026-01-10' },
+    ];
+
+    const summary = buildDigestSummary(items, new Date(2026, 0, 1));
+
+    expect(summary.today.map(item => item.name)).toEqual(['A']);
+    expect(summary.tomorrow.map(item => item.name)).toEqual(['B']);
+    expect(summary.thisWeek.map(item => item.name)).toEqual(['C']);
+  });
+});
@@ -0,0 +1,108 @@
+import { computeWasteStats, estimateEventCost } from '../wasteStatsService';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function event(fields) {
+  return {
+    id: `history-${Math.random()}`,
+    itemId: '1',
+    name: 'Mælk',
+    categoryId: 'fridge',
+    qty: 1,
+    unit: 'stk',
+    outcome: 'eaten',
+    date: new Date(Date.now() - DAY_MS).toISOString(),
+    ...fields,
+  };
+}
+
+const categories = [{ id: 'fridge', name: 'Køleskab', icon: '🧊' }];
+
+describe('computeWasteStats', () => {
+  it('counts an item used up in several steps once', () => {
+    const history = [
+      event({ itemId: 'a', qty: 1 }),
+      event({ itemId: 'a', qty: 1 }),
+      event({ itemId: 'a', qty: 1 }),
+      event({ itemId: 'a', qty: 1 }),
+      event({ itemId: 'b', outcome: 'discarded' }),
+    ];
+
+    const stats = computeWasteStats(history, categories);
+
+    expect(stats.eatenCount).toBe(1);
+    expect(stats.wastedCount).toBe(1);
+    expect(stats.wasteRate).toBe(50);
+  });
+
+  it('splits an item between outcomes by the quantity each removed', () => {
+    const history = [
+      event({ itemId: 'a', qty: 300, unit: 'g' }),
+      event({ itemId: 'a', qty: 0.1, unit: 'kg', outcome: 'discarded' }),
+    ];
+
+    const stats = computeWasteStats(history, categories);
+
+    expect(stats.eatenCount).toBe(0.8);
+    expect(stats.wastedCount).toBe(0.3);
+    expect(stats.wasteRate).toBe(25);
+  });
+
+  it('counts given away and frozen items the same way', () => {
+    const history = [
+      event({ itemId: 'a', outcome: 'given_away' }),
+      event({ itemId: 'a', outcome: 'given_away' }),
+      event({ itemId: 'b', outcome: 'frozen' }),
+    ];
+
+    const stats = computeWasteStats(history, categories);
+
+    expect(stats.givenAwayCount).toBe(1);
+    expect(stats.frozenCount).toBe(1);
+  });
+
+  it('ignores adjustments and events outside the period', () => {
+    const history = [
+      event({ itemId: 'a', outcome: 'extended' }),
+      event({ itemId: 'b', outcome: 'discarded', date: new Date(Date.now() - 10 * DAY_MS).toISOString() }),
+    ];
+
+    const stats = computeWasteStats(history, categories, 'week');
+
+    expect(stats.eatenCount).toBe(0);
+    expect(stats.wastedCount).toBe(0);
+    expect(stats.trend[stats.trend.length - 2].wasted).toBe(1);
+  });
+
+  it('ranks wasted products and categories by items', () => {
+    const history = [
+      event({ itemId: 'a', name: 'Ost', outcome: 'discarded' }),
+      event({ itemId: 'a', name: 'Ost', outcome: 'discarded' }),
+      event({ itemId: 'b', name: 'Brød', outcome: 'discarded' }),
+      event({ itemId: 'c', name: 'brød ', outcome: 'discarded' }),
+    ];
+
+    const stats = computeWasteStats(history, categories);
+
+    expect(stats.topProducts).toEqual([
+      { name: 'Brød', count: 2 },
+      { name: 'Ost', count: 1 },
+    ]);
+    expect(stats.topCategories).toEqual([{ id: 'fridge', name: 'Køleskab', icon: '🧊', count: 3 }]);
+  });
+});
+
+describe('estimateEventCost', () => {
+  it('prices by product type and weight', () => {
+    const cost = estimateEventCost({ name: 'Laks', qty: 500, unit: 'g' });
+
+    expect(cost.money).toBeCloseTo(75);
+    expect(cost.co2).toBeCloseTo(3);
+  });
+
+  it('assumes a weight for counted items', () => {
+    const cost = estimateEventCost({ name: 'Ukendt', qty: 2, unit: 'stk' });
+
+    expect(cost.money).toBeCloseTo(20);
+  });
+});
@@ -2,6 +2,7 @@
  * AI Recipe Service - Generates recipe suggestions using Azure OpenAI
  */
 import { AI_CONFIG, isAIEnabled } from '../config/aiConfig';
+import { formatQuantity, getItemUnit, parseQuantity, convertQuantity } from '../utils/units';
 
 /**
  * Generate recipe suggestions based on available ingredients
@@ -62,7 +63,7 @@ function createRecipePrompt(ingredients, preferences) {
   // Limit ingredients to reduce prompt size
   const limitedIngredients = ingredients.slice(0, maxIngredients);
   const ingredientList = limitedIngredients
-    .map(ing => `${ing.name} (${ing.qty} stk, udløber om ${ing.daysLeft} dage)`)
+    .map(ing => `${ing.name} (${formatQuantity(ing.qty, getItemUnit(ing))}, udløber om ${ing.daysLeft} dage)`)
     .join(', ');
 
   const difficultyText = preferences.difficulty === 'easy' ? 'nemme' : 
@@ -90,13 +91,14 @@ Returner KUN JSON array uden forklarende tekst:
 }
 ]
 
-Prioriter ingredienser der snart udløber. Skriv på dansk.`;
+Prioriter ingredienser der snart udløber. Brug ikke mere af en ingrediens end den angivne mængde, og angiv "amount" i enhederne g, kg, ml, dl, l, stk eller pakke. Skriv på dansk.`;
   }
 
   // Original detailed prompt
   return `Generer UDELUKKENDE et gyldig JSON array med ${maxRecipes} ${difficultyText} opskrifter baseret på ingredienser: ${ingredientList}
 
 Du kan inkludere opskrifter hvor nogle ingredienser mangler - angiv disse under "missingIngredients".
+Brug ikke mere af en ingrediens end den angivne mængde.
 
 VIGTIGT: Returner KUN JSON array uden forklarende tekst. Brug specifikke mængder:
 - Væsker: dl, liter, ml  
@@ -264,10 +266,14 @@ function parseRecipeResponse(response) {
       time: recipe.time || '30 min',
       priority: ['high', 'medium', 'low'].includes(recipe.priority) ? recipe.priority : 'medium',
       description: recipe.description || 'Lækker hjemmelavet ret',
-      // Map ingredientsAvailable to usedIngredients for compatibility
-      usedIngredients: Array.isArray(recipe.ingredientsAvailable) ? 
-        recipe.ingredientsAvailable.map(ing => ing.name || ing) : 
-        Array.isArray(recipe.usedIngredients) ? recipe.usedIngredients : [],
+      // Map ingredientsAvailable to usedIngredients for compatibility.
+      // Names are matched as text, so anything else the model sends is dropped
+      usedIngredients: (Array.isArray(recipe.ingredientsAvailable)
+        ? recipe.ingredientsAvailable.map(ing => (typeof ing === 'string' ? ing : ing?.name))
+        : Array.isArray(recipe.usedIngredients) ? recipe.usedIngredients : []
+      ).filter(name => typeof name === 'string' && name.trim()),
+      ingredientsAvailable: Array.isArray(recipe.ingredientsAvailable) ?
+        recipe.ingredientsAvailable.filter(ing => typeof ing?.name === 'string' && ing.name.trim()) : [],
       missingIngredients: Array.isArray(recipe.missingIngredients) ? recipe.missingIngredients : [],
       instructions: Array.isArray(recipe.instructions) ? recipe.instructions : ['Se online opskrift for instruktioner'],
       tips: recipe.tips || '',
@@ -333,20 +339,52 @@ export function getFallbackRecipes(ingredients) {
   return fallbackRecipes;
 }
 
+/**
+ * Check whether two ingredient names refer to the same thing
+ */
+function namesMatch(a, b) {
+  const lowerA = a.toLowerCase();
+  const lowerB = b.toLowerCase();
+  return lowerA.includes(lowerB) || lowerB.includes(lowerA);
+}
+
+/**
+ * Compare the amount a recipe needs with what the user has.
+ * Returns null when the amounts cannot be compared (unknown or incompatible units).
+ */
+function hasEnoughOf(userIng, amountText) {
+  const needed = parseQuantity(amountText);
+  if (!needed || !needed.unit) return null;
+
+  const available = convertQuantity(Number(userIng.qty) || 0, getItemUnit(userIng), needed.unit);
+  if (available === null) return null;
+
+  return available >= needed.qty;
+}
+
 /**
  * Match AI-generated recipes with actual user ingredients
  */
 export function matchRecipesWithIngredients(recipes, userIngredients) {
   return recipes.map(recipe => {
     const matchedIngredients = userIngredients.filter(userIng => 
-      recipe.usedIngredients.some(recipeIng => 
-        recipeIng.toLowerCase().includes(userIng.name.toLowerCase()) ||
-        userIng.name.toLowerCase().includes(recipeIng.toLowerCase())
-      )
+      recipe.usedIngredients.some(recipeIng => namesMatch(recipeIng, userIng.name))
     );
 
+    // Flag available ingredients where the pantry holds less than the recipe asks for
+    const ingredientsAvailable = (recipe.ingredientsAvailable || []).map(ing => {
+      const userIng = userIngredients.find(candidate => namesMatch(ing.name, candidate.name));
+      const enough = userIng ? hasEnoughOf(userIng, ing.amount) : null;
+      return {
+        ...ing,
+        pantryAmount: userIng ? formatQuantity(userIng.qty, getItemUnit(userIng)) : null,
+        insufficient: enough === false
+      };
+    });
+
     return {
       ...recipe,
+      ingredientsAvailable,
       matchedIngredients,
       matchScore: matchedIngredients.length / Math.max(recipe.usedIngredients.length, 1)
     };
@@ -1,13 +1,38 @@
 /**
- * API service for Open Food Facts integration
+ * API service for Open Food Facts and custom product endpoint requests
  */
+import { mapNutriments } from '../utils/productInfo';
+
+/**
+ * Map an Open Food Facts product record to a lookup result
+ * @param {Object} product - Open Food Facts product
+ * @param {string} barcode - Product barcode
+ * @returns {Object} Lookup result with name, image and product details
+ */
+export function mapOpenFoodFactsProduct(product, barcode) {
+  const grade = String(product.nutriscore_grade || product.nutrition_grades || '').toLowerCase();
+  return {
+    displayName: product.product_name_da || product.product_name || `Produkt ${barcode}`,
+    imageUrl: product.image_url || product.image_front_url || null,
+    // Brands are a comma separated list, the first is the product's own brand
+    brand: product.brands ? product.brands.split(',')[0].trim() : null,
+    quantity: product.quantity?.trim() || null,
+    categoriesTags: Array.isArray(product.categories_tags) ? product.categories_tags : [],
+    allergens: Array.isArray(product.allergens_tags) ? product.allergens_tags : [],
+    nutriScore: /^[a-e]$/.test(grade) ? grade : null,
+    nutriments: mapNutriments(product.nutriments),
+    source: 'openFoodFacts',
+  };
+}
 
 /**
  * Lookup product information from Open Food Facts
  * @param {string} barcode - Product barcode
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the requests
  * @returns {Promise<Object|null>} Product information or null if not found
  */
-export async function lookupOpenFoodFacts(barcode) {
+export async function lookupOpenFoodFacts(barcode, { signal } = {}) {
   if (!barcode?.trim()) {
     return null;
   }
@@ -19,22 +44,70 @@ export async function lookupOpenFoodFacts(barcode) {
 
   for (const endpoint of endpoints) {
     try {
-      const response = await fetch(endpoint);
+      const response = await fetch(endpoint, { signal });
       if (!response.ok) continue;
-      
+
       const data = await response.json();
       if (data.status !== 1 || !data.product) continue;
 
-      const product = data.product;
-      return {
-        displayName: product.product_name || `Produkt ${barcode}`,
-        imageUrl: product.image_url || product.image_front_url || null
-      };
+      return mapOpenFoodFactsProduct(data.product, barcode);
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.warn(`Failed to fetch from ${endpoint}:`, error);
       continue;
     }
   }
 
   return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Lookup product information from a custom product endpoint.
+ *
+ * The endpoint answers 404 for unknown barcodes, and otherwise either an
+ * Open Food Facts style document ({ status: 1, product: {...} }) or a
+ * lookup result ({ displayName or name, imageUrl, brand, quantity,
+ * categoriesTags, allergens, nutriScore, nutriments, categoryId, shelfLifeDays }).
+ * @param {string} urlTemplate - Endpoint URL where {barcode} is replaced
+ * @param {string} barcode - Product barcode
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<Object|null>} Product information or null if not found
+ * @throws {Error} When the endpoint fails or answers something unusable
+ */
+export async function lookupCustomEndpoint(urlTemplate, barcode, { signal } = {}) {
+  const url = urlTemplate.includes('{barcode}')
+    ? urlTemplate.replace(/\{barcode\}/g, encodeURIComponent(barcode))
+    : `${urlTemplate.replace(/\/$/, '')}/${encodeURIComponent(barcode)}`;
+
+  const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Produkttjenesten svarede ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data?.product) {
+    return data.status === 0 ? null : { ...mapOpenFoodFactsProduct(data.product, barcode), source: 'custom' };
+  }
+
+  const name = data?.displayName || data?.name;
+  if (!name) {
+    throw new Error('Produkttjenesten sendte et svar uden produktnavn');
+  }
+  return {
+    displayName: name,
+    imageUrl: data.imageUrl || null,
+    brand: data.brand || null,
+    quantity: data.quantity || null,
+    categoriesTags: Array.isArray(data.categoriesTags) ? data.categoriesTags : [],
+    allergens: Array.isArray(data.allergens) ? data.allergens : [],
+    nutriScore: data.nutriScore || null,
+    nutriments: data.nutriments || {},
+    categoryId: data.categoryId || null,
+    shelfLifeDays: Number.isInteger(data.shelfLifeDays) ? data.shelfLifeDays : null,
+    source: 'custom',
+  };
+}
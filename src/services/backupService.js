@@ -0,0 +1,156 @@
+/**
+ * Backup service - export and restore all app data as one JSON document
+ */
+import { readSnapshot, writeSnapshot } from './schemaStorage';
+import { CURRENT_SCHEMA_VERSION, migrateData } from './migrations';
+
+const BACKUP_TYPE = 'foogood-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Sections that hold lists of records with an id
+const LIST_SECTIONS = ['items', 'archive', 'history', 'categories', 'shoppingList', 'productCatalog'];
+
+/**
+ * Backup Document Structure:
+ * {
+ *   type: 'foogood-backup',
+ *   formatVersion: number,
+ *   schemaVersion: number,
+ *   exportedAt: string,
+ *   data: {
+ *     items: Array,
+ *     archive: Array,
+ *     history: Array,
+ *     categories: Array,
+ *     shoppingList: Array,
+ *     productCatalog: Array,
+ *     settings: Object
+ *   }
+ * }
+ */
+
+/**
+ * Build a backup document from everything in storage
+ * @returns {Promise<Object>} Backup document
+ */
+export async function createBackup() {
+  const snapshot = await readSnapshot();
+  const data = {};
+  LIST_SECTIONS.forEach(section => {
+    data[section] = snapshot[section] || [];
+  });
+  data.settings = snapshot.settings || {};
+
+  return {
+    type: BACKUP_TYPE,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Build a backup document as pretty-printed JSON text
+ * @returns {Promise<string>} Backup JSON
+ */
+export async function exportBackupAsText() {
+  const backup = await createBackup();
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * Parse and validate a backup document
+ * @param {string} text - Backup JSON text
+ * @returns {{backup: Object, counts: Object}} Backup upgraded to the current schema and its record counts
+ * @throws {Error} With a Danish message when the document is not a usable backup
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Filen er ikke gyldig JSON');
+  }
+
+  if (!backup || backup.type !== BACKUP_TYPE || !backup.data) {
+    throw new Error('Filen er ikke en FooGood backup');
+  }
+  if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('Backuppen er lavet med en nyere version af appen. Opdater appen først.');
+  }
+
+  LIST_SECTIONS.forEach(section => {
+    const value = backup.data[section];
+    if (value !== undefined && !Array.isArray(value)) {
+      throw new Error(`Ugyldig backup: "${section}" skal være en liste`);
+    }
+  });
+  if (backup.data.settings !== undefined && typeof backup.data.settings !== 'object') {
+    throw new Error('Ugyldig backup: "settings" skal være et objekt');
+  }
+
+  const invalidItem = (backup.data.items || []).find(item => !item || !item.id || !item.name || !item.expiryDate);
+  if (invalidItem) {
+    throw new Error('Ugyldig backup: en vare mangler id, navn eller udløbsdato');
+  }
+
+  const data = migrateData(backup.data, Number(backup.schemaVersion) || 0);
+  const counts = {};
+  LIST_SECTIONS.forEach(section => {
+    counts[section] = (data[section] || []).length;
+  });
+
+  return {
+    backup: { ...backup, schemaVersion: CURRENT_SCHEMA_VERSION, data },
+    counts,
+  };
+}
+
+/**
+ * Combine two lists of records, keeping the existing record when ids collide
+ */
+function mergeById(existing = [], incoming = []) {
+  const ids = new Set(existing.map(record => record.id));
+  return [...existing, ...incoming.filter(record => !ids.has(record.id))];
+}
+
+/**
+ * Leave categories untouched rather than storing an empty list,
+ * which would leave the app without any category to file items under
+ */
+function withoutEmptyCategories(snapshot) {
+  if (snapshot.categories && snapshot.categories.length > 0) return snapshot;
+  const { categories, ...rest } = snapshot;
+  return rest;
+}
+
+/**
+ * Restore a parsed backup into storage
+ * @param {Object} backup - Backup returned by parseBackup
+ * @param {'merge'|'replace'} mode - Merge keeps current data and adds new records; replace overwrites everything
+ * @returns {Promise<void>}
+ */
+export async function restoreBackup(backup, mode = 'merge') {
+  const incoming = backup.data;
+
+  if (mode === 'replace') {
+    const snapshot = { settings: incoming.settings || {} };
+    LIST_SECTIONS.forEach(section => {
+      snapshot[section] = incoming[section] || [];
+    });
+    await writeSnapshot(withoutEmptyCategories(snapshot));
+    return;
+  }
+
+  const current = await readSnapshot();
+  const snapshot = {
+    // Keep this phone's settings when merging
+    settings: current.settings || incoming.settings || {},
+  };
+  LIST_SECTIONS.forEach(section => {
+    snapshot[section] = mergeById(current[section], incoming[section]);
+  });
+
+  await writeSnapshot(withoutEmptyCategories(snapshot));
+}
@@ -2,8 +2,9 @@
  * Category storage service
  */
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, readJSON, writeJSON } from './schemaStorage';
 
-const CATEGORIES_KEY = '@foogood_categories';
+const CATEGORIES_KEY = STORAGE_KEYS.categories;
 
 // Default categories
 const DEFAULT_CATEGORIES = [
@@ -17,13 +18,13 @@ const DEFAULT_CATEGORIES = [
  */
 export async function loadCategories() {
   try {
-    const data = await AsyncStorage.getItem(CATEGORIES_KEY);
+    const data = await readJSON(CATEGORIES_KEY, null);
     if (!data) {
       // If no categories exist, save and return defaults
       await saveCategories(DEFAULT_CATEGORIES);
       return DEFAULT_CATEGORIES;
     }
-    return JSON.parse(data);
+    return data;
   } catch (error) {
     console.error('Error loading categories:', error);
     return DEFAULT_CATEGORIES;
@@ -36,7 +37,7 @@ export async function loadCategories() {
  */
 export async function saveCategories(categories) {
   try {
-    await AsyncStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories));
+    await writeJSON(CATEGORIES_KEY, categories);
   } catch (error) {
     console.error('Error saving categories:', error);
     throw error;
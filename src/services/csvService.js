@@ -0,0 +1,331 @@
+/**
+ * CSV service - export and import the pantry inventory as spreadsheet rows
+ */
+import { formatDate } from '../utils/dateUtils';
+import { normalizeUnit, parseQuantity, DEFAULT_UNIT } from '../utils/units';
+import { DATE_TYPES, getItemDateType } from '../utils/expiryStatus';
+import { suggestShelfLife } from './shelfLife';
+
+/**
+ * Columns written on export, in order. Each column lists the header names
+ * (lowercase) recognized on import, so spreadsheets with Danish or English
+ * headers in any order can be read.
+ */
+export const CSV_COLUMNS = [
+  { field: 'name', header: 'Navn', aliases: ['navn', 'name', 'vare', 'produkt', 'product'] },
+  { field: 'qty', header: 'Antal', aliases: ['antal', 'qty', 'quantity', 'mængde', 'maengde'] },
+  { field: 'unit', header: 'Enhed', aliases: ['enhed', 'unit'] },
+  { field: 'expiryDate', header: 'Udløbsdato', aliases: ['udløbsdato', 'udlobsdato', 'udløb', 'expirydate', 'expiry', 'expires', 'dato', 'date', 'bedst før', 'best before'] },
+  { field: 'dateType', header: 'Datotype', aliases: ['datotype', 'datetype', 'date type', 'type'] },
+  { field: 'category', header: 'Kategori', aliases: ['kategori', 'category'] },
+  { field: 'barcode', header: 'Stregkode', aliases: ['stregkode', 'barcode', 'ean', 'gtin'] },
+];
+
+const REQUIRED_FIELDS = ['name', 'expiryDate'];
+
+// Ways the date types are written in spreadsheets, besides their labels
+const DATE_TYPE_ALIASES = {
+  useby: 'useBy', 'use by': 'useBy', 'sidste anv.': 'useBy', 'anvendes senest': 'useBy',
+  bestbefore: 'bestBefore', 'best before': 'bestBefore', 'mindst holdbar til': 'bestBefore', 'bedst før': 'bestBefore',
+};
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Export formats. Danish Excel reads `;` separated files with decimal
+ * commas; most other programs expect `,` and decimal points. Import
+ * accepts both, guessing the delimiter from the header line.
+ */
+export const CSV_FORMATS = {
+  excel: { label: 'Excel (dansk)', delimiter: ';', decimalComma: true },
+  standard: { label: 'Standard', delimiter: ',', decimalComma: false },
+};
+
+/**
+ * Quote a value if it contains the delimiter, quotes or line breaks
+ */
+function escapeCSVValue(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document of items
+ * @param {Array} items - Food items
+ * @param {Array} categories - Categories used to write category names
+ * @param {Object} [format] - One of CSV_FORMATS, defaults to the standard format
+ * @returns {string} CSV text with a header row
+ */
+export function exportItemsAsCSV(items, categories, format = CSV_FORMATS.standard) {
+  const { delimiter, decimalComma } = format;
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+  const rows = [CSV_COLUMNS.map(column => column.header)];
+
+  items.forEach(item => {
+    rows.push([
+      item.name,
+      decimalComma ? String(item.qty).replace('.', ',') : item.qty,
+      item.unit || DEFAULT_UNIT,
+      item.expiryDate,
+      DATE_TYPES[getItemDateType(item)].label,
+      categoryNames.get(item.categoryId) || '',
+      item.barcode || '',
+    ]);
+  });
+
+  return rows
+    .map(row => row.map(value => escapeCSVValue(value, delimiter)).join(delimiter))
+    .join('\n');
+}
+
+/**
+ * Guess the delimiter from the header line, preferring the one that splits it most
+ */
+function detectDelimiter(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  return DELIMITERS.reduce((best, delimiter) =>
+    headerLine.split(delimiter).length > headerLine.split(best).length ? delimiter : best
+  , DELIMITERS[0]);
+}
+
+/**
+ * Split CSV text into rows of values with the line each row starts on.
+ * Handles quoted values containing delimiters, escaped quotes and line breaks.
+ * Blank lines are dropped, but still counted, so line numbers match the file.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Column separator
+ * @returns {Array<{cells: Array<string>, line: number}>} Rows of raw values, lines counted from 1
+ */
+function splitCSVLines(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push({ cells: row, line: rowLine });
+      line++;
+      rowLine = line;
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  row.push(value);
+  rows.push({ cells: row, line: rowLine });
+
+  // Drop blank lines, including the one left by a trailing newline
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Split CSV text into rows of values. Handles quoted values containing
+ * delimiters, escaped quotes and line breaks.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Column separator
+ * @returns {Array<Array<string>>} Rows of raw values
+ */
+export function parseCSVRows(text, delimiter) {
+  return splitCSVLines(text, delimiter).map(({ cells }) => cells);
+}
+
+/**
+ * Map header names to column indexes
+ * @param {Array<string>} headerRow - First row of the CSV
+ * @returns {Object} Map of field name to column index
+ */
+export function mapColumns(headerRow) {
+  const mapping = {};
+  headerRow.forEach((header, index) => {
+    const key = header.trim().toLowerCase().replace(/^\uFEFF/, '');
+    const column = CSV_COLUMNS.find(col => col.aliases.includes(key));
+    if (column && mapping[column.field] === undefined) {
+      mapping[column.field] = index;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Parse a date written as YYYY-MM-DD or in Danish day-first notation
+ * (DD-MM-YYYY, DD/MM/YYYY or DD.MM.YYYY)
+ * @param {string} text - Date text
+ * @returns {string|null} Date as YYYY-MM-DD or null if invalid
+ */
+export function parseCSVDate(text) {
+  const value = String(text || '').trim();
+  let year, month, day;
+
+  const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const danishMatch = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number);
+  } else if (danishMatch) {
+    [, day, month, year] = danishMatch.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return formatDate(date);
+}
+
+/**
+ * Find the category a CSV value refers to, by name or id (case-insensitive)
+ */
+function resolveCategory(value, categories) {
+  const key = value.trim().toLowerCase();
+  return categories.find(category =>
+    category.name.trim().toLowerCase() === key || String(category.id).toLowerCase() === key
+  );
+}
+
+/**
+ * Read a date type written as a label or a common alias
+ * @param {string} text - Date type as written
+ * @returns {string|null} DATE_TYPES key or null if unknown
+ */
+function parseDateType(text) {
+  const key = text.trim().toLowerCase();
+  const match = Object.entries(DATE_TYPES).find(([, type]) => type.label.toLowerCase() === key);
+  return match ? match[0] : DATE_TYPE_ALIASES[key] || null;
+}
+
+/**
+ * Turn one CSV row into item data
+ * @returns {{item: Object}|{error: string}}
+ */
+function parseItemRow(cells, mapping, categories, defaultCategoryId) {
+  const cell = field => (mapping[field] !== undefined ? (cells[mapping[field]] || '').trim() : '');
+
+  const name = cell('name');
+  if (!name) {
+    return { error: 'Navn mangler' };
+  }
+
+  const expiryText = cell('expiryDate');
+  const expiryDate = parseCSVDate(expiryText);
+  if (!expiryDate) {
+    return { error: expiryText ? `Ugyldig udløbsdato "${expiryText}"` : 'Udløbsdato mangler' };
+  }
+
+  let dateType = null;
+  const dateTypeText = cell('dateType');
+  if (dateTypeText) {
+    dateType = parseDateType(dateTypeText);
+    if (!dateType) {
+      return { error: `Ukendt datotype "${dateTypeText}"` };
+    }
+  }
+
+  let qty = 1;
+  let unit = null;
+  const qtyText = cell('qty');
+  if (qtyText) {
+    const parsed = parseQuantity(qtyText);
+    if (!parsed || parsed.qty <= 0) {
+      return { error: `Ugyldigt antal "${qtyText}"` };
+    }
+    qty = parsed.qty;
+    unit = parsed.unit;
+  }
+
+  const unitText = cell('unit');
+  if (unitText) {
+    unit = normalizeUnit(unitText);
+    if (!unit) {
+      return { error: `Ukendt enhed "${unitText}"` };
+    }
+  }
+
+  let categoryId = defaultCategoryId;
+  const categoryText = cell('category');
+  if (categoryText) {
+    const category = resolveCategory(categoryText, categories);
+    if (!category) {
+      return { error: `Ukendt kategori "${categoryText}"` };
+    }
+    categoryId = category.id;
+  }
+
+  return {
+    item: {
+      name,
+      qty,
+      unit: unit || DEFAULT_UNIT,
+      expiryDate,
+      // Without a date type in the file, guess it from the product like the add form does
+      dateType: dateType || suggestShelfLife({ name, category: categories.find(cat => cat.id === categoryId) }).dateType,
+      categoryId,
+      barcode: cell('barcode'),
+    },
+  };
+}
+
+/**
+ * Parse a CSV inventory into item data
+ * @param {string} text - CSV text with a header row
+ * @param {Array} categories - Categories to resolve category names against
+ * @returns {{items: Array, errors: Array<{row: number, message: string}>, columns: Array<string>}}
+ *   Valid items, errors for skipped rows (by their line in the file,
+ *   counting from 1) and the fields that were recognized in the header
+ * @throws {Error} With a Danish message when the header cannot be used
+ */
+export function parseItemsCSV(text, categories) {
+  const rows = splitCSVLines(String(text || ''), detectDelimiter(String(text || '')));
+  if (rows.length === 0) {
+    throw new Error('Filen er tom');
+  }
+
+  const mapping = mapColumns(rows[0].cells);
+  const missing = REQUIRED_FIELDS.filter(field => mapping[field] === undefined);
+  if (missing.length > 0) {
+    const headers = missing.map(field => CSV_COLUMNS.find(col => col.field === field).header);
+    throw new Error(`Kolonne mangler: ${headers.join(', ')}. Første linje skal indeholde kolonnenavne.`);
+  }
+
+  const defaultCategoryId = categories[0]?.id || 'pantry';
+  const items = [];
+  const errors = [];
+
+  rows.slice(1).forEach(({ cells, line }) => {
+    const result = parseItemRow(cells, mapping, categories, defaultCategoryId);
+    if (result.error) {
+      errors.push({ row: line, message: result.error });
+    } else {
+      items.push(result.item);
+    }
+  });
+
+  return { items, errors, columns: Object.keys(mapping) };
+}
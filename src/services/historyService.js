@@ -0,0 +1,159 @@
+/**
+ * History service - consumption and waste log for removed items
+ */
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS, readJSON, writeJSON } from "./schemaStorage";
+
+const HISTORY_KEY = STORAGE_KEYS.history;
+
+/**
+ * What happened to an item when it left the pantry
+ */
+export const OUTCOMES = {
+  eaten: { label: "Spist", icon: "😋" },
+  discarded: { label: "Smidt ud", icon: "🗑️" },
+  given_away: { label: "Givet væk", icon: "🎁" },
+  frozen: { label: "Frosset ned", icon: "🧊" },
+};
+
+/**
+ * Changes logged for items that stay in the pantry
+ */
+export const ADJUSTMENTS = {
+  extended: { label: "Forlænget", icon: "⏳" },
+};
+
+/**
+ * History Event Structure:
+ * {
+ *   id: string,
+ *   itemId: string,
+ *   name: string,
+ *   categoryId: string,
+ *   barcode: string,
+ *   qty: number,
+ *   unit: string,
+ *   outcome: 'eaten' | 'discarded' | 'given_away' | 'frozen' | 'extended',
+ *   expiryDate: string,
+ *   date: string,
+ *   newExpiryDate?: string     // Only for 'extended': the date the item was given
+ * }
+ */
+
+/**
+ * Load the full history log from storage
+ * @returns {Promise<Array>} Array of history events, oldest first
+ */
+export async function loadHistory() {
+  try {
+    return await readJSON(HISTORY_KEY, []);
+  } catch (error) {
+    console.error("Failed to load history from storage:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the history log to storage
+ * @param {Array} events - History events to save
+ * @returns {Promise<void>}
+ */
+async function saveHistory(events) {
+  try {
+    await writeJSON(HISTORY_KEY, events);
+  } catch (error) {
+    console.error("Failed to save history to storage:", error);
+    throw new Error("Kunne ikke gemme historik");
+  }
+}
+
+/**
+ * Record what happened to (part of) an item
+ * @param {Object} item - Food item the event concerns
+ * @param {string} outcome - One of the OUTCOMES or ADJUSTMENTS keys
+ * @param {number} [qty] - Quantity affected, defaults to the item's full quantity
+ * @param {Object} [details] - Extra fields for the event, e.g. newExpiryDate
+ * @returns {Promise<Array>} Updated history
+ */
+export async function logConsumptionEvent(item, outcome, qty = item.qty, details = {}) {
+  if (!OUTCOMES[outcome] && !ADJUSTMENTS[outcome]) {
+    throw new Error(`Ukendt udfald: ${outcome}`);
+  }
+
+  const events = await loadHistory();
+  events.push({
+    id: `history-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    itemId: item.id,
+    name: item.name,
+    categoryId: item.categoryId,
+    barcode: item.barcode || "",
+    qty: Number(qty) || 0,
+    unit: item.unit || "stk",
+    outcome,
+    expiryDate: item.expiryDate,
+    date: new Date().toISOString(),
+    ...details,
+  });
+
+  await saveHistory(events);
+  return events;
+}
+
+/**
+ * Clear the history log
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  try {
+    await AsyncStorage.removeItem(HISTORY_KEY);
+  } catch (error) {
+    console.error("Failed to clear history:", error);
+    throw new Error("Kunne ikke slette historik");
+  }
+}
+
+/**
+ * Filter history events
+ * @param {Array} events - History events
+ * @param {Object} filters - Optional outcome, categoryId, itemId, since and until (Date or ISO string)
+ * @returns {Array} Matching events
+ */
+export function filterHistory(events, filters = {}) {
+  const { outcome, categoryId, itemId, since, until } = filters;
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  return events.filter(event => {
+    if (outcome && event.outcome !== outcome) return false;
+    if (categoryId && event.categoryId !== categoryId) return false;
+    if (itemId && event.itemId !== itemId) return false;
+
+    const time = new Date(event.date).getTime();
+    if (sinceTime !== null && time < sinceTime) return false;
+    if (untilTime !== null && time > untilTime) return false;
+    return true;
+  });
+}
+
+/**
+ * Query the stored history
+ * @param {Object} filters - See filterHistory
+ * @returns {Promise<Array>} Matching events
+ */
+export async function getHistory(filters = {}) {
+  const events = await loadHistory();
+  return filterHistory(events, filters);
+}
+
+/**
+ * Count events per outcome
+ * @param {Array} events - History events
+ * @returns {Object} Map of outcome to event count
+ */
+export function countByOutcome(events) {
+  const counts = Object.keys(OUTCOMES).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+  events.forEach(event => {
+    counts[event.outcome] = (counts[event.outcome] || 0) + 1;
+  });
+  return counts;
+}
@@ -0,0 +1,122 @@
+/**
+ * Storage migrations - upgrade stored data to the current schema version
+ */
+import { getSchemaVersion, setSchemaVersion, readSnapshot, writeSnapshot } from './schemaStorage';
+
+/**
+ * Whether a stored item was used up: its quantity was set to zero or less,
+ * as opposed to never set
+ */
+function isUsedUp(item) {
+  return item.qty !== undefined && item.qty !== null && String(item.qty).trim() !== '' && Number(item.qty) <= 0;
+}
+
+/**
+ * Ordered list of migrations. Each migration upgrades a data snapshot
+ * (keyed like STORAGE_KEYS) from version - 1 to version and must not touch
+ * storage itself, so the same steps can upgrade imported backups.
+ * Never edit a released migration; add a new one.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize items: numeric quantity, default unit and category; archive used up items',
+    migrate: (data) => {
+      const items = data.items || [];
+      const usedUp = items.filter(isUsedUp);
+      return {
+        ...data,
+        items: items.filter(item => !isUsedUp(item)).map(item => ({
+          ...item,
+          // Quantities that were never set or cannot be read count as one
+          qty: Number(item.qty) > 0 ? Number(item.qty) : 1,
+          unit: item.unit || 'stk',
+          categoryId: item.categoryId || 'pantry',
+        })),
+        // Their reminders are cancelled as orphans on the next startup
+        ...(usedUp.length > 0 ? {
+          archive: [
+            ...(data.archive || []),
+            ...usedUp.map(item => ({ ...item, qty: 0, archivedAt: new Date().toISOString() })),
+          ],
+        } : {}),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Add createdAt to items, derived from their timestamp id',
+    migrate: (data) => ({
+      ...data,
+      items: (data.items || []).map(item => {
+        if (item.createdAt) return item;
+        const timestamp = Number(item.id);
+        return {
+          ...item,
+          createdAt: new Date(Number.isFinite(timestamp) ? timestamp : Date.now()).toISOString(),
+        };
+      }),
+    }),
+  },
+  {
+    version: 3,
+    description: 'Replace the single notificationId on items with a notificationIds list',
+    migrate: (data) => ({
+      ...data,
+      items: (data.items || []).map(({ notificationId, ...item }) => ({
+        ...item,
+        notificationIds: item.notificationIds || (notificationId ? [notificationId] : []),
+      })),
+    }),
+  },
+  {
+    version: 4,
+    description: 'Store the date type on items saved before date types existed',
+    migrate: (data) => ({
+      ...data,
+      items: (data.items || []).map(item => ({
+        ...item,
+        dateType: item.dateType || 'useBy',
+      })),
+    }),
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply all migrations newer than a version to a data snapshot
+ * @param {Object} data - Data keyed like STORAGE_KEYS
+ * @param {number} fromVersion - Schema version the data is at
+ * @returns {Object} Data at CURRENT_SCHEMA_VERSION
+ */
+export function migrateData(data, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => {
+      console.log(`Running migration ${migration.version}: ${migration.description}`);
+      return migration.migrate(current);
+    }, data);
+}
+
+/**
+ * Upgrade stored data to the current schema version
+ * @returns {Promise<{from: number, to: number}>} Versions before and after migrating
+ */
+export async function runMigrations() {
+  const from = await getSchemaVersion();
+
+  if (from > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Stored schema version ${from} is newer than this app (${CURRENT_SCHEMA_VERSION})`);
+    return { from, to: from };
+  }
+  if (from === CURRENT_SCHEMA_VERSION) {
+    return { from, to: from };
+  }
+
+  const snapshot = await readSnapshot();
+  await writeSnapshot(migrateData(snapshot, from));
+  await setSchemaVersion(CURRENT_SCHEMA_VERSION);
+
+  return { from, to: CURRENT_SCHEMA_VERSION };
+}
@@ -0,0 +1,162 @@
+/**
+ * Notification reconciler - bring scheduled notifications back in line with the items
+ */
+import {
+  getAllScheduledNotifications,
+  cancelNotification,
+  getUpcomingReminders,
+  scheduleExpiryNotifications,
+  DIGEST_TYPE
+} from './notifications';
+
+/**
+ * Reconciliation Report Structure:
+ * {
+ *   ranAt: string,
+ *   scheduledBefore: number,
+ *   scheduledAfter: number,
+ *   cancelled: Array<{id: string, reason: 'orphan' | 'duplicate' | 'stale', title: string, body: string}>,
+ *   rescheduled: Array<{itemId: string, name: string, count: number}>,
+ *   forgottenIds: number    // IDs dropped from items because they were cancelled or have fired
+ * }
+ */
+
+/**
+ * Decide which scheduled notifications to cancel
+ * @returns {{cancel: Array, kept: Map}} Notifications to cancel with a reason,
+ *   and the kept reminders per item ID
+ */
+function sortScheduled(scheduled, items, settings) {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  // Notifications scheduled before reminders carried an item ID are only known by the ID stored on the item
+  const ownerById = new Map();
+  items.forEach(item => {
+    (item.notificationIds || []).forEach(id => ownerById.set(id, item));
+  });
+
+  const cancel = [];
+  const kept = new Map();
+  const seen = new Set();
+  const isDigestMode = settings.notifications.mode === 'digest';
+
+  // Notifications the items know about go first, so those are the ones kept among duplicates
+  const ordered = [...scheduled].sort((a, b) =>
+    Number(ownerById.has(b.identifier)) - Number(ownerById.has(a.identifier))
+  );
+
+  ordered.forEach(notification => {
+    const data = notification.content?.data || {};
+
+    if (!settings.notifications.enabled) {
+      cancel.push({ notification, reason: 'stale' });
+      return;
+    }
+
+    if (data.type === DIGEST_TYPE) {
+      if (!isDigestMode) cancel.push({ notification, reason: 'stale' });
+      return;
+    }
+
+    const item = ownerById.get(notification.identifier) || itemsById.get(data.itemId);
+    if (!item) {
+      cancel.push({ notification, reason: 'orphan' });
+      return;
+    }
+    if (isDigestMode && !data.snoozed) {
+      cancel.push({ notification, reason: 'stale' });
+      return;
+    }
+
+    // One reminder per item and offset; snoozes are one-offs and always unique
+    const slot = data.snoozed
+      ? `${item.id}:snooze:${notification.identifier}`
+      : `${item.id}:${data.daysBefore ?? notification.content?.body}`;
+    if (seen.has(slot)) {
+      cancel.push({ notification, reason: 'duplicate' });
+      return;
+    }
+    seen.add(slot);
+
+    if (!kept.has(item.id)) kept.set(item.id, []);
+    kept.get(item.id).push(notification);
+  });
+
+  return { cancel, kept };
+}
+
+/**
+ * Compare scheduled notifications with the items: cancel orphans, duplicates
+ * and reminders that no longer apply, schedule reminders that are missing and
+ * drop notification IDs that no longer exist from the items.
+ * @param {Array} items - Food items
+ * @param {Array} categories - Categories, for per-category reminder offsets
+ * @param {Object} settings - App settings
+ * @returns {Promise<{items: Array, report: Object}>} Items with corrected notification IDs and a report
+ */
+export async function reconcileNotifications(items, categories, settings) {
+  const scheduled = await getAllScheduledNotifications();
+  const { cancel, kept } = sortScheduled(scheduled, items, settings);
+
+  for (const { notification } of cancel) {
+    await cancelNotification(notification.identifier);
+  }
+
+  const rescheduled = [];
+  let forgottenIds = 0;
+  const updatedItems = [];
+
+  for (const item of items) {
+    const category = categories.find(cat => cat.id === item.categoryId);
+    const upcoming = getUpcomingReminders(item, { category, settings });
+    const expectedOffsets = new Set(upcoming.map(reminder => reminder.daysBefore));
+
+    // Reminders for offsets the item no longer uses, e.g. after the settings changed
+    const live = [];
+    for (const notification of kept.get(item.id) || []) {
+      const data = notification.content?.data || {};
+      if (!data.snoozed && data.daysBefore !== undefined && !expectedOffsets.has(data.daysBefore)) {
+        await cancelNotification(notification.identifier);
+        cancel.push({ notification, reason: 'stale' });
+      } else {
+        live.push(notification);
+      }
+    }
+
+    const liveOffsets = new Set(live.map(notification => notification.content?.data?.daysBefore));
+    const missing = upcoming.filter(({ daysBefore }) => !liveOffsets.has(daysBefore));
+
+    let notificationIds = live.map(notification => notification.identifier);
+
+    if (missing.length > 0) {
+      // Replace the item's reminders wholesale rather than patching in single offsets
+      for (const notification of live.filter(n => !n.content?.data?.snoozed)) {
+        await cancelNotification(notification.identifier);
+      }
+      const snoozedIds = live.filter(n => n.content?.data?.snoozed).map(n => n.identifier);
+      const newIds = await scheduleExpiryNotifications(item, { category, settings });
+      notificationIds = [...snoozedIds, ...newIds];
+      rescheduled.push({ itemId: item.id, name: item.name, count: newIds.length });
+    }
+
+    forgottenIds += (item.notificationIds || []).filter(id => !notificationIds.includes(id)).length;
+    updatedItems.push({ ...item, notificationIds });
+  }
+
+  const scheduledAfter = await getAllScheduledNotifications();
+  const report = {
+    ranAt: new Date().toISOString(),
+    scheduledBefore: scheduled.length,
+    scheduledAfter: scheduledAfter.length,
+    cancelled: cancel.map(({ notification, reason }) => ({
+      id: notification.identifier,
+      reason,
+      title: notification.content?.title || '',
+      body: notification.content?.body || '',
+    })),
+    rescheduled,
+    forgottenIds,
+  };
+
+  console.log(`Notification reconciliation: cancelled ${report.cancelled.length}, rescheduled ${rescheduled.length} item(s)`);
+  return { items: updatedItems, report };
+}
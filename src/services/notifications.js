@@ -2,7 +2,9 @@
  * Notification service for food expiry alerts
  */
 import * as Notifications from "expo-notifications";
-import { daysUntilExpiry } from '../utils/dateUtils';
+import { daysBetween, getEffectiveExpiryDate, timeOfDayToDate } from '../utils/dateUtils';
+import { getEffectiveDateType, getExpiryStatus, isExpiringSoon } from '../utils/expiryStatus';
+import { DEFAULT_SETTINGS } from './settingsStorage';
 
 // Format date to Danish format (DD/MM/YYYY)
 function formatDateDanish(dateString) {
@@ -13,67 +15,471 @@ function formatDateDanish(dateString) {
   return `${day}/${month}/${year}`;
 }
 
+// Notification preferences the handler follows, kept in step with the settings by applyNotificationPreferences
+let preferences = DEFAULT_SETTINGS.notifications;
+
 // Configure notification handler
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
-    shouldShowAlert: true,
-    shouldPlaySound: false,
-    shouldSetBadge: false
+    shouldShowAlert: preferences.enabled,
+    shouldPlaySound: preferences.sound && !isInQuietHours(new Date(), preferences.quietHours),
+    shouldSetBadge: preferences.badge
   })
 });
 
+// How reminders are delivered: one notification per item reminder, or one daily summary
+export const NOTIFICATION_MODES = {
+  perItem: { label: 'Pr. vare' },
+  digest: { label: 'Daglig oversigt' },
+};
+
+// Number of days ahead daily digests are scheduled. They are recomputed
+// whenever items change, so this only has to cover a spell without opening the app.
+const DIGEST_DAYS = 7;
+export const DIGEST_TYPE = 'digest';
+
+// Notification category carrying the action buttons on item reminders
+const REMINDER_CATEGORY = 'expiry-reminder';
+
+// Action buttons on item reminders, keyed by the action passed to the app
+export const NOTIFICATION_ACTIONS = {
+  eaten: { identifier: 'mark-eaten', buttonTitle: 'Spist' },
+  snooze: { identifier: 'snooze-1-day', buttonTitle: 'Udsæt 1 dag' },
+  discarded: { identifier: 'mark-discarded', buttonTitle: 'Smid ud', isDestructive: true },
+};
+
+const SNOOZE_HOURS = 24;
+
 /**
- * Schedule notification for food item expiry
- * @param {Object} item - Food item
- * @returns {Promise<string|null>} Notification ID or null if failed
+ * Keep the foreground notification handler in step with the settings
+ * @param {Object} notificationSettings - settings.notifications
  */
-export async function scheduleExpiryNotification(item) {
+export function applyNotificationPreferences(notificationSettings) {
+  preferences = notificationSettings;
+}
+
+/**
+ * Ask for permission to show notifications if it has not been granted yet
+ * @returns {Promise<boolean>} True if notifications are allowed
+ */
+export async function ensureNotificationPermission() {
   try {
-    const daysLeft = daysUntilExpiry(item.expiryDate);
-    console.log(`Scheduling notification for ${item.name}, expires in ${daysLeft} days`);
-    
-    // Don't schedule if already expired or expiring today/tomorrow
-    if (daysLeft <= 1) {
-      console.log(`Item ${item.name} expires too soon (${daysLeft} days), not scheduling notification`);
-      return null;
-    }
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status === 'granted') return true;
+    const request = await Notifications.requestPermissionsAsync();
+    return request.status === 'granted';
+  } catch (error) {
+    console.error("Failed to get notification permission:", error);
+    return false;
+  }
+}
 
-    // Parse the expiry date string correctly
-    const expiryDate = new Date(item.expiryDate + 'T00:00:00'); // Add time to avoid timezone issues
-    console.log(`Expiry date parsed: ${expiryDate}`);
-    
-    // Schedule for day before expiry at 6 PM
-    const notificationDate = new Date(expiryDate);
-    notificationDate.setDate(notificationDate.getDate() - 1);
-    notificationDate.setHours(18, 0, 0, 0);
-    console.log(`Notification scheduled for: ${notificationDate}`);
-
-    // Don't schedule if notification time is in the past
-    const now = new Date();
-    if (notificationDate <= now) {
-      console.log(`Notification time ${notificationDate} is in the past (now: ${now}), not scheduling`);
-      return null;
+// Minutes since midnight of an "HH:MM" time or a Date
+function minutesOfDay(value) {
+  if (value instanceof Date) return value.getHours() * 60 + value.getMinutes();
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a moment falls within quiet hours. Quiet hours may span midnight.
+ * @param {Date} date - Moment to check
+ * @param {Object} quietHours - { enabled, start, end } with times as "HH:MM"
+ * @returns {boolean} True if notifications should stay quiet
+ */
+export function isInQuietHours(date, quietHours) {
+  if (!quietHours?.enabled) return false;
+  const minutes = minutesOfDay(date);
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Move a notification time that falls within quiet hours to when they end
+ * @param {Date} date - Intended notification time
+ * @param {Object} notificationSettings - settings.notifications
+ * @returns {Date} Time to send the notification
+ */
+export function applyQuietHours(date, notificationSettings) {
+  const { quietHours } = notificationSettings;
+  if (!isInQuietHours(date, quietHours)) return date;
+
+  const moved = timeOfDayToDate(quietHours.end, date);
+  // Quiet hours that started in the evening end the next morning
+  if (moved <= date) {
+    moved.setDate(moved.getDate() + 1);
+  }
+  return moved;
+}
+
+// Reminder offsets offered in the settings, in days before expiry
+export const REMINDER_OFFSET_OPTIONS = [0, 1, 2, 3, 7, 14, 30];
+
+/**
+ * Describe a reminder offset in Danish
+ * @param {number} days - Days before expiry
+ * @returns {string} Label such as "Samme dag", "3 dage før" or "2 uger før"
+ */
+export function formatReminderOffset(days) {
+  if (days === 0) return 'Samme dag';
+  if (days % 7 === 0) {
+    const weeks = days / 7;
+    return `${weeks} uge${weeks !== 1 ? 'r' : ''} før`;
+  }
+  return `${days} dag${days !== 1 ? 'e' : ''} før`;
+}
+
+/**
+ * Work out which reminders apply to an item. The item's own offsets win,
+ * then its category's, then the global setting.
+ * @param {Object} item - Food item
+ * @param {Object} [category] - The item's category
+ * @param {Object} notificationSettings - settings.notifications
+ * @returns {Array<number>} Days before expiry, largest first
+ */
+export function resolveReminderOffsets(item, category, notificationSettings) {
+  const offsets = item.reminderOffsets || category?.reminderOffsets || notificationSettings.reminderOffsets || [];
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+// Notification text for a reminder sent a given number of days before expiry
+function reminderBody(item, daysBefore) {
+  const date = formatDateDanish(getEffectiveExpiryDate(item));
+  if (getEffectiveDateType(item) === 'bestBefore') {
+    if (daysBefore === 0) return `${item.name} er bedst før i dag – ofte god længere`;
+    if (daysBefore === 1) return `${item.name} er bedst før i morgen (${date})`;
+    return `${item.name} er bedst før om ${daysBefore} dage (${date})`;
+  }
+  if (daysBefore === 0) return `${item.name} skal bruges i dag`;
+  if (daysBefore === 1) return `${item.name} har sidste anvendelsesdag i morgen (${date})`;
+  return `${item.name} har sidste anvendelsesdag om ${daysBefore} dage (${date})`;
+}
+
+// Use-by dates are a safety limit and break through; best-before reminders stay quiet
+function reminderUrgency(item) {
+  return getEffectiveDateType(item) === 'useBy'
+    ? { title: "⛔ FooGood: sidste anvendelsesdag", priority: Notifications.AndroidNotificationPriority.HIGH, interruptionLevel: 'timeSensitive' }
+    : { title: "🍯 FooGood påmindelse", priority: Notifications.AndroidNotificationPriority.DEFAULT, interruptionLevel: 'active' };
+}
+
+/**
+ * Work out the reminders an item should have scheduled from now on
+ * @param {Object} item - Food item
+ * @param {Object} options - Scheduling context, see scheduleExpiryNotifications
+ * @returns {Array<{daysBefore: number, notificationDate: Date}>} Future reminders, moved
+ *   out of quiet hours; none in digest mode or when notifications are off
+ */
+export function getUpcomingReminders(item, { category, settings }) {
+  const notificationSettings = settings.notifications;
+  if (!notificationSettings.enabled || notificationSettings.mode === 'digest') {
+    // Notifications are off, or items are covered by the daily digest instead
+    return [];
+  }
+
+  const now = new Date();
+
+  return resolveReminderOffsets(item, category, notificationSettings)
+    .map(daysBefore => {
+      // Add time to avoid timezone issues
+      const reminderDay = new Date(getEffectiveExpiryDate(item) + 'T00:00:00');
+      reminderDay.setDate(reminderDay.getDate() - daysBefore);
+      const notificationDate = applyQuietHours(
+        timeOfDayToDate(notificationSettings.reminderTime, reminderDay),
+        notificationSettings
+      );
+      return { daysBefore, notificationDate };
+    })
+    .filter(({ notificationDate }) => notificationDate > now);
+}
+
+/**
+ * Schedule the expiry reminders for a food item. Reminders whose time has
+ * already passed are skipped, and nothing is scheduled in digest mode or
+ * when notifications are off.
+ * @param {Object} item - Food item
+ * @param {Object} options - Scheduling context
+ * @param {Object} [options.category] - The item's category, for its reminder offsets
+ * @param {Object} options.settings - App settings
+ * @returns {Promise<Array<string>>} IDs of the scheduled notifications
+ */
+export async function scheduleExpiryNotifications(item, { category, settings }) {
+  const notificationIds = [];
+
+  for (const { daysBefore, notificationDate } of getUpcomingReminders(item, { category, settings })) {
+    try {
+      const notificationId = await Notifications.scheduleNotificationAsync({
+        content: {
+          ...reminderUrgency(item),
+          body: reminderBody(item, daysBefore),
+          sound: settings.notifications.sound,
+          data: { itemId: item.id, daysBefore },
+          categoryIdentifier: REMINDER_CATEGORY,
+        },
+        trigger: {
+          date: notificationDate,
+        },
+      });
+      notificationIds.push(notificationId);
+    } catch (error) {
+      console.error(`Failed to schedule notification for ${item.name}:`, error);
     }
+  }
+
+  console.log(`Scheduled ${notificationIds.length} notification(s) for ${item.name}`);
+  return notificationIds;
+}
 
-    const notificationId = await Notifications.scheduleNotificationAsync({
+/**
+ * Schedule a one-off reminder for an item a day from now, used when a
+ * reminder is snoozed
+ * @param {Object} item - Food item
+ * @param {Object} settings - App settings
+ * @returns {Promise<string|null>} Notification ID or null if failed or notifications are off
+ */
+export async function scheduleSnoozedReminder(item, settings) {
+  const notificationSettings = settings.notifications;
+  if (!notificationSettings.enabled) return null;
+
+  try {
+    const notificationDate = applyQuietHours(
+      new Date(Date.now() + SNOOZE_HOURS * 60 * 60 * 1000),
+      notificationSettings
+    );
+    return await Notifications.scheduleNotificationAsync({
       content: {
-        title: "🍯 FooGood påmindelse",
-        body: `${item.name} udløber den ${formatDateDanish(item.expiryDate)}`,
-        sound: false,
+        ...reminderUrgency(item),
+        body: `${item.name} udløber den ${formatDateDanish(getEffectiveExpiryDate(item))}`,
+        sound: notificationSettings.sound,
+        data: { itemId: item.id, snoozed: true },
+        categoryIdentifier: REMINDER_CATEGORY,
       },
       trigger: {
         date: notificationDate,
       },
     });
+  } catch (error) {
+    console.error("Failed to snooze notification:", error);
+    return null;
+  }
+}
 
-    console.log(`Notification scheduled with ID: ${notificationId}`);
-    return notificationId;
+/**
+ * Register the action buttons shown on item reminders. The buttons open the
+ * app: no background task handles responses, so a response from a killed
+ * app only reaches it as the launch response (see takeLaunchNotificationResponse).
+ * @returns {Promise<void>}
+ */
+export async function registerNotificationActions() {
+  try {
+    await Notifications.setNotificationCategoryAsync(
+      REMINDER_CATEGORY,
+      Object.values(NOTIFICATION_ACTIONS).map(({ identifier, buttonTitle, isDestructive }) => ({
+        identifier,
+        buttonTitle,
+        options: { opensAppToForeground: true, isDestructive: !!isDestructive },
+      }))
+    );
   } catch (error) {
-    console.error("Failed to schedule notification:", error);
+    console.error("Failed to register notification actions:", error);
+  }
+}
+
+/**
+ * Translate a notification response into what the user asked for
+ * @param {Object} response - Response from expo-notifications
+ * @returns {{action: string, itemId: string}|null} One of the NOTIFICATION_ACTIONS keys
+ *   (or 'open' for a plain tap) and the item it concerns, or null if it is not an item reminder
+ */
+export function parseNotificationResponse(response) {
+  const itemId = response?.notification?.request?.content?.data?.itemId;
+  if (!itemId) return null;
+
+  const action = Object.keys(NOTIFICATION_ACTIONS)
+    .find(key => NOTIFICATION_ACTIONS[key].identifier === response.actionIdentifier);
+  return { action: action || 'open', itemId };
+}
+
+/**
+ * Listen for taps and action buttons on notifications while the app is running
+ * @param {Function} callback - Called with each response
+ * @returns {Function} Unsubscribe function
+ */
+export function addNotificationResponseListener(callback) {
+  const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+    // Handled here, so it must not be picked up again as a launch response
+    Notifications.clearLastNotificationResponseAsync().catch(() => {});
+    callback(response);
+  });
+  return () => subscription.remove();
+}
+
+/**
+ * Get the response that launched the app, if any, and clear it so it is
+ * not handled again on the next launch
+ * @returns {Promise<Object|null>} Notification response or null
+ */
+export async function takeLaunchNotificationResponse() {
+  try {
+    const response = await Notifications.getLastNotificationResponseAsync();
+    if (response) {
+      await Notifications.clearLastNotificationResponseAsync();
+    }
+    return response;
+  } catch (error) {
+    console.error("Failed to get launch notification response:", error);
     return null;
   }
 }
 
+/**
+ * Sort items into what expires on a day, the day after and the rest of that week
+ * @param {Array} items - Food items
+ * @param {Date} day - Day the summary is for
+ * @returns {{today: Array, tomorrow: Array, thisWeek: Array}} Items per group
+ */
+export function buildDigestSummary(items, day) {
+  const summary = { today: [], tomorrow: [], thisWeek: [] };
+  items.forEach(item => {
+    const daysLeft = daysBetween(day, new Date(getEffectiveExpiryDate(item) + 'T00:00:00'));
+    if (daysLeft === 0) summary.today.push(item);
+    else if (daysLeft === 1) summary.tomorrow.push(item);
+    else if (daysLeft > 1 && daysLeft < 7) summary.thisWeek.push(item);
+  });
+  return summary;
+}
+
+// Notification content for a digest, or null when there is nothing to report
+function digestContent(summary, notificationSettings) {
+  const total = summary.today.length + summary.tomorrow.length + summary.thisWeek.length;
+  if (total === 0) return null;
+
+  // Use-by items are marked, since those must not be eaten after the date
+  const names = list => list.map(item => (getEffectiveDateType(item) === 'useBy' ? `⛔ ${item.name}` : item.name)).join(', ');
+  const lines = [];
+  if (summary.today.length > 0) lines.push(`I dag: ${names(summary.today)}`);
+  if (summary.tomorrow.length > 0) lines.push(`I morgen: ${names(summary.tomorrow)}`);
+  if (summary.thisWeek.length > 0) {
+    lines.push(`Denne uge: ${summary.thisWeek.length} vare${summary.thisWeek.length !== 1 ? 'r' : ''}`);
+  }
+
+  return {
+    title: `🍯 FooGood: ${total} vare${total !== 1 ? 'r' : ''} udløber snart`,
+    body: lines.join('\n'),
+    sound: notificationSettings.sound,
+    data: { type: DIGEST_TYPE },
+    ...(notificationSettings.badge ? { badge: summary.today.length + summary.tomorrow.length } : {}),
+  };
+}
+
+/**
+ * Cancel all scheduled daily digests
+ * @returns {Promise<void>}
+ */
+export async function cancelDigestNotifications() {
+  const scheduled = await getAllScheduledNotifications();
+  for (const notification of scheduled) {
+    if (notification.content?.data?.type === DIGEST_TYPE) {
+      await cancelNotification(notification.identifier);
+    }
+  }
+}
+
+// Digest scheduling runs one at a time so overlapping item changes cannot leave duplicates
+let digestQueue = Promise.resolve();
+
+/**
+ * Replace the scheduled daily digests with ones computed from the current items.
+ * Days without anything expiring get no digest.
+ * @param {Array} items - Food items
+ * @param {Object} settings - App settings
+ * @returns {Promise<number>} Number of digests scheduled
+ */
+export function scheduleDigestNotifications(items, settings) {
+  const run = async () => {
+    await cancelDigestNotifications();
+
+    const notificationSettings = settings.notifications;
+    if (!notificationSettings.enabled) return 0;
+
+    const now = new Date();
+    let count = 0;
+
+    for (let offset = 0; offset < DIGEST_DAYS; offset++) {
+      const day = new Date();
+      day.setDate(day.getDate() + offset);
+      const digestDate = applyQuietHours(timeOfDayToDate(notificationSettings.digestTime, day), notificationSettings);
+      if (digestDate <= now) continue;
+
+      const content = digestContent(buildDigestSummary(items, digestDate), notificationSettings);
+      if (!content) continue;
+
+      try {
+        await Notifications.scheduleNotificationAsync({
+          content,
+          trigger: { date: digestDate },
+        });
+        count++;
+      } catch (error) {
+        console.error("Failed to schedule digest notification:", error);
+      }
+    }
+
+    console.log(`Scheduled ${count} daily digest(s)`);
+    return count;
+  };
+
+  digestQueue = digestQueue.then(run, run);
+  return digestQueue;
+}
+
+/**
+ * Show the app badge with the number of items expiring soon, or clear it
+ * @param {Array} items - Food items
+ * @param {Object} settings - App settings
+ * @param {Array} categories - Categories, for their own warning windows
+ * @returns {Promise<void>}
+ */
+export async function updateBadgeCount(items, settings, categories) {
+  try {
+    const notificationSettings = settings.notifications;
+    const count = notificationSettings.enabled && notificationSettings.badge
+      ? items.filter(item => isExpiringSoon(getExpiryStatus(item, { categories, settings }))).length
+      : 0;
+    await Notifications.setBadgeCountAsync(count);
+  } catch (error) {
+    console.error("Failed to update badge count:", error);
+  }
+}
+
+/**
+ * Send a notification right away so the user can check how reminders look and sound.
+ * Quiet hours do not apply.
+ * @param {Object} notificationSettings - settings.notifications
+ * @returns {Promise<boolean>} True if the notification was sent
+ */
+export async function sendTestNotification(notificationSettings) {
+  if (!(await ensureNotificationPermission())) return false;
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: "🍯 FooGood test",
+        body: "Sådan ser dine påmindelser ud",
+        sound: notificationSettings.sound,
+        data: { type: 'test' },
+      },
+      trigger: null,
+    });
+    return true;
+  } catch (error) {
+    console.error("Failed to send test notification:", error);
+    return false;
+  }
+}
+
 /**
  * Cancel notification by ID
  * @param {string} notificationId - Notification ID to cancel
@@ -89,6 +495,17 @@ export async function cancelNotification(notificationId) {
   }
 }
 
+/**
+ * Cancel every reminder scheduled for an item
+ * @param {Object} item - Food item
+ * @returns {Promise<void>}
+ */
+export async function cancelItemNotifications(item) {
+  for (const notificationId of item?.notificationIds || []) {
+    await cancelNotification(notificationId);
+  }
+}
+
 /**
  * Get all scheduled notifications (for debugging)
  * @returns {Promise<Array>} Array of scheduled notifications
@@ -107,18 +524,21 @@ export async function getAllScheduledNotifications() {
 /**
  * Reschedule all notifications for items
  * @param {Array} items - Array of food items
+ * @param {Array} categories - Categories, for per-category reminder offsets
+ * @param {Object} settings - App settings
  * @returns {Promise<Array>} Updated items with new notification IDs
  */
-export async function rescheduleAllNotifications(items) {
+export async function rescheduleAllNotifications(items, categories, settings) {
   try {
     // Cancel all existing notifications
     await Notifications.cancelAllScheduledNotificationsAsync();
-    
+
     // Schedule new notifications for all items
     const updatedItems = await Promise.all(
       items.map(async (item) => {
-        const notificationId = await scheduleExpiryNotification(item);
-        return { ...item, notificationId };
+        const category = categories.find(cat => cat.id === item.categoryId);
+        const notificationIds = await scheduleExpiryNotifications(item, { category, settings });
+        return { ...item, notificationIds };
       })
     );
 
@@ -127,4 +547,4 @@ export async function rescheduleAllNotifications(items) {
     console.error("Failed to reschedule notifications:", error);
     return items;
   }
-}
\ No newline at end of file
+}
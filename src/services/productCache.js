@@ -0,0 +1,129 @@
+/**
+ * Product cache service - barcode lookups kept on the phone for offline and repeat scans
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, readJSON, writeJSON } from './schemaStorage';
+
+const PRODUCT_CACHE_KEY = STORAGE_KEYS.productCache;
+
+// Cached products are refreshed after this long, but still used when offline
+export const PRODUCT_CACHE_TTL_DAYS = 30;
+const PRODUCT_CACHE_TTL_MS = PRODUCT_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Oldest entries are dropped beyond this many products
+const MAX_CACHED_PRODUCTS = 500;
+
+/**
+ * Product Cache Structure:
+ * {
+ *   [barcode]: {
+ *     product: Object,   // Lookup result, e.g. { displayName, imageUrl }
+ *     cachedAt: string
+ *   }
+ * }
+ */
+
+/**
+ * Load the whole cache
+ * @returns {Promise<Object>} Cache entries keyed by barcode
+ */
+async function loadProductCache() {
+  try {
+    return await readJSON(PRODUCT_CACHE_KEY, {});
+  } catch (error) {
+    console.error('Error loading product cache:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the whole cache
+ * @param {Object} cache - Cache entries keyed by barcode
+ */
+async function saveProductCache(cache) {
+  try {
+    await writeJSON(PRODUCT_CACHE_KEY, cache);
+  } catch (error) {
+    console.error('Error saving product cache:', error);
+  }
+}
+
+/**
+ * Check whether a cache entry is older than the TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if the entry should be refreshed
+ */
+export function isCacheEntryExpired(entry) {
+  return Date.now() - new Date(entry.cachedAt).getTime() > PRODUCT_CACHE_TTL_MS;
+}
+
+/**
+ * Get a cached product
+ * @param {string} barcode - Product barcode
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.allowExpired] - Also return entries older than the TTL
+ * @returns {Promise<Object|null>} Cached product or null
+ */
+export async function getCachedProduct(barcode, { allowExpired = false } = {}) {
+  const cache = await loadProductCache();
+  const entry = cache[barcode];
+  if (!entry) return null;
+  if (!allowExpired && isCacheEntryExpired(entry)) return null;
+  return entry.product;
+}
+
+/**
+ * Store a product in the cache
+ * @param {string} barcode - Product barcode
+ * @param {Object} product - Lookup result
+ * @returns {Promise<void>}
+ */
+export async function cacheProduct(barcode, product) {
+  const cache = await loadProductCache();
+  cache[barcode] = { product, cachedAt: new Date().toISOString() };
+
+  const barcodes = Object.keys(cache);
+  if (barcodes.length > MAX_CACHED_PRODUCTS) {
+    barcodes
+      .sort((a, b) => new Date(cache[a].cachedAt) - new Date(cache[b].cachedAt))
+      .slice(0, barcodes.length - MAX_CACHED_PRODUCTS)
+      .forEach(oldBarcode => delete cache[oldBarcode]);
+  }
+
+  await saveProductCache(cache);
+}
+
+/**
+ * List cached products, newest first
+ * @returns {Promise<Array<{barcode: string, product: Object, cachedAt: string, expired: boolean}>>}
+ */
+export async function listCachedProducts() {
+  const cache = await loadProductCache();
+  return Object.entries(cache)
+    .map(([barcode, entry]) => ({ barcode, ...entry, expired: isCacheEntryExpired(entry) }))
+    .sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
+}
+
+/**
+ * Remove a product from the cache
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<void>}
+ */
+export async function removeCachedProduct(barcode) {
+  const cache = await loadProductCache();
+  delete cache[barcode];
+  await saveProductCache(cache);
+}
+
+/**
+ * Remove all cached products
+ * @returns {Promise<void>}
+ */
+export async function clearProductCache() {
+  try {
+    await AsyncStorage.removeItem(PRODUCT_CACHE_KEY);
+  } catch (error) {
+    console.error('Error clearing product cache:', error);
+    throw new Error('Kunne ikke rydde produkt-cachen');
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Product catalog service - the user's own products for barcodes Open Food Facts does not know
+ */
+import { STORAGE_KEYS, readJSON, writeJSON } from './schemaStorage';
+
+const PRODUCT_CATALOG_KEY = STORAGE_KEYS.productCatalog;
+
+/**
+ * Catalog Product Structure:
+ * {
+ *   id: string,            // Same as the barcode, so backups merge per product
+ *   barcode: string,
+ *   name: string,
+ *   categoryId: string|null,
+ *   shelfLifeDays: number|null,
+ *   imageUrl: string|null,
+ *   createdAt: string,
+ *   updatedAt: string
+ * }
+ */
+
+/**
+ * Load the catalog from storage
+ * @returns {Promise<Array>} Catalog products
+ */
+export async function loadProductCatalog() {
+  try {
+    return await readJSON(PRODUCT_CATALOG_KEY, []);
+  } catch (error) {
+    console.error('Error loading product catalog:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the catalog to storage
+ * @param {Array} catalog - Catalog products
+ */
+async function saveProductCatalog(catalog) {
+  try {
+    await writeJSON(PRODUCT_CATALOG_KEY, catalog);
+  } catch (error) {
+    console.error('Error saving product catalog:', error);
+    throw new Error('Kunne ikke gemme produktkataloget');
+  }
+}
+
+/**
+ * Get the catalog product for a barcode
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Object|null>} Catalog product or null
+ */
+export async function getCatalogProduct(barcode) {
+  const catalog = await loadProductCatalog();
+  return catalog.find(product => product.barcode === barcode) || null;
+}
+
+/**
+ * Add or update the catalog product for a barcode
+ * @param {string} barcode - Product barcode
+ * @param {Object} fields - name, categoryId, shelfLifeDays and imageUrl
+ * @returns {Promise<Array>} Updated catalog
+ */
+export async function saveCatalogProduct(barcode, fields) {
+  const code = barcode?.trim();
+  if (!code) {
+    throw new Error('Produktet mangler en stregkode');
+  }
+  if (!fields.name?.trim()) {
+    throw new Error('Produktet mangler et navn');
+  }
+
+  const catalog = await loadProductCatalog();
+  const now = new Date().toISOString();
+  const existing = catalog.find(product => product.barcode === code);
+  const product = {
+    categoryId: null,
+    shelfLifeDays: null,
+    imageUrl: null,
+    ...existing,
+    ...fields,
+    id: code,
+    barcode: code,
+    name: fields.name.trim(),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  const updatedCatalog = existing
+    ? catalog.map(entry => (entry.barcode === code ? product : entry))
+    : [...catalog, product];
+  await saveProductCatalog(updatedCatalog);
+  return updatedCatalog;
+}
+
+/**
+ * Remove a product from the catalog
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Array>} Updated catalog
+ */
+export async function removeCatalogProduct(barcode) {
+  const catalog = await loadProductCatalog();
+  const updatedCatalog = catalog.filter(product => product.barcode !== barcode);
+  await saveProductCatalog(updatedCatalog);
+  return updatedCatalog;
+}
+
+/**
+ * Convert a catalog product to the shape returned by product lookups
+ * @param {Object} product - Catalog product
+ * @returns {Object} Lookup result
+ */
+export function catalogProductToLookup(product) {
+  return {
+    displayName: product.name,
+    imageUrl: product.imageUrl || null,
+    categoryId: product.categoryId || null,
+    shelfLifeDays: product.shelfLifeDays ?? null,
+    source: 'catalog',
+  };
+}
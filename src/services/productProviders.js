@@ -0,0 +1,187 @@
+/**
+ * Product lookup providers - the ordered chain a barcode is looked up through
+ */
+import { DEFAULT_SETTINGS } from './settingsStorage';
+import { getCatalogProduct, catalogProductToLookup } from './productCatalog';
+import { getCachedProduct, cacheProduct } from './productCache';
+import { lookupOpenFoodFacts, lookupCustomEndpoint } from './api';
+
+/**
+ * Product Provider Structure:
+ * {
+ *   id: string,
+ *   label: string,
+ *   timeoutMs: number,
+ *   cacheResults: boolean,             // Hits are stored in the product cache
+ *   isEnabled(settings): boolean,
+ *   lookup(barcode, { settings, signal }): Promise<Object|null>
+ * }
+ *
+ * A provider returns null when it does not know the barcode and throws when
+ * it could not answer; either way the chain moves on to the next provider.
+ */
+
+// Lookup settings in use, kept in sync with settings.productLookup by the app context
+let lookupSettings = DEFAULT_SETTINGS.productLookup;
+
+export const PRODUCT_PROVIDERS = {
+  catalog: {
+    id: 'catalog',
+    label: 'Mit produktkatalog',
+    timeoutMs: 2000,
+    cacheResults: false,
+    isEnabled: () => true,
+    lookup: async barcode => {
+      const product = await getCatalogProduct(barcode);
+      return product ? catalogProductToLookup(product) : null;
+    },
+  },
+  cache: {
+    id: 'cache',
+    label: 'Produkt-cache',
+    timeoutMs: 2000,
+    cacheResults: false,
+    isEnabled: () => true,
+    lookup: barcode => getCachedProduct(barcode),
+  },
+  openFoodFacts: {
+    id: 'openFoodFacts',
+    label: 'Open Food Facts',
+    timeoutMs: 8000,
+    cacheResults: true,
+    isEnabled: settings => settings.openFoodFacts,
+    lookup: (barcode, { signal }) => lookupOpenFoodFacts(barcode, { signal }),
+  },
+  custom: {
+    id: 'custom',
+    label: 'Egen produkttjeneste',
+    // Replaced by the timeout from the settings, see getProviderTimeout
+    timeoutMs: 5000,
+    cacheResults: true,
+    isEnabled: settings => !!settings.customEndpoint?.trim(),
+    lookup: (barcode, { settings, signal }) => lookupCustomEndpoint(settings.customEndpoint.trim(), barcode, { signal }),
+  },
+  // Expired cache entries, so repeat scans still work offline
+  staleCache: {
+    id: 'staleCache',
+    label: 'Produkt-cache (udløbet)',
+    timeoutMs: 2000,
+    cacheResults: false,
+    isEnabled: () => true,
+    lookup: barcode => getCachedProduct(barcode, { allowExpired: true }),
+  },
+};
+
+/**
+ * Use new lookup settings for the following lookups
+ * @param {Object} settings - settings.productLookup
+ */
+export function applyProductLookupSettings(settings) {
+  lookupSettings = { ...DEFAULT_SETTINGS.productLookup, ...settings };
+}
+
+/**
+ * Get the providers a lookup goes through, in order
+ * @param {Object} [settings] - settings.productLookup, defaults to the applied settings
+ * @returns {Array<Object>} Enabled providers
+ */
+export function getProviderChain(settings = lookupSettings) {
+  const online = settings.customEndpointFirst ? ['custom', 'openFoodFacts'] : ['openFoodFacts', 'custom'];
+  return ['catalog', 'cache', ...online, 'staleCache']
+    .map(id => PRODUCT_PROVIDERS[id])
+    .filter(provider => provider.isEnabled(settings));
+}
+
+/**
+ * Get how long to wait for a provider
+ * @param {Object} provider - Product provider
+ * @param {Object} settings - settings.productLookup
+ * @returns {number} Timeout in milliseconds
+ */
+function getProviderTimeout(provider, settings) {
+  if (provider.id === 'custom' && settings.customTimeoutSeconds > 0) {
+    return settings.customTimeoutSeconds * 1000;
+  }
+  return provider.timeoutMs;
+}
+
+/**
+ * Ask one provider, giving up after its timeout
+ * @param {Object} provider - Product provider
+ * @param {string} barcode - Product barcode
+ * @param {Object} settings - settings.productLookup
+ * @returns {Promise<Object|null>} Lookup result or null if not found
+ * @throws {Error} When the provider fails or does not answer in time
+ */
+export async function lookupWithProvider(provider, barcode, settings = lookupSettings) {
+  const timeoutMs = getProviderTimeout(provider, settings);
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.label} svarede ikke inden for ${Math.round(timeoutMs / 1000)} sekunder`));
+    }, timeoutMs);
+  });
+
+  try {
+    const product = await Promise.race([
+      provider.lookup(barcode, { settings, signal: controller.signal }),
+      timeout,
+    ]);
+    return product ? { ...product, source: product.source || provider.id } : null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Look up a product through the provider chain. The first provider that
+ * knows the barcode wins; online results are cached for next time.
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Object|null>} Product information or null if not found
+ */
+export async function lookupProduct(barcode) {
+  const code = barcode?.trim();
+  if (!code) {
+    return null;
+  }
+
+  const settings = lookupSettings;
+  for (const provider of getProviderChain(settings)) {
+    try {
+      const product = await lookupWithProvider(provider, code, settings);
+      if (!product) continue;
+
+      if (provider.cacheResults) {
+        await cacheProduct(code, product);
+      }
+      return product;
+    } catch (error) {
+      console.warn(`Product lookup via ${provider.id} failed:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ask every provider in the chain about a barcode, for checking the setup
+ * @param {string} barcode - Product barcode
+ * @returns {Promise<Array<{provider: Object, product: Object|null, error: Error|null, durationMs: number}>>}
+ *   One result per provider, in chain order
+ */
+export async function testProviderChain(barcode) {
+  const code = barcode.trim();
+  const results = [];
+  for (const provider of getProviderChain()) {
+    const startedAt = Date.now();
+    try {
+      const product = await lookupWithProvider(provider, code);
+      results.push({ provider, product, error: null, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      results.push({ provider, product: null, error, durationMs: Date.now() - startedAt });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,149 @@
+/**
+ * Schema storage - shared storage keys, schema version and safe JSON access
+ */
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+/**
+ * All AsyncStorage keys holding app data. Existing key names are kept
+ * unchanged so data written by earlier versions is still found.
+ */
+export const STORAGE_KEYS = {
+  items: "expiry_items_v1",
+  archive: "expiry_items_archive_v1",
+  history: "consumption_history_v1",
+  categories: "@foogood_categories",
+  shoppingList: "@foogood_shopping_list",
+  settings: "@foogood_settings",
+  productCache: "@foogood_product_cache",
+  productCatalog: "@foogood_product_catalog",
+};
+
+const SCHEMA_VERSION_KEY = "@foogood_schema_version";
+
+// Keys that had to be recovered since the last report
+let recoveredKeys = [];
+
+/**
+ * Get the schema version the stored data is at
+ * @returns {Promise<number>} Stored schema version, 0 for data from before versioning
+ */
+export async function getSchemaVersion() {
+  const stored = await AsyncStorage.getItem(SCHEMA_VERSION_KEY);
+  const version = Number(stored);
+  return Number.isInteger(version) ? version : 0;
+}
+
+/**
+ * Store the schema version
+ * @param {number} version - Schema version
+ * @returns {Promise<void>}
+ */
+export async function setSchemaVersion(version) {
+  await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+}
+
+/**
+ * Try to rescue the complete entries of a truncated JSON array
+ * @param {string} raw - Unparseable JSON text
+ * @returns {Array|null} Salvaged entries or null if nothing could be saved
+ */
+function salvageJSONArray(raw) {
+  if (!raw.trim().startsWith("[")) return null;
+
+  let end = raw.lastIndexOf("}");
+  while (end > 0) {
+    try {
+      const parsed = JSON.parse(raw.slice(0, end + 1) + "]");
+      return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      end = raw.lastIndexOf("}", end - 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and parse a JSON value. If the stored text is corrupt, the raw text is
+ * copied to a backup key, whatever can be salvaged is written back and the key
+ * is reported through getRecoveryReport.
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing is stored or nothing can be recovered
+ * @returns {Promise<*>} Parsed value
+ */
+export async function readJSON(key, fallback) {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw === null || raw === undefined) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Corrupt data in ${key}, attempting recovery:`, error);
+
+    const backupKey = `${key}__corrupt_${Date.now()}`;
+    await AsyncStorage.setItem(backupKey, raw);
+
+    const salvaged = salvageJSONArray(raw);
+    const recovered = salvaged !== null ? salvaged : fallback;
+    if (recovered === undefined) {
+      await AsyncStorage.removeItem(key);
+    } else {
+      await AsyncStorage.setItem(key, JSON.stringify(recovered));
+    }
+
+    recoveredKeys.push({
+      key,
+      backupKey,
+      salvagedCount: Array.isArray(salvaged) ? salvaged.length : 0,
+    });
+    return recovered;
+  }
+}
+
+/**
+ * Serialize and store a JSON value
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export async function writeJSON(key, value) {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Read every stored data key into one object, keyed like STORAGE_KEYS.
+ * Keys that have never been written are left out.
+ * @returns {Promise<Object>} Snapshot of all app data
+ */
+export async function readSnapshot() {
+  const snapshot = {};
+  for (const [name, key] of Object.entries(STORAGE_KEYS)) {
+    const value = await readJSON(key, undefined);
+    if (value !== undefined) {
+      snapshot[name] = value;
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Write the parts of a snapshot back to storage
+ * @param {Object} snapshot - Data keyed like STORAGE_KEYS
+ * @returns {Promise<void>}
+ */
+export async function writeSnapshot(snapshot) {
+  for (const [name, key] of Object.entries(STORAGE_KEYS)) {
+    if (snapshot[name] !== undefined) {
+      await writeJSON(key, snapshot[name]);
+    }
+  }
+}
+
+/**
+ * Get and reset the list of keys recovered from corrupt data
+ * @returns {Array} Recovered keys with their backup key and number of salvaged entries
+ */
+export function getRecoveryReport() {
+  const report = recoveredKeys;
+  recoveredKeys = [];
+  return report;
+}
@@ -0,0 +1,104 @@
+/**
+ * Settings storage service - user preferences
+ */
+import { STORAGE_KEYS, readJSON, writeJSON } from './schemaStorage';
+import { DEFAULT_WARNING_DAYS } from '../utils/expiryStatus';
+import { DEFAULT_PANTRY_FILTERS } from '../utils/pantryList';
+
+const SETTINGS_KEY = STORAGE_KEYS.settings;
+
+// Default settings; stored settings are merged on top so new keys get defaults
+export const DEFAULT_SETTINGS = {
+  statsPeriod: 'week',
+  // Days ahead items count as expiring soon; categories can set their own warningDays
+  expiryWarningDays: DEFAULT_WARNING_DAYS,
+  notifications: {
+    // Master switch for all scheduled notifications
+    enabled: true,
+    sound: false,
+    // Show the number of items expiring soon on the app icon
+    badge: false,
+    // Notifications due within quiet hours are held until they end
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    // 'perItem' reminders or one 'digest' a day, see NOTIFICATION_MODES
+    mode: 'perItem',
+    // Days before expiry to remind at; 0 is the expiry date itself
+    reminderOffsets: [1],
+    // Time of day reminders are sent, HH:MM
+    reminderTime: '18:00',
+    // Time of day the digest is sent, HH:MM
+    digestTime: '08:00',
+  },
+  productLookup: {
+    // Ask Open Food Facts for barcodes the catalog and cache do not know
+    openFoodFacts: true,
+    // Own product service, a URL where {barcode} is replaced; empty for none
+    customEndpoint: '',
+    // Ask the own product service before Open Food Facts
+    customEndpointFirst: false,
+    // Seconds to wait for the own product service
+    customTimeoutSeconds: 5,
+  },
+  // The user's changes to the bundled shelf-life rules, keyed by rule id;
+  // { fridge, freezer, pantry, opened } in days, null restores the rule
+  shelfLifeOverrides: {},
+  // Filters and sort order of the pantry list, see DEFAULT_PANTRY_FILTERS
+  pantryList: DEFAULT_PANTRY_FILTERS,
+};
+
+/**
+ * Merge settings one level deep: nested objects are combined key by key,
+ * everything else is replaced
+ * @param {Object} base - Settings to start from
+ * @param {Object} overrides - Settings taking precedence
+ * @returns {Object} Merged settings
+ */
+function mergeSettings(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? { ...base[key], ...value }
+      : value;
+  });
+  return merged;
+}
+
+/**
+ * Load settings from storage
+ * @returns {Promise<Object>} Settings with defaults applied
+ */
+export async function loadSettings() {
+  try {
+    const stored = await readJSON(SETTINGS_KEY, {});
+    return mergeSettings(DEFAULT_SETTINGS, stored);
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save settings to storage
+ * @param {Object} settings - Settings to save
+ */
+export async function saveSettings(settings) {
+  try {
+    await writeJSON(SETTINGS_KEY, settings);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update some settings
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function updateSettings(updates) {
+  const settings = await loadSettings();
+  const updatedSettings = mergeSettings(settings, updates);
+  await saveSettings(updatedSettings);
+  return updatedSettings;
+}
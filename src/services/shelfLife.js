@@ -0,0 +1,366 @@
+/**
+ * Shelf-life service - suggested expiry dates from product type, storage location and opened state
+ */
+
+export const STORAGE_LOCATIONS = {
+  fridge: 'Køleskab',
+  freezer: 'Fryser',
+  pantry: 'Skab',
+};
+
+// Used when no rule matches the product
+export const DEFAULT_SHELF_LIFE_DAYS = { fridge: 7, freezer: 90, pantry: 30 };
+
+// Fresh products labelled with a use-by date; everything else, and anything
+// frozen, carries a best-before date
+const USE_BY_RULE_IDS = ['coldCuts', 'meat', 'fish', 'leftovers'];
+
+/**
+ * Shelf-Life Rule Structure:
+ * {
+ *   id: string,
+ *   label: string,
+ *   keywords: Array<string>,   // Danish and English words in product names
+ *   tags: Array<string>,       // Parts of Open Food Facts category tags
+ *   days: { fridge, freezer, pantry },  // Unopened shelf life; null where the product should not be kept
+ *   openedDays: number|null    // Shelf life once opened, null if opening does not matter
+ * }
+ *
+ * Rules are checked in order, so more specific products go before general ones.
+ * Add a rule here to teach the app a new product type.
+ */
+export const SHELF_LIFE_RULES = [
+  // First, so "frozen fish" or "ice cream" is not taken for the fresh product
+  {
+    id: 'frozen',
+    label: 'Frostvarer',
+    keywords: ['frost', 'frossen', 'frosne', 'is', 'frozen', 'ice cream'],
+    tags: ['frozen', 'ice-creams'],
+    days: { fridge: 2, freezer: 180, pantry: null },
+    openedDays: null,
+  },
+  {
+    id: 'milk',
+    label: 'Mælk',
+    keywords: ['mælk', 'kærnemælk', 'milk'],
+    tags: ['milks'],
+    days: { fridge: 8, freezer: 90, pantry: null },
+    openedDays: 4,
+  },
+  {
+    id: 'yoghurt',
+    label: 'Yoghurt og skyr',
+    keywords: ['yoghurt', 'yogurt', 'skyr', 'ymer', 'a38'],
+    tags: ['yogurts', 'fermented-milk'],
+    days: { fridge: 14, freezer: 60, pantry: null },
+    openedDays: 5,
+  },
+  {
+    id: 'cream',
+    label: 'Fløde og creme fraiche',
+    keywords: ['fløde', 'piskefløde', 'madlavningsfløde', 'fraiche', 'cream'],
+    tags: ['creams'],
+    days: { fridge: 10, freezer: 90, pantry: null },
+    openedDays: 4,
+  },
+  {
+    id: 'cheese',
+    label: 'Ost',
+    keywords: ['ost', 'skæreost', 'flødeost', 'cheese', 'mozzarella', 'feta', 'parmesan'],
+    tags: ['cheeses'],
+    days: { fridge: 30, freezer: 180, pantry: null },
+    openedDays: 14,
+  },
+  {
+    id: 'butter',
+    label: 'Smør',
+    keywords: ['smør', 'butter', 'kærgården', 'bregott'],
+    tags: ['butters'],
+    days: { fridge: 60, freezer: 270, pantry: null },
+    openedDays: 30,
+  },
+  {
+    id: 'eggs',
+    label: 'Æg',
+    keywords: ['æg', 'egg', 'eggs'],
+    tags: ['eggs'],
+    days: { fridge: 28, freezer: null, pantry: 21 },
+    openedDays: null,
+  },
+  {
+    id: 'coldCuts',
+    label: 'Pålæg',
+    keywords: ['pålæg', 'skinke', 'salami', 'rullepølse', 'leverpostej', 'ham'],
+    tags: ['hams', 'cold-cuts', 'sausages', 'pates'],
+    days: { fridge: 14, freezer: 60, pantry: null },
+    openedDays: 4,
+  },
+  {
+    id: 'meat',
+    label: 'Fersk kød',
+    keywords: ['kød', 'hakket', 'hakkekød', 'bøf', 'kylling', 'kalkun', 'flæsk', 'meat', 'chicken', 'beef', 'pork'],
+    tags: ['meats', 'poultry'],
+    days: { fridge: 2, freezer: 180, pantry: null },
+    openedDays: null,
+  },
+  {
+    id: 'fish',
+    label: 'Fisk og skaldyr',
+    keywords: ['fisk', 'laks', 'torsk', 'rejer', 'sild', 'fish', 'salmon', 'shrimp'],
+    tags: ['fishes', 'seafood'],
+    days: { fridge: 1, freezer: 90, pantry: null },
+    openedDays: null,
+  },
+  {
+    id: 'bread',
+    label: 'Brød',
+    keywords: ['brød', 'rugbrød', 'boller', 'bolle', 'bagel', 'toast', 'bread', 'wraps', 'tortilla'],
+    tags: ['breads'],
+    days: { fridge: 7, freezer: 90, pantry: 4 },
+    openedDays: null,
+  },
+  {
+    id: 'berries',
+    label: 'Bær',
+    keywords: ['bær', 'jordbær', 'hindbær', 'blåbær', 'berries'],
+    tags: ['berries'],
+    days: { fridge: 4, freezer: 240, pantry: 1 },
+    openedDays: null,
+  },
+  {
+    id: 'fruit',
+    label: 'Frugt',
+    keywords: ['frugt', 'æble', 'æbler', 'banan', 'bananer', 'pære', 'appelsin', 'citron', 'vindruer', 'fruit', 'apple', 'banana'],
+    tags: ['fruits'],
+    days: { fridge: 14, freezer: 240, pantry: 6 },
+    openedDays: null,
+  },
+  {
+    id: 'rootVegetables',
+    label: 'Kartofler og løg',
+    keywords: ['kartoffel', 'kartofler', 'løg', 'rødløg', 'hvidløg', 'potato', 'onion'],
+    tags: ['potatoes', 'onions'],
+    days: { fridge: 30, freezer: null, pantry: 30 },
+    openedDays: null,
+  },
+  {
+    id: 'vegetables',
+    label: 'Grøntsager',
+    keywords: ['grøntsag', 'grøntsager', 'salat', 'gulerod', 'gulerødder', 'agurk', 'tomat', 'tomater', 'peberfrugt', 'broccoli', 'spinat', 'vegetable', 'lettuce'],
+    tags: ['vegetables', 'salads'],
+    days: { fridge: 6, freezer: 240, pantry: 3 },
+    openedDays: null,
+  },
+  {
+    id: 'leftovers',
+    label: 'Rester og færdigretter',
+    keywords: ['rester', 'madpakke', 'færdigret', 'leftovers'],
+    tags: ['meals'],
+    days: { fridge: 3, freezer: 90, pantry: null },
+    openedDays: null,
+  },
+  {
+    id: 'juice',
+    label: 'Juice',
+    keywords: ['juice', 'most', 'smoothie'],
+    tags: ['juices', 'smoothies'],
+    days: { fridge: 14, freezer: 180, pantry: 180 },
+    openedDays: 5,
+  },
+  {
+    id: 'pastaSauces',
+    label: 'Pesto og pastasauce',
+    keywords: ['pesto', 'pastasauce', 'tomatsauce', 'pasta sauce'],
+    tags: ['pestos', 'pasta-sauces'],
+    days: { fridge: 180, freezer: null, pantry: 180 },
+    openedDays: 5,
+  },
+  {
+    id: 'sauces',
+    label: 'Saucer og dressinger',
+    keywords: ['ketchup', 'sennep', 'mayonnaise', 'remoulade', 'dressing', 'sauce'],
+    tags: ['sauces', 'condiments', 'dressings'],
+    days: { fridge: 180, freezer: null, pantry: 180 },
+    openedDays: 60,
+  },
+  {
+    id: 'canned',
+    label: 'Konserves',
+    keywords: ['konserves', 'dåse', 'hakkede tomater', 'canned'],
+    tags: ['canned'],
+    days: { fridge: 365, freezer: null, pantry: 365 },
+    openedDays: 3,
+  },
+  {
+    id: 'dryGoods',
+    label: 'Tørvarer',
+    keywords: ['kaffe', 'te', 'krydderi', 'krydderier', 'mel', 'hvedemel', 'sukker', 'ris', 'pasta', 'havregryn', 'müsli', 'mysli', 'coffee', 'tea', 'flour', 'sugar', 'rice'],
+    tags: ['cereals', 'pastas', 'rices', 'coffees', 'teas', 'flours', 'sugars', 'spices'],
+    days: { fridge: null, freezer: null, pantry: 180 },
+    openedDays: 90,
+  },
+];
+
+// Order of storage locations to fall back on when a rule has no days for the chosen one
+const STORAGE_FALLBACK = ['fridge', 'pantry', 'freezer'];
+
+/**
+ * Work out where a category keeps its items
+ * @param {Object} category - Category with id and name
+ * @returns {'fridge'|'freezer'|'pantry'} Storage location
+ */
+export function getStorageLocation(category) {
+  const text = `${category?.id || ''} ${category?.name || ''}`.toLowerCase();
+  if (/frys|freez/.test(text)) return 'freezer';
+  if (/køl|fridge/.test(text)) return 'fridge';
+  return 'pantry';
+}
+
+/**
+ * Score how well a keyword matches a product name. Danish compounds put the
+ * product type last ("rugbrød", "letmælk"), so a word ending in the keyword
+ * beats one starting with it. Keywords shorter than three letters only match whole words.
+ * @returns {number} 0 for no match, higher is better
+ */
+function scoreKeyword(words, keyword) {
+  if (keyword.includes(' ')) {
+    return words.join(' ').includes(keyword) ? 4 : 0;
+  }
+  let score = 0;
+  words.forEach(word => {
+    if (word === keyword) score = Math.max(score, 3);
+    else if (keyword.length < 3) return;
+    else if (word.endsWith(keyword)) score = Math.max(score, 2);
+    else if (word.startsWith(keyword)) score = Math.max(score, 1);
+  });
+  return score;
+}
+
+/**
+ * Find the rule for a product. Open Food Facts category tags are checked
+ * first, most specific tag first; otherwise the best name match wins.
+ * @param {Object} product - Product to match
+ * @param {string} [product.name] - Product name
+ * @param {Array<string>} [product.categoriesTags] - Open Food Facts category tags
+ * @param {Array} [rules] - Rules to use, defaults to SHELF_LIFE_RULES
+ * @returns {Object|null} Matching rule or null
+ */
+export function findShelfLifeRule({ name = '', categoriesTags = [] }, rules = SHELF_LIFE_RULES) {
+  for (const tag of [...categoriesTags].reverse()) {
+    const rule = rules.find(candidate => candidate.tags.some(part => tag.includes(part)));
+    if (rule) return rule;
+  }
+
+  const words = name.toLowerCase().split(/[^a-z0-9æøåäöüé]+/).filter(Boolean);
+  let best = null;
+  let bestScore = 0;
+  rules.forEach(rule => {
+    const score = Math.max(0, ...rule.keywords.map(keyword => scoreKeyword(words, keyword)));
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Get the rules with the user's overrides applied
+ * @param {Object} [overrides] - settings.shelfLifeOverrides, keyed by rule id
+ * @returns {Array} Rules, each with an `overridden` flag
+ */
+export function getShelfLifeRules(overrides = {}) {
+  return SHELF_LIFE_RULES.map(rule => {
+    const override = overrides[rule.id];
+    if (!override) return { ...rule, overridden: false };
+
+    const days = { ...rule.days };
+    Object.keys(STORAGE_LOCATIONS).forEach(storage => {
+      if (Number.isInteger(override[storage])) days[storage] = override[storage];
+    });
+    return {
+      ...rule,
+      days,
+      openedDays: Number.isInteger(override.opened) ? override.opened : rule.openedDays,
+      overridden: true,
+    };
+  });
+}
+
+/**
+ * Suggest how many days a product keeps
+ * @param {Object} product - Product to suggest for
+ * @param {string} [product.name] - Product name
+ * @param {Array<string>} [product.categoriesTags] - Open Food Facts category tags
+ * @param {Object} [product.category] - Category the item is filed under
+ * @param {boolean} [product.opened] - Whether the package has been opened
+ * @param {Object} [overrides] - settings.shelfLifeOverrides
+ * @returns {{days: number, rule: Object|null, storage: string, opened: boolean, dateType: string}}
+ *   Suggestion; `dateType` is the kind of date the product is expected to carry
+ */
+export function suggestShelfLife({ name, categoriesTags, category, opened = false }, overrides = {}) {
+  const storage = getStorageLocation(category);
+  const rule = findShelfLifeRule({ name, categoriesTags }, getShelfLifeRules(overrides));
+
+  if (!rule) {
+    return { days: DEFAULT_SHELF_LIFE_DAYS[storage], rule: null, storage, opened, dateType: 'bestBefore' };
+  }
+
+  const location = rule.days[storage] != null
+    ? storage
+    : STORAGE_FALLBACK.find(candidate => rule.days[candidate] != null);
+  let days = rule.days[location];
+  // Freezing stops the clock an opened package otherwise runs on
+  if (opened && location !== 'freezer' && rule.openedDays != null) {
+    days = Math.min(days, rule.openedDays);
+  }
+  const dateType = USE_BY_RULE_IDS.includes(rule.id) && location !== 'freezer' ? 'useBy' : 'bestBefore';
+  return { days, rule, storage: location, opened, dateType };
+}
+
+/**
+ * Suggest an expiry date for a product
+ * @param {Object} product - Same as for suggestShelfLife
+ * @param {Object} [overrides] - settings.shelfLifeOverrides
+ * @param {Date} [from] - Day the shelf life counts from, defaults to today
+ * @returns {{date: Date, days: number, rule: Object|null, storage: string, opened: boolean, dateType: string}} Suggestion
+ */
+export function suggestExpiryDate(product, overrides = {}, from = new Date()) {
+  const suggestion = suggestShelfLife(product, overrides);
+  const date = new Date(from);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + suggestion.days);
+  return { ...suggestion, date };
+}
+
+/**
+ * Suggest when an opened package must be used by. Products whose rule says
+ * opening does not matter, unknown products and frozen items get no date.
+ * @param {Object} product - Same as for suggestShelfLife
+ * @param {Object} [overrides] - settings.shelfLifeOverrides
+ * @param {Date} [openedDate] - Day the package was opened, defaults to today
+ * @returns {{date: Date, days: number, rule: Object, storage: string}|null} Suggestion or null
+ */
+export function suggestOpenedExpiryDate(product, overrides = {}, openedDate = new Date()) {
+  const suggestion = suggestShelfLife({ ...product, opened: true }, overrides);
+  if (!suggestion.rule || suggestion.rule.openedDays == null || suggestion.storage === 'freezer') {
+    return null;
+  }
+
+  const date = new Date(openedDate);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + suggestion.rule.openedDays);
+  return { date, days: suggestion.rule.openedDays, rule: suggestion.rule, storage: suggestion.storage };
+}
+
+/**
+ * Describe a suggestion in Danish, e.g. "Mælk i køleskab, 8 dage"
+ * @param {Object} suggestion - Result of suggestShelfLife
+ * @returns {string} Description
+ */
+export function describeShelfLife(suggestion) {
+  const what = suggestion.rule ? suggestion.rule.label : 'Ukendt varetype';
+  const where = STORAGE_LOCATIONS[suggestion.storage].toLowerCase();
+  const opened = suggestion.opened ? ', åbnet' : '';
+  return `${what} i ${where}${opened}, ${suggestion.days} dag${suggestion.days !== 1 ? 'e' : ''}`;
+}
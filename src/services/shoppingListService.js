@@ -1,9 +1,9 @@
 /**
  * Shopping List Service - Manages shopping list items with smart categorization
  */
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, readJSON, writeJSON } from './schemaStorage';
 
-const SHOPPING_LIST_KEY = '@foogood_shopping_list';
+const SHOPPING_LIST_KEY = STORAGE_KEYS.shoppingList;
 
 /**
  * Shopping List Item Structure:
@@ -28,8 +28,7 @@ const SHOPPING_LIST_KEY = '@foogood_shopping_list';
  */
 export async function getShoppingList() {
   try {
-    const stored = await AsyncStorage.getItem(SHOPPING_LIST_KEY);
-    return stored ? JSON.parse(stored) : [];
+    return await readJSON(SHOPPING_LIST_KEY, []);
   } catch (error) {
     console.error('Error loading shopping list:', error);
     return [];
@@ -41,7 +40,7 @@ export async function getShoppingList() {
  */
 async function saveShoppingList(items) {
   try {
-    await AsyncStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(items));
+    await writeJSON(SHOPPING_LIST_KEY, items);
     return true;
   } catch (error) {
     console.error('Error saving shopping list:', error);
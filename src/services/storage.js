@@ -2,8 +2,10 @@
  * Storage service for persisting app data
  */
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS, readJSON, writeJSON } from "./schemaStorage";
 
-const STORAGE_KEY = "expiry_items_v1";
+const STORAGE_KEY = STORAGE_KEYS.items;
+const ARCHIVE_KEY = STORAGE_KEYS.archive;
 
 /**
  * Load items from storage
@@ -11,8 +13,7 @@ const STORAGE_KEY = "expiry_items_v1";
  */
 export async function loadItems() {
   try {
-    const stored = await AsyncStorage.getItem(STORAGE_KEY);
-    return stored ? JSON.parse(stored) : [];
+    return await readJSON(STORAGE_KEY, []);
   } catch (error) {
     console.error("Failed to load items from storage:", error);
     return [];
@@ -26,7 +27,7 @@ export async function loadItems() {
  */
 export async function saveItems(items) {
   try {
-    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    await writeJSON(STORAGE_KEY, items);
   } catch (error) {
     console.error("Failed to save items to storage:", error);
     throw new Error("Kunne ikke gemme data");
@@ -44,4 +45,33 @@ export async function clearStorage() {
     console.error("Failed to clear storage:", error);
     throw new Error("Kunne ikke slette data");
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Load archived (used up) items from storage
+ * @returns {Promise<Array>} Array of archived food items
+ */
+export async function loadArchivedItems() {
+  try {
+    return await readJSON(ARCHIVE_KEY, []);
+  } catch (error) {
+    console.error("Failed to load archived items from storage:", error);
+    return [];
+  }
+}
+
+/**
+ * Move an item into the archive
+ * @param {Object} item - Food item that has been used up
+ * @returns {Promise<void>}
+ */
+export async function archiveItem(item) {
+  try {
+    const archived = await loadArchivedItems();
+    archived.push({ ...item, archivedAt: new Date().toISOString() });
+    await writeJSON(ARCHIVE_KEY, archived);
+  } catch (error) {
+    console.error("Failed to archive item:", error);
+    throw new Error("Kunne ikke arkivere vare");
+  }
+}
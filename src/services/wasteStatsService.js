@@ -0,0 +1,190 @@
+/**
+ * Waste Stats Service - turns the consumption history into waste statistics
+ */
+import { OUTCOMES } from './historyService';
+import { convertQuantity, getItemUnit } from '../utils/units';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const STATS_PERIODS = {
+  week: { label: 'Uge', days: 7 },
+  month: { label: 'Måned', days: 30 },
+};
+
+// Rough Danish supermarket prices (kr/kg) and climate footprints (kg CO2e/kg)
+const PRODUCT_ESTIMATES = [
+  { keywords: ['oksekød', 'bøf', 'hakket', 'lam'], pricePerKg: 130, co2PerKg: 40 },
+  { keywords: ['kød', 'svin', 'pølse', 'bacon', 'skinke', 'meat', 'pork', 'beef'], pricePerKg: 90, co2PerKg: 12 },
+  { keywords: ['kylling', 'chicken', 'kalkun'], pricePerKg: 70, co2PerKg: 6 },
+  { keywords: ['fisk', 'laks', 'torsk', 'rejer', 'fish', 'salmon'], pricePerKg: 150, co2PerKg: 6 },
+  { keywords: ['ost', 'cheese', 'smør', 'butter'], pricePerKg: 90, co2PerKg: 10 },
+  { keywords: ['mælk', 'milk', 'yoghurt', 'fløde', 'skyr'], pricePerKg: 15, co2PerKg: 1.5 },
+  { keywords: ['æg', 'egg'], pricePerKg: 45, co2PerKg: 3 },
+  { keywords: ['brød', 'bread', 'bolle', 'toast', 'bagel'], pricePerKg: 35, co2PerKg: 1 },
+  { keywords: ['frugt', 'fruit', 'æble', 'banan', 'pære', 'bær', 'salat', 'tomat', 'agurk', 'gulerod', 'løg', 'kartoffel', 'grøntsag', 'vegetable'], pricePerKg: 20, co2PerKg: 0.6 },
+];
+
+const DEFAULT_ESTIMATE = { pricePerKg: 40, co2PerKg: 2 };
+
+// Assumed weight when an item is counted rather than weighed
+const COUNT_UNIT_WEIGHT_KG = { stk: 0.25, pakke: 0.5 };
+
+/**
+ * Estimate the weight of a history event in kg
+ */
+function estimateWeightKg(event) {
+  const unit = getItemUnit(event);
+  const qty = Number(event.qty) || 0;
+
+  const kg = convertQuantity(qty, unit, 'kg');
+  if (kg !== null) return kg;
+
+  // Treat liquids as 1 kg per litre
+  const litres = convertQuantity(qty, unit, 'l');
+  if (litres !== null) return litres;
+
+  return qty * (COUNT_UNIT_WEIGHT_KG[unit] || COUNT_UNIT_WEIGHT_KG.stk);
+}
+
+/**
+ * Estimate money and CO2 lost for one event
+ * @param {Object} event - History event
+ * @returns {{money: number, co2: number}} Kroner and kg CO2e
+ */
+export function estimateEventCost(event) {
+  const name = (event.name || '').toLowerCase();
+  const estimate = PRODUCT_ESTIMATES.find(entry =>
+    entry.keywords.some(keyword => name.includes(keyword))
+  ) || DEFAULT_ESTIMATE;
+
+  const weight = estimateWeightKg(event);
+  return {
+    money: weight * estimate.pricePerKg,
+    co2: weight * estimate.co2PerKg,
+  };
+}
+
+/**
+ * Work out how much of its item each outcome event stands for. An item used
+ * up in several steps logs an event per step; together they count as one
+ * item, split by the quantity each event removed.
+ * @param {Array} history - All history events
+ * @returns {Map} Outcome event to its share of an item, 0-1
+ */
+function getItemShares(history) {
+  const eventsByItem = {};
+  history.forEach(event => {
+    if (!OUTCOMES[event.outcome]) return;
+    const key = event.itemId || event.id;
+    (eventsByItem[key] = eventsByItem[key] || []).push(event);
+  });
+
+  const shares = new Map();
+  Object.values(eventsByItem).forEach(events => {
+    const unit = getItemUnit(events[0]);
+    const amounts = events.map(event => {
+      const qty = Number(event.qty) || 0;
+      return convertQuantity(qty, getItemUnit(event), unit) ?? qty;
+    });
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    events.forEach((event, index) => {
+      shares.set(event, total > 0 ? amounts[index] / total : 1 / events.length);
+    });
+  });
+  return shares;
+}
+
+// Items the events stand for
+function countItems(events, shares) {
+  return events.reduce((sum, event) => sum + (shares.get(event) || 0), 0);
+}
+
+function roundCount(count) {
+  return Math.round(count * 10) / 10;
+}
+
+/**
+ * Rank events by a key, most items first
+ */
+function topBy(events, keyOf, limit, shares) {
+  const counts = {};
+  events.forEach(event => {
+    const key = keyOf(event);
+    if (!key) return;
+    counts[key] = (counts[key] || 0) + (shares.get(event) || 0);
+  });
+
+  return Object.entries(counts)
+    .map(([key, count]) => ({ key, count: roundCount(count) }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Compute waste statistics for a period. Counts are items, not events: the
+ * events of an item used up in several steps add up to one.
+ * @param {Array} history - All history events
+ * @param {Array} categories - Categories for resolving names and icons
+ * @param {string} period - 'week' or 'month'
+ * @param {number} [trendLength] - Number of periods in the trend
+ * @returns {Object} Statistics for the current period plus a trend over previous periods
+ */
+export function computeWasteStats(history, categories, period = 'week', trendLength = 6) {
+  const periodMs = (STATS_PERIODS[period] || STATS_PERIODS.week).days * DAY_MS;
+  const now = Date.now();
+  const inPeriod = (event, index) => {
+    const age = now - new Date(event.date).getTime();
+    return age >= index * periodMs && age < (index + 1) * periodMs;
+  };
+
+  const shares = getItemShares(history);
+  const current = history.filter(event => inPeriod(event, 0));
+  const eaten = current.filter(event => event.outcome === 'eaten');
+  const wasted = current.filter(event => event.outcome === 'discarded');
+
+  const cost = wasted.reduce((sum, event) => {
+    const eventCost = estimateEventCost(event);
+    return { money: sum.money + eventCost.money, co2: sum.co2 + eventCost.co2 };
+  }, { money: 0, co2: 0 });
+
+  const allWasted = history.filter(event => event.outcome === 'discarded');
+
+  const topProducts = topBy(allWasted, event => event.name?.trim().toLowerCase(), 5, shares)
+    .map(({ key, count }) => ({
+      name: allWasted.find(event => event.name?.trim().toLowerCase() === key).name,
+      count
+    }));
+
+  const topCategories = topBy(allWasted, event => event.categoryId, 3, shares)
+    .map(({ key, count }) => {
+      const category = categories.find(cat => cat.id === key);
+      return { id: key, name: category?.name || 'Ukendt', icon: category?.icon || '📦', count };
+    });
+
+  // Oldest period first so the trend reads left to right
+  const trend = Array.from({ length: trendLength }, (_, i) => trendLength - 1 - i).map(index => {
+    const events = history.filter(event => inPeriod(event, index));
+    return {
+      index,
+      eaten: roundCount(countItems(events.filter(event => event.outcome === 'eaten'), shares)),
+      wasted: roundCount(countItems(events.filter(event => event.outcome === 'discarded'), shares)),
+    };
+  });
+
+  const eatenCount = countItems(eaten, shares);
+  const wastedCount = countItems(wasted, shares);
+  const handled = eatenCount + wastedCount;
+
+  return {
+    eatenCount: roundCount(eatenCount),
+    wastedCount: roundCount(wastedCount),
+    givenAwayCount: roundCount(countItems(current.filter(event => event.outcome === 'given_away'), shares)),
+    frozenCount: roundCount(countItems(current.filter(event => event.outcome === 'frozen'), shares)),
+    wasteRate: handled > 0 ? Math.round((wastedCount / handled) * 100) : 0,
+    moneyLost: Math.round(cost.money),
+    co2Lost: Math.round(cost.co2 * 10) / 10,
+    topProducts,
+    topCategories,
+    trend,
+  };
+}
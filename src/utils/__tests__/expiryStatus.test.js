@@ -0,0 +1,80 @@
+import {
+  getItemDateType,
+  getEffectiveDateType,
+  getWarningDays,
+  getStatusForDays,
+  getExpiryStatus,
+  getExpiryGroup,
+  isExpiringSoon,
+  needsAttention,
+} from '../expiryStatus';
+
+const day = new Date(2026, 9, 19);
+
+describe('getStatusForDays', () => {
+  it('marks a passed use-by date as expired', () => {
+    expect(getStatusForDays(-1, 'useBy')).toMatchObject({ key: 'expired', daysLeft: -1, dateType: 'useBy' });
+  });
+
+  it('asks to check a passed best-before date instead', () => {
+    expect(getStatusForDays(-3, 'bestBefore')).toMatchObject({ key: 'check', label: 'Tjek før brug' });
+  });
+
+  it('marks the last day for both date types', () => {
+    expect(getStatusForDays(0, 'useBy')).toMatchObject({ key: 'today', label: 'Sidste dag!' });
+    expect(getStatusForDays(0, 'bestBefore')).toMatchObject({ key: 'today', label: 'I dag' });
+  });
+
+  it('warns a day later for best-before dates', () => {
+    expect(getStatusForDays(2, 'useBy', 2).key).toBe('soon');
+    expect(getStatusForDays(2, 'bestBefore', 2).key).toBe('fresh');
+    expect(getStatusForDays(1, 'bestBefore', 2)).toMatchObject({ key: 'soon', label: '1 dag' });
+  });
+
+  it('falls back to use-by for unknown date types', () => {
+    expect(getStatusForDays(-1, 'unknown').key).toBe('expired');
+  });
+});
+
+describe('getWarningDays', () => {
+  it('prefers the category, then settings, then the default', () => {
+    expect(getWarningDays({ warningDays: 5 }, { expiryWarningDays: 3 })).toBe(5);
+    expect(getWarningDays({ warningDays: 0 }, { expiryWarningDays: 3 })).toBe(0);
+    expect(getWarningDays({}, { expiryWarningDays: 3 })).toBe(3);
+    expect(getWarningDays(undefined, undefined)).toBe(2);
+  });
+});
+
+describe('getExpiryStatus', () => {
+  const categories = [{ id: 'fridge', warningDays: 1 }];
+
+  it('uses the category warning window', () => {
+    const item = { categoryId: 'fridge', expiryDate: '2026-10-21', dateType: 'useBy' };
+    expect(getExpiryStatus(item, { day }).key).toBe('soon');
+    expect(getExpiryStatus(item, { categories, day }).key).toBe('fresh');
+  });
+
+  it('treats an earlier opened shelf life as a use-by date', () => {
+    const item = { expiryDate: '2026-12-01', dateType: 'bestBefore', openedExpiryDate: '2026-10-18' };
+    expect(getEffectiveDateType(item)).toBe('useBy');
+    expect(getExpiryStatus(item, { day })).toMatchObject({ key: 'expired', daysLeft: -1 });
+  });
+
+  it('defaults items saved without a date type to use-by', () => {
+    expect(getItemDateType({ expiryDate: '2026-10-18' })).toBe('useBy');
+    expect(getItemDateType({ dateType: 'bestBefore' })).toBe('bestBefore');
+  });
+});
+
+describe('status helpers', () => {
+  it('tells which statuses need attention', () => {
+    expect(isExpiringSoon(getStatusForDays(0))).toBe(true);
+    expect(isExpiringSoon(getStatusForDays(-1, 'bestBefore'))).toBe(false);
+    expect(needsAttention(getStatusForDays(-1, 'bestBefore'))).toBe(true);
+    expect(needsAttention(getStatusForDays(10))).toBe(false);
+  });
+
+  it('groups by days left', () => {
+    expect([0, 1, 6, 7].map(daysLeft => getExpiryGroup(daysLeft).key)).toEqual(['today', 'tomorrow', 'thisWeek', 'later']);
+  });
+});
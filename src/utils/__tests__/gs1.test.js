@@ -0,0 +1,87 @@
+import { isValidGtin, parseGS1Date, parseGS1Elements, parseGS1Barcode } from '../gs1';
+
+const GS = '\u001d';
+const GTIN = '05712345678909';
+
+describe('isValidGtin', () => {
+  it('checks the mod-10 check digit', () => {
+    expect(isValidGtin(GTIN)).toBe(true);
+    expect(isValidGtin('5712345678909')).toBe(true);
+    expect(isValidGtin('05712345678906')).toBe(false);
+  });
+
+  it('rejects lengths that are not GTINs', () => {
+    expect(isValidGtin('12345')).toBe(false);
+    expect(isValidGtin('abcdefgh')).toBe(false);
+  });
+});
+
+describe('parseGS1Date', () => {
+  it('reads YYMMDD dates', () => {
+    expect(parseGS1Date('260131')).toBe('2026-01-31');
+  });
+
+  it('reads day 00 as the last day of the month', () => {
+    expect(parseGS1Date('280200')).toBe('2028-02-29');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseGS1Date('261301')).toBeNull();
+    expect(parseGS1Date('260231')).toBeNull();
+    expect(parseGS1Date('2601')).toBeNull();
+  });
+});
+
+describe('parseGS1Elements', () => {
+  it('splits fixed and variable length elements', () => {
+    expect(parseGS1Elements(`01${GTIN}10AB12${GS}17260131`)).toEqual({
+      '01': GTIN,
+      '10': 'AB12',
+      '17': '260131',
+    });
+  });
+
+  it('reads the human readable form and symbology prefixes', () => {
+    const expected = { '01': GTIN, '17': '260131', '10': 'AB12' };
+    expect(parseGS1Elements(`(01)${GTIN}(17)260131(10)AB12`)).toEqual(expected);
+    expect(parseGS1Elements(`]d201${GTIN}17260131${GS}10AB12`)).toEqual(expected);
+  });
+
+  it('reads measures and company internal elements', () => {
+    expect(parseGS1Elements(`01${GTIN}3103001250${GS}91XYZ`)).toEqual({
+      '01': GTIN,
+      '3103': '001250',
+      '91': 'XYZ',
+    });
+  });
+
+  it('returns null for unknown identifiers or truncated data', () => {
+    expect(parseGS1Elements(`01${GTIN}8008123`)).toBeNull();
+    expect(parseGS1Elements('0105712345')).toBeNull();
+    expect(parseGS1Elements('')).toBeNull();
+  });
+});
+
+describe('parseGS1Barcode', () => {
+  it('returns the EAN-13 barcode, dates and batch', () => {
+    expect(parseGS1Barcode(`01${GTIN}15260210${GS}10LOT7`)).toEqual({
+      gtin: GTIN,
+      barcode: '5712345678909',
+      expiryDate: '2026-02-10',
+      useByDate: null,
+      bestBeforeDate: '2026-02-10',
+      batch: 'LOT7',
+      elements: { '01': GTIN, '15': '260210', '10': 'LOT7' },
+    });
+  });
+
+  it('prefers the use-by date as the expiry date', () => {
+    expect(parseGS1Barcode(`01${GTIN}1526021017260205`).expiryDate).toBe('2026-02-05');
+  });
+
+  it('leaves plain EAN codes and invalid GTINs to the ordinary barcode path', () => {
+    expect(parseGS1Barcode('5712345678909')).toBeNull();
+    expect(parseGS1Barcode('0105712345678906')).toBeNull();
+    expect(parseGS1Barcode('10AB12')).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { normalizeSearchText, fuzzyMatch, countActiveFilters, filterPantryItems, DEFAULT_PANTRY_FILTERS } from '../pantryList';
+import { formatDate } from '../dateUtils';
+
+function inDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return formatDate(date);
+}
+
+const items = [
+  { id: '1', name: 'Hakkede tomater', qty: 2, unit: 'stk', expiryDate: inDays(30), categoryId: 'pantry', createdAt: '2026-10-01T00:00:00Z', barcode: '5712345678909' },
+  { id: '2', name: 'Mælk', qty: 1, unit: 'l', expiryDate: inDays(1), categoryId: 'fridge', createdAt: '2026-10-10T00:00:00Z', openedDate: inDays(-1) },
+  { id: '3', name: 'Yoghurt', qty: 500, unit: 'g', expiryDate: inDays(-2), dateType: 'useBy', categoryId: 'fridge', createdAt: '2026-10-05T00:00:00Z' },
+  { id: '4', name: 'Crème fraîche', qty: 0.2, unit: 'kg', expiryDate: inDays(-1), dateType: 'bestBefore', categoryId: 'fridge', createdAt: '2026-10-03T00:00:00Z' },
+];
+
+const names = entries => entries.map(({ item }) => item.name);
+
+describe('normalizeSearchText', () => {
+  it('strips accents, case and punctuation but keeps æ and ø', () => {
+    expect(normalizeSearchText('Crème Fraîche 18%')).toBe('creme fraiche 18');
+    expect(normalizeSearchText('  Rødkål, hakket ')).toBe('rødkal hakket');
+  });
+});
+
+describe('fuzzyMatch', () => {
+  it('matches parts of words in any order', () => {
+    expect(fuzzyMatch('tom hak', 'Hakkede tomater')).toBe(true);
+    expect(fuzzyMatch('creme', 'Crème fraîche')).toBe(true);
+  });
+
+  it('matches abbreviations anchored on the first letter', () => {
+    expect(fuzzyMatch('hkd', 'Hakkede tomater')).toBe(true);
+    expect(fuzzyMatch('kd', 'Hakkede tomater')).toBe(false);
+  });
+
+  it('allows one typo in longer words', () => {
+    expect(fuzzyMatch('tomaetr', 'Hakkede tomater')).toBe(true);
+    expect(fuzzyMatch('mlæk', 'Mælk')).toBe(true);
+    expect(fuzzyMatch('tamotre', 'Hakkede tomater')).toBe(false);
+  });
+
+  it('requires every search word to match', () => {
+    expect(fuzzyMatch('mælk ost', 'Mælk')).toBe(false);
+    expect(fuzzyMatch('  ', 'Mælk')).toBe(true);
+  });
+});
+
+describe('countActiveFilters', () => {
+  it('counts narrowing filters but not the sort order', () => {
+    expect(countActiveFilters(DEFAULT_PANTRY_FILTERS)).toBe(0);
+    expect(countActiveFilters({ ...DEFAULT_PANTRY_FILTERS, status: 'soon', barcode: 'withBarcode', sortBy: 'name' })).toBe(2);
+  });
+});
+
+describe('filterPantryItems', () => {
+  it('sorts by expiry by default and returns each status', () => {
+    const entries = filterPantryItems(items);
+    expect(names(entries)).toEqual(['Yoghurt', 'Crème fraîche', 'Mælk', 'Hakkede tomater']);
+    expect(entries.map(({ status }) => status.key)).toEqual(['expired', 'check', 'soon', 'fresh']);
+  });
+
+  it('counts passed best-before items as expired', () => {
+    const filters = { ...DEFAULT_PANTRY_FILTERS, status: 'expired' };
+    expect(names(filterPantryItems(items, { filters }))).toEqual(['Yoghurt', 'Crème fraîche']);
+  });
+
+  it('combines search, category, opened and barcode filters', () => {
+    expect(names(filterPantryItems(items, { query: 'mlk' }))).toEqual(['Mælk']);
+    expect(names(filterPantryItems(items, { filters: { ...DEFAULT_PANTRY_FILTERS, categoryId: 'fridge', opened: 'unopened' } })))
+      .toEqual(['Yoghurt', 'Crème fraîche']);
+    expect(names(filterPantryItems(items, { filters: { ...DEFAULT_PANTRY_FILTERS, barcode: 'withBarcode' } })))
+      .toEqual(['Hakkede tomater']);
+  });
+
+  it('sorts quantities across units and newest first', () => {
+    const byQuantity = filterPantryItems(items, { filters: { ...DEFAULT_PANTRY_FILTERS, sortBy: 'quantity' } });
+    expect(names(byQuantity)).toEqual(['Mælk', 'Yoghurt', 'Crème fraîche', 'Hakkede tomater']);
+    const byAdded = filterPantryItems(items, { filters: { ...DEFAULT_PANTRY_FILTERS, sortBy: 'added' } });
+    expect(names(byAdded)).toEqual(['Mælk', 'Yoghurt', 'Crème fraîche', 'Hakkede tomater']);
+  });
+
+  it('uses the warning window from settings', () => {
+    const filters = { ...DEFAULT_PANTRY_FILTERS, status: 'soon' };
+    expect(names(filterPantryItems(items, { filters, settings: { expiryWarningDays: 0 } }))).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  normalizeUnit,
+  getItemUnit,
+  areUnitsCompatible,
+  convertQuantity,
+  parseQuantity,
+  formatQuantity,
+  getUnitStep,
+} from '../units';
+
+describe('normalizeUnit', () => {
+  it('accepts keys, case and trailing dots', () => {
+    expect(normalizeUnit('KG')).toBe('kg');
+    expect(normalizeUnit(' stk. ')).toBe('stk');
+  });
+
+  it('maps aliases and rejects unknown units', () => {
+    expect(normalizeUnit('Liter')).toBe('l');
+    expect(normalizeUnit('pakker')).toBe('pakke');
+    expect(normalizeUnit('spsk')).toBeNull();
+    expect(normalizeUnit('')).toBeNull();
+  });
+});
+
+describe('getItemUnit', () => {
+  it('falls back to stk for items without a known unit', () => {
+    expect(getItemUnit({ unit: 'gram' })).toBe('g');
+    expect(getItemUnit({})).toBe('stk');
+    expect(getItemUnit(null)).toBe('stk');
+  });
+});
+
+describe('convertQuantity', () => {
+  it('converts within a dimension without floating point noise', () => {
+    expect(convertQuantity(250, 'g', 'kg')).toBe(0.25);
+    expect(convertQuantity(3, 'dl', 'l')).toBe(0.3);
+    expect(convertQuantity(1.5, 'l', 'ml')).toBe(1500);
+  });
+
+  it('refuses to convert between dimensions', () => {
+    expect(areUnitsCompatible('g', 'ml')).toBe(false);
+    expect(areUnitsCompatible('stk', 'pakke')).toBe(false);
+    expect(convertQuantity(1, 'stk', 'g')).toBeNull();
+  });
+});
+
+describe('parseQuantity', () => {
+  it('reads amounts with and without units', () => {
+    expect(parseQuantity('500g')).toEqual({ qty: 500, unit: 'g' });
+    expect(parseQuantity('1,5 l')).toEqual({ qty: 1.5, unit: 'l' });
+    expect(parseQuantity('2')).toEqual({ qty: 2, unit: null });
+  });
+
+  it('returns null for text without an amount', () => {
+    expect(parseQuantity('lidt')).toBeNull();
+    expect(parseQuantity(undefined)).toBeNull();
+  });
+});
+
+describe('formatQuantity and getUnitStep', () => {
+  it('formats in Danish notation', () => {
+    expect(formatQuantity(1.5, 'l')).toBe('1,5 l');
+    expect(formatQuantity(undefined, 'foo')).toBe('0 foo');
+  });
+
+  it('uses the unit step, or 1 for unknown units', () => {
+    expect(getUnitStep('g')).toBe(100);
+    expect(getUnitStep('foo')).toBe(1);
+  });
+});
@@ -43,4 +43,40 @@ export function parseISOorEmpty(date) {
  */
 export function daysUntilExpiry(expiryDate) {
   return daysBetween(new Date(), new Date(expiryDate));
-}
\ No newline at end of file
+}
+
+/**
+ * Get the date an item must be used by: the printed expiry date, or the
+ * opened shelf life when the package is open and that runs out first
+ * @param {Object} item - Food item
+ * @returns {string} ISO date string
+ */
+export function getEffectiveExpiryDate(item) {
+  if (item.openedExpiryDate && item.openedExpiryDate < item.expiryDate) {
+    return item.openedExpiryDate;
+  }
+  return item.expiryDate;
+}
+
+/**
+ * Turn a time of day stored as "HH:MM" into a Date on a given day
+ * @param {string} time - Time of day, e.g. "18:00"
+ * @param {Date} [day] - Day to place the time on, defaults to today
+ * @returns {Date} Date at that time
+ */
+export function timeOfDayToDate(time, day = new Date()) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+/**
+ * Format the time of day of a date as "HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Time of day
+ */
+export function formatTimeOfDay(date) {
+  const dt = new Date(date);
+  return `${String(dt.getHours()).padStart(2, "0")}:${String(dt.getMinutes()).padStart(2, "0")}`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Expiry status utilities - how urgent an item's date is, by date type
+ */
+import { COLORS } from './theme';
+import { daysBetween, getEffectiveExpiryDate } from './dateUtils';
+
+/**
+ * Date types printed on Danish food labels. A use-by date ("sidste
+ * anvendelsesdag") is a safety limit; a best-before date ("bedst før",
+ * "mindst holdbar til") only promises quality, so the food is often fine
+ * after it. `warningOffset` moves the warning window for the type: best-before
+ * items are warned about a day later than use-by items.
+ */
+export const DATE_TYPES = {
+  useBy: {
+    label: 'Sidste anvendelsesdag',
+    shortLabel: 'Sidste anv.',
+    icon: '⛔',
+    warningOffset: 0,
+  },
+  bestBefore: {
+    label: 'Bedst før',
+    shortLabel: 'Bedst før',
+    icon: '👃',
+    warningOffset: -1,
+  },
+};
+
+// Items saved before date types existed keep the strict handling they had (see
+// the version 4 migration). New items get theirs from the shelf-life suggestion.
+export const DEFAULT_DATE_TYPE = 'useBy';
+
+export const DATE_TYPE_OPTIONS = Object.keys(DATE_TYPES);
+
+// Days ahead an item counts as expiring soon, unless settings or its category say otherwise
+export const DEFAULT_WARNING_DAYS = 2;
+
+export const WARNING_DAY_OPTIONS = [1, 2, 3, 5, 7];
+
+/**
+ * Sections expiring items are grouped into, in order. `maxDays` is the last
+ * day (counted from today) that falls in the section.
+ */
+export const EXPIRY_GROUPS = [
+  { key: 'today', label: 'I dag', maxDays: 0 },
+  { key: 'tomorrow', label: 'I morgen', maxDays: 1 },
+  { key: 'thisWeek', label: 'Denne uge', maxDays: 6 },
+  { key: 'later', label: 'Senere', maxDays: Infinity },
+];
+
+// Color for best-before items past their date that should be looked at first
+const CHECK_COLOR = '#8b5cf6';
+
+/**
+ * Expiry Status Structure:
+ * {
+ *   key: 'fresh'|'soon'|'today'|'expired'|'check',
+ *   daysLeft: number,     // Negative once the date has passed
+ *   dateType: string,     // DATE_TYPES key the status was worked out for
+ *   warningDays: number,  // Warning window the status was worked out with
+ *   color: string,
+ *   label: string,        // Short text for badges
+ *   hint: string|null     // What to do, shown next to urgent items
+ * }
+ *
+ * 'check' is a best-before item past its date: not expired, but to be
+ * looked at, smelled and tasted before eating.
+ */
+
+/**
+ * Get an item's date type, defaulting for items saved without one
+ * @param {Object} item - Food item
+ * @returns {string} DATE_TYPES key
+ */
+export function getItemDateType(item) {
+  return DATE_TYPES[item?.dateType] ? item.dateType : DEFAULT_DATE_TYPE;
+}
+
+/**
+ * Get the date type that applies to an item's effective expiry date. The
+ * shelf life of an opened package is a limit like a use-by date.
+ * @param {Object} item - Food item
+ * @returns {string} DATE_TYPES key
+ */
+export function getEffectiveDateType(item) {
+  return getEffectiveExpiryDate(item) !== item.expiryDate ? 'useBy' : getItemDateType(item);
+}
+
+/**
+ * Get how many days ahead an item counts as expiring soon
+ * @param {Object} [category] - The item's category; its own warningDays wins when set
+ * @param {Object} [settings] - App settings, for settings.expiryWarningDays
+ * @returns {number} Warning window in days
+ */
+export function getWarningDays(category, settings) {
+  if (Number.isInteger(category?.warningDays)) return category.warningDays;
+  return Number.isInteger(settings?.expiryWarningDays) ? settings.expiryWarningDays : DEFAULT_WARNING_DAYS;
+}
+
+/**
+ * Work out the status for a number of days left
+ * @param {number} daysLeft - Days until the date, negative once passed
+ * @param {string} [dateType] - DATE_TYPES key
+ * @param {number} [warningDays] - Warning window, see getWarningDays
+ * @returns {Object} Expiry status
+ */
+export function getStatusForDays(daysLeft, dateType = DEFAULT_DATE_TYPE, warningDays = DEFAULT_WARNING_DAYS) {
+  const type = DATE_TYPES[dateType] ? dateType : DEFAULT_DATE_TYPE;
+  const isUseBy = type === 'useBy';
+  const status = { daysLeft, dateType: type, warningDays };
+
+  if (daysLeft < 0) {
+    return isUseBy
+      ? { ...status, key: 'expired', color: COLORS.danger, label: 'Udløbet', hint: 'Kassér – må ikke spises efter datoen' }
+      : { ...status, key: 'check', color: CHECK_COLOR, label: 'Tjek før brug', hint: 'Se, lugt og smag før du spiser den' };
+  }
+  if (daysLeft === 0) {
+    return isUseBy
+      ? { ...status, key: 'today', color: COLORS.danger, label: 'Sidste dag!', hint: 'Skal bruges i dag' }
+      : { ...status, key: 'today', color: COLORS.warning, label: 'I dag', hint: 'Bedst i dag, men ofte god længere' };
+  }
+  if (daysLeft <= Math.max(warningDays + DATE_TYPES[type].warningOffset, 0)) {
+    return { ...status, key: 'soon', color: COLORS.warning, label: daysLeft === 1 ? '1 dag' : `${daysLeft} dage`, hint: null };
+  }
+  return { ...status, key: 'fresh', color: COLORS.success, label: `${daysLeft} dage`, hint: null };
+}
+
+/**
+ * Get the color for a number of days left
+ * @param {number} daysLeft - Days until the date, negative once passed
+ * @param {string} [dateType] - DATE_TYPES key
+ * @param {number} [warningDays] - Warning window, see getWarningDays
+ * @returns {string} Hex color code
+ */
+export function getStatusColor(daysLeft, dateType, warningDays) {
+  return getStatusForDays(daysLeft, dateType, warningDays).color;
+}
+
+/**
+ * Work out an item's expiry status from its effective expiry date
+ * @param {Object} item - Food item
+ * @param {Object} [context] - What the status depends on
+ * @param {Array} [context.categories] - Categories, for the item's own warning window
+ * @param {Object} [context.settings] - App settings, for the global warning window
+ * @param {Date} [context.day] - Day to judge from, defaults to today
+ * @returns {Object} Expiry status
+ */
+export function getExpiryStatus(item, { categories = [], settings, day = new Date() } = {}) {
+  const category = categories.find(cat => cat.id === item.categoryId);
+  const daysLeft = daysBetween(day, new Date(getEffectiveExpiryDate(item) + 'T00:00:00'));
+  return getStatusForDays(daysLeft, getEffectiveDateType(item), getWarningDays(category, settings));
+}
+
+/**
+ * Whether an item is inside its warning window and not yet past its date
+ * @param {Object} status - Expiry status
+ * @returns {boolean} True for items expiring today or soon
+ */
+export function isExpiringSoon(status) {
+  return status.key === 'soon' || status.key === 'today';
+}
+
+/**
+ * Get the section an item expiring in a number of days is listed under
+ * @param {number} daysLeft - Days until the date, 0 or more
+ * @returns {Object} One of EXPIRY_GROUPS
+ */
+export function getExpiryGroup(daysLeft) {
+  return EXPIRY_GROUPS.find(group => daysLeft <= group.maxDays);
+}
+
+/**
+ * Whether a status should be brought to the user's attention now
+ * @param {Object} status - Expiry status
+ * @returns {boolean} True for items expiring soon or past a best-before date
+ */
+export function needsAttention(status) {
+  return isExpiringSoon(status) || status.key === 'check';
+}
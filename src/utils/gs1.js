@@ -0,0 +1,187 @@
+/**
+ * GS1 element string parser for GS1-128, GS1 DataMatrix and GS1 QR codes
+ */
+import { formatDate } from './dateUtils';
+
+// Group separator, used as FNC1 between variable-length elements
+const GS = '\u001d';
+
+// Symbology identifiers scanners may put in front of the data
+const SYMBOLOGY_PREFIX = /^\](C1|d2|Q3|e0)/;
+
+/**
+ * Application identifiers this parser understands. `length` is a fixed data
+ * length; `maxLength` marks a variable-length element ended by GS or the end.
+ * Identifiers not listed stop parsing, as their length is unknown.
+ */
+const APPLICATION_IDENTIFIERS = {
+  '00': { name: 'sscc', length: 18 },
+  '01': { name: 'gtin', length: 14 },
+  '02': { name: 'contentGtin', length: 14 },
+  '10': { name: 'batch', maxLength: 20 },
+  '11': { name: 'productionDate', length: 6, date: true },
+  '12': { name: 'dueDate', length: 6, date: true },
+  '13': { name: 'packagingDate', length: 6, date: true },
+  '15': { name: 'bestBeforeDate', length: 6, date: true },
+  '16': { name: 'sellByDate', length: 6, date: true },
+  '17': { name: 'useByDate', length: 6, date: true },
+  '20': { name: 'variant', length: 2 },
+  '21': { name: 'serial', maxLength: 20 },
+  '22': { name: 'consumerProductVariant', maxLength: 20 },
+  '30': { name: 'count', maxLength: 8 },
+  '37': { name: 'tradeItemCount', maxLength: 8 },
+  '240': { name: 'additionalId', maxLength: 30 },
+  '241': { name: 'customerPartNumber', maxLength: 30 },
+  '400': { name: 'orderNumber', maxLength: 30 },
+  '422': { name: 'originCountry', length: 3 },
+  '7003': { name: 'expiryDateTime', length: 10 },
+};
+
+// Measures such as net weight (310n) carry a 4-digit identifier whose last digit is the decimal position
+const MEASURE_AI = /^3[1-6]\d\d/;
+
+/**
+ * Find the application identifier at the start of a string
+ * @returns {{ai: string, spec: Object}|null}
+ */
+function matchApplicationIdentifier(text) {
+  const measure = text.match(MEASURE_AI);
+  if (measure) {
+    return { ai: measure[0], spec: { name: `measure${measure[0]}`, length: 6 } };
+  }
+  for (const size of [2, 3, 4]) {
+    const ai = text.slice(0, size);
+    if (APPLICATION_IDENTIFIERS[ai]) {
+      return { ai, spec: APPLICATION_IDENTIFIERS[ai] };
+    }
+  }
+  // Company internal information (90-99) is variable length
+  if (/^9\d/.test(text)) {
+    return { ai: text.slice(0, 2), spec: { name: `internal${text.slice(0, 2)}`, maxLength: 90 } };
+  }
+  return null;
+}
+
+/**
+ * Check the mod-10 check digit of a GTIN
+ * @param {string} gtin - 8, 12, 13 or 14 digits
+ * @returns {boolean} True if the check digit matches
+ */
+export function isValidGtin(gtin) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(gtin)) return false;
+  const digits = gtin.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, digit, index) => acc + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/**
+ * Convert a GS1 YYMMDD date to YYYY-MM-DD. A day of 00 means the last day of the month.
+ * @param {string} value - Six digit date
+ * @returns {string|null} Date or null if invalid
+ */
+export function parseGS1Date(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const year = 2000 + Number(match[1]);
+  const month = Number(match[2]);
+  let day = Number(match[3]);
+  if (month < 1 || month > 12) return null;
+  if (day === 0) {
+    day = new Date(year, month, 0).getDate();
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1) return null;
+  return formatDate(date);
+}
+
+/**
+ * Turn "(01)05712345678906(17)260131(10)AB12" into the raw element string,
+ * with a separator after every variable-length element
+ */
+function fromHumanReadable(text) {
+  const parts = [...text.matchAll(/\((\d{2,4})\)([^(]*)/g)];
+  return parts
+    .map(([, ai, value]) => {
+      const spec = matchApplicationIdentifier(ai)?.spec;
+      return spec && spec.maxLength ? `${ai}${value}${GS}` : `${ai}${value}`;
+    })
+    .join('');
+}
+
+/**
+ * Split a GS1 element string into its application identifiers
+ * @param {string} data - Scanned barcode data
+ * @returns {Object|null} Map of AI to value, or null if the data is not a complete GS1 element string
+ */
+export function parseGS1Elements(data) {
+  let text = String(data || '').trim();
+  if (text.startsWith('(')) {
+    text = fromHumanReadable(text);
+  }
+  text = text.replace(SYMBOLOGY_PREFIX, '');
+  // Some scanners send a leading FNC1 as a separator
+  if (text.startsWith(GS)) text = text.slice(1);
+
+  const elements = {};
+  while (text.length > 0) {
+    const match = matchApplicationIdentifier(text);
+    if (!match) return null;
+
+    const { ai, spec } = match;
+    text = text.slice(ai.length);
+
+    let value;
+    if (spec.length) {
+      value = text.slice(0, spec.length);
+      if (value.length !== spec.length) return null;
+      text = text.slice(spec.length);
+    } else {
+      const end = text.indexOf(GS);
+      value = end === -1 ? text : text.slice(0, end);
+      if (value.length === 0 || value.length > spec.maxLength) return null;
+      text = end === -1 ? '' : text.slice(end);
+    }
+    elements[ai] = value;
+
+    if (text.startsWith(GS)) text = text.slice(1);
+  }
+
+  return Object.keys(elements).length > 0 ? elements : null;
+}
+
+/**
+ * Parse a scanned GS1 barcode into the fields used for an item
+ * @param {string} data - Scanned barcode data
+ * @returns {{gtin: string, barcode: string, expiryDate: string|null, useByDate: string|null,
+ *   bestBeforeDate: string|null, batch: string|null, elements: Object}|null}
+ *   Parsed fields, or null if the code is not GS1 data with a valid GTIN. `barcode` is the
+ *   GTIN in the form used for product lookups; `expiryDate` prefers the use-by date.
+ */
+export function parseGS1Barcode(data) {
+  const text = String(data || '').trim();
+  // Plain EAN/UPC codes are handled as ordinary barcodes
+  if (/^\d{8}$|^\d{12,13}$/.test(text)) return null;
+
+  const elements = parseGS1Elements(text);
+  if (!elements || !elements['01'] || !isValidGtin(elements['01'])) return null;
+
+  const gtin = elements['01'];
+  const useByDate = elements['17'] ? parseGS1Date(elements['17']) : null;
+  const bestBeforeDate = elements['15'] ? parseGS1Date(elements['15']) : null;
+
+  return {
+    gtin,
+    // GTIN-14 with a zero indicator digit is the EAN-13 printed on the pack
+    barcode: gtin.startsWith('0') ? gtin.slice(1) : gtin,
+    expiryDate: useByDate || bestBeforeDate,
+    useByDate,
+    bestBeforeDate,
+    batch: elements['10'] || null,
+    elements,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Pantry list utilities - search, filter and sort the items on the pantry list
+ */
+import { getEffectiveExpiryDate } from './dateUtils';
+import { getExpiryStatus } from './expiryStatus';
+import { UNITS, getItemUnit } from './units';
+
+/**
+ * Status filters and the expiry status keys each covers. Past best-before
+ * items ('check') count as expired here, as on the expiring soon screen.
+ */
+export const STATUS_FILTERS = {
+  expired: { label: 'Udløbet', statusKeys: ['expired', 'check'] },
+  soon: { label: 'Udløber snart', statusKeys: ['today', 'soon'] },
+  fresh: { label: 'Frisk', statusKeys: ['fresh'] },
+};
+
+export const OPENED_FILTERS = {
+  opened: { label: 'Åbnet' },
+  unopened: { label: 'Uåbnet' },
+};
+
+export const BARCODE_FILTERS = {
+  withBarcode: { label: 'Med stregkode' },
+  withoutBarcode: { label: 'Uden stregkode' },
+};
+
+/**
+ * Sort orders. `compare` sorts two items; ties fall back to the name.
+ */
+export const SORT_OPTIONS = {
+  expiry: {
+    label: 'Udløb',
+    compare: (a, b) => new Date(getEffectiveExpiryDate(a)) - new Date(getEffectiveExpiryDate(b)),
+  },
+  name: {
+    label: 'Navn',
+    compare: () => 0,
+  },
+  added: {
+    label: 'Senest tilføjet',
+    compare: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+  },
+  quantity: {
+    label: 'Antal',
+    compare: (a, b) => getBaseQuantity(b) - getBaseQuantity(a),
+  },
+};
+
+/**
+ * Pantry List Filters Structure (settings.pantryList):
+ * {
+ *   categoryId: string|null,   // Category id, null for all categories
+ *   status: string|null,       // STATUS_FILTERS key, null for any status
+ *   opened: string|null,       // OPENED_FILTERS key, null for both
+ *   barcode: string|null,      // BARCODE_FILTERS key, null for both
+ *   sortBy: string             // SORT_OPTIONS key
+ * }
+ *
+ * The search text is not part of it; it only lasts while the list is open.
+ */
+export const DEFAULT_PANTRY_FILTERS = {
+  categoryId: null,
+  status: null,
+  opened: null,
+  barcode: null,
+  sortBy: 'expiry',
+};
+
+// Filter keys that narrow the list, as opposed to ordering it
+const FILTER_KEYS = ['categoryId', 'status', 'opened', 'barcode'];
+
+function getBaseQuantity(item) {
+  return (Number(item.qty) || 0) * UNITS[getItemUnit(item)].factor;
+}
+
+/**
+ * Lowercase text and strip accents and punctuation, so "Crème Fraîche 18%"
+ * and "creme fraiche 18" compare equal
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text, words separated by single spaces
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9æø]+/g, ' ')
+    .trim();
+}
+
+function isSubsequence(needle, haystack) {
+  let index = 0;
+  for (const char of haystack) {
+    if (char === needle[index]) index++;
+    if (index === needle.length) return true;
+  }
+  return false;
+}
+
+// Edit distance counting a swap of two neighbouring letters as one edit
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function matchesWord(token, word) {
+  if (word.includes(token)) return true;
+  // Abbreviations like "hkd" for "hakkede", anchored on the first letter
+  if (token[0] === word[0] && isSubsequence(token, word)) return true;
+  // One typo in longer words, compared against the start of the word
+  return token.length >= 4 && editDistance(token, word.slice(0, token.length)) <= 1;
+}
+
+/**
+ * Fuzzy match a search against a text. Every word of the search has to
+ * match a word of the text, as part of it, as an abbreviation of it or
+ * with a single typo.
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to search, e.g. an item name
+ * @returns {boolean} True if the text matches, or the search is empty
+ */
+export function fuzzyMatch(query, text) {
+  const tokens = normalizeSearchText(query).split(' ').filter(Boolean);
+  if (tokens.length === 0) return true;
+  const words = normalizeSearchText(text).split(' ').filter(Boolean);
+  return tokens.every(token => words.some(word => matchesWord(token, word)));
+}
+
+/**
+ * Count the filters narrowing the list
+ * @param {Object} filters - Pantry list filters
+ * @returns {number} Number of filters set
+ */
+export function countActiveFilters(filters) {
+  return FILTER_KEYS.filter(key => filters[key] != null).length;
+}
+
+/**
+ * Whether an item with its status passes the filters
+ * @param {Object} item - Food item
+ * @param {Object} status - The item's expiry status
+ * @param {Object} filters - Pantry list filters
+ * @returns {boolean} True if the item is kept
+ */
+function passesFilters(item, status, filters) {
+  if (filters.categoryId && item.categoryId !== filters.categoryId) return false;
+  if (STATUS_FILTERS[filters.status] && !STATUS_FILTERS[filters.status].statusKeys.includes(status.key)) return false;
+  if (filters.opened === 'opened' && !item.openedDate) return false;
+  if (filters.opened === 'unopened' && item.openedDate) return false;
+  if (filters.barcode === 'withBarcode' && !item.barcode) return false;
+  if (filters.barcode === 'withoutBarcode' && item.barcode) return false;
+  return true;
+}
+
+/**
+ * Search, filter and sort pantry items
+ * @param {Array} items - Food items
+ * @param {Object} [options] - How to narrow and order the list
+ * @param {string} [options.query] - Search text, fuzzy matched against item names
+ * @param {Object} [options.filters] - Pantry list filters
+ * @param {Array} [options.categories] - Categories, for each item's warning window
+ * @param {Object} [options.settings] - App settings, for the global warning window
+ * @returns {Array} Matching entries as { item, status }, in the chosen order
+ */
+export function filterPantryItems(items, { query = '', filters = DEFAULT_PANTRY_FILTERS, categories = [], settings } = {}) {
+  const sort = SORT_OPTIONS[filters.sortBy] || SORT_OPTIONS[DEFAULT_PANTRY_FILTERS.sortBy];
+  return items
+    .filter(item => fuzzyMatch(query, item.name))
+    .map(item => ({ item, status: getExpiryStatus(item, { categories, settings }) }))
+    .filter(({ item, status }) => passesFilters(item, status, filters))
+    .sort((a, b) => sort.compare(a.item, b.item) || a.item.name.localeCompare(b.item.name, 'da'));
+}
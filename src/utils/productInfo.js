@@ -0,0 +1,145 @@
+/**
+ * Product information utilities - Open Food Facts details stored on items
+ */
+import { parseQuantity, UNITS } from './units';
+
+/**
+ * Product Info Structure (item.productInfo):
+ * {
+ *   brand: string|null,
+ *   quantity: string|null,        // Package size as printed, e.g. "500 g"
+ *   categoriesTags: Array<string>, // e.g. ["en:dairies", "en:milks"]
+ *   allergens: Array<string>,      // e.g. ["en:milk"]
+ *   nutriScore: string|null,       // 'a' to 'e'
+ *   nutriments: Object             // Per 100 g, keyed like NUTRIMENT_FIELDS
+ * }
+ */
+
+// Danish names for the allergens that must be declared in the EU
+const ALLERGEN_LABELS = {
+  'en:gluten': 'Gluten',
+  'en:crustaceans': 'Krebsdyr',
+  'en:eggs': 'Æg',
+  'en:fish': 'Fisk',
+  'en:peanuts': 'Jordnødder',
+  'en:soybeans': 'Soja',
+  'en:milk': 'Mælk',
+  'en:nuts': 'Nødder',
+  'en:celery': 'Selleri',
+  'en:mustard': 'Sennep',
+  'en:sesame-seeds': 'Sesam',
+  'en:sulphur-dioxide-and-sulphites': 'Svovldioxid og sulfitter',
+  'en:lupin': 'Lupin',
+  'en:molluscs': 'Bløddyr',
+};
+
+/**
+ * Nutrition values kept from Open Food Facts, in display order.
+ * `source` is the nutriments key in the Open Food Facts product record.
+ */
+export const NUTRIMENT_FIELDS = [
+  { key: 'energyKcal', source: 'energy-kcal_100g', label: 'Energi', unit: 'kcal' },
+  { key: 'fat', source: 'fat_100g', label: 'Fedt', unit: 'g' },
+  { key: 'saturatedFat', source: 'saturated-fat_100g', label: 'heraf mættede fedtsyrer', unit: 'g' },
+  { key: 'carbohydrates', source: 'carbohydrates_100g', label: 'Kulhydrat', unit: 'g' },
+  { key: 'sugars', source: 'sugars_100g', label: 'heraf sukkerarter', unit: 'g' },
+  { key: 'fiber', source: 'fiber_100g', label: 'Kostfibre', unit: 'g' },
+  { key: 'proteins', source: 'proteins_100g', label: 'Protein', unit: 'g' },
+  { key: 'salt', source: 'salt_100g', label: 'Salt', unit: 'g' },
+];
+
+export const NUTRI_SCORE_COLORS = {
+  a: '#038141',
+  b: '#85bb2f',
+  c: '#fecb02',
+  d: '#ee8100',
+  e: '#e63e11',
+};
+
+// Category tags that mean the product belongs in the freezer or the fridge
+const FROZEN_TAG = /frozen|surgel/;
+const CHILLED_TAG = /dairies|milks|cheeses|yogurts|creams|butters|eggs|meats|poultry|hams|sausages|fishes|seafood|fresh|chilled/;
+
+/**
+ * Pick the nutrition values from an Open Food Facts nutriments record
+ * @param {Object} nutriments - Open Food Facts nutriments
+ * @returns {Object} Numeric values keyed like NUTRIMENT_FIELDS
+ */
+export function mapNutriments(nutriments = {}) {
+  const values = {};
+  NUTRIMENT_FIELDS.forEach(({ key, source }) => {
+    const value = Number(nutriments[source]);
+    if (nutriments[source] !== undefined && nutriments[source] !== '' && Number.isFinite(value)) {
+      values[key] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Get the product details of a lookup result for storing on an item
+ * @param {Object} hit - Lookup result
+ * @returns {Object|null} Product info, or null if the lookup had no details
+ */
+export function getProductInfo(hit) {
+  if (!hit) return null;
+  const info = {
+    brand: hit.brand || null,
+    quantity: hit.quantity || null,
+    categoriesTags: hit.categoriesTags || [],
+    allergens: hit.allergens || [],
+    nutriScore: hit.nutriScore || null,
+    nutriments: hit.nutriments || {},
+  };
+  const hasDetails = info.brand || info.quantity || info.nutriScore
+    || info.categoriesTags.length > 0 || info.allergens.length > 0
+    || Object.keys(info.nutriments).length > 0;
+  return hasDetails ? info : null;
+}
+
+/**
+ * Format an allergen tag in Danish
+ * @param {string} tag - Allergen tag, e.g. "en:milk"
+ * @returns {string} Allergen name
+ */
+export function formatAllergen(tag) {
+  return ALLERGEN_LABELS[tag] || formatTag(tag);
+}
+
+/**
+ * Turn a taxonomy tag like "en:plant-based-foods" into "Plant based foods"
+ * @param {string} tag - Taxonomy tag
+ * @returns {string} Readable name
+ */
+export function formatTag(tag) {
+  const text = String(tag).replace(/^[a-z]{2}:/, '').replace(/-/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Suggest a category from Open Food Facts category tags
+ * @param {Array<string>} categoriesTags - Category tags
+ * @param {Array} categories - The user's categories
+ * @returns {string|null} Category id, or null if no existing category fits
+ */
+export function suggestCategoryId(categoriesTags = [], categories = []) {
+  const tags = categoriesTags.join(' ');
+  let categoryId = null;
+  if (FROZEN_TAG.test(tags)) {
+    categoryId = 'freezer';
+  } else if (CHILLED_TAG.test(tags)) {
+    categoryId = 'fridge';
+  }
+  return categories.some(cat => cat.id === categoryId) ? categoryId : null;
+}
+
+/**
+ * Suggest quantity and unit from the package size
+ * @param {string} quantity - Package size, e.g. "500 g" or "1,5 l"
+ * @returns {{qty: number, unit: string}|null} Suggestion, or null if the size is not in a known unit
+ */
+export function suggestQuantity(quantity) {
+  const parsed = parseQuantity(quantity);
+  if (!parsed || !parsed.unit || !UNITS[parsed.unit] || !(parsed.qty > 0)) return null;
+  return parsed;
+}
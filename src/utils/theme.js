@@ -2,17 +2,6 @@
  * Color utilities for the FooGood app
  */
 
-/**
- * Get status color based on days left until expiry
- * @param {number} daysLeft - Number of days until expiry
- * @returns {string} Hex color code
- */
-export function getStatusColor(daysLeft) {
-  if (daysLeft < 0) return "#ff6b6b";     // Red for expired
-  if (daysLeft <= 2) return "#ffd93d";    // Yellow for expiring soon
-  return "#6bcf7f";                       // Green for fresh
-}
-
 /**
  * Color theme for the app - matching reference image
  */
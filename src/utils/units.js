@@ -0,0 +1,117 @@
+/**
+ * Unit of measure utilities for the FooGood app
+ */
+
+/**
+ * Supported units. Units sharing a dimension can be converted through
+ * their factor to the dimension's base unit (g, ml or stk).
+ * `step` is the amount used by a single "use" action.
+ */
+export const UNITS = {
+  g: { label: 'g', dimension: 'mass', factor: 1, step: 100 },
+  kg: { label: 'kg', dimension: 'mass', factor: 1000, step: 0.1 },
+  ml: { label: 'ml', dimension: 'volume', factor: 1, step: 100 },
+  dl: { label: 'dl', dimension: 'volume', factor: 100, step: 1 },
+  l: { label: 'l', dimension: 'volume', factor: 1000, step: 0.1 },
+  stk: { label: 'stk', dimension: 'count', factor: 1, step: 1 },
+  pakke: { label: 'pakke', dimension: 'package', factor: 1, step: 1 },
+};
+
+export const DEFAULT_UNIT = 'stk';
+
+export const UNIT_OPTIONS = Object.keys(UNITS);
+
+// Spellings seen in user input, Open Food Facts and AI responses
+const UNIT_ALIASES = {
+  gram: 'g', gr: 'g', grams: 'g',
+  kilo: 'kg', kilogram: 'kg',
+  milliliter: 'ml',
+  deciliter: 'dl',
+  liter: 'l', litre: 'l', ltr: 'l',
+  styk: 'stk', stk: 'stk', stykker: 'stk', pcs: 'stk', pc: 'stk',
+  pk: 'pakke', pakker: 'pakke', pakning: 'pakke', pack: 'pakke',
+};
+
+/**
+ * Normalize a unit string to a supported unit key
+ * @param {string} unit - Unit as written (e.g. "Gram", "stk.", "L")
+ * @returns {string|null} Unit key or null if unknown
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return null;
+  const key = String(unit).trim().toLowerCase().replace(/\.$/, '');
+  if (UNITS[key]) return key;
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Get the unit of an item, falling back to the default for older items
+ * @param {Object} item - Food item
+ * @returns {string} Unit key
+ */
+export function getItemUnit(item) {
+  return normalizeUnit(item?.unit) || DEFAULT_UNIT;
+}
+
+/**
+ * Check whether two units can be converted into each other
+ * @param {string} from - Unit key
+ * @param {string} to - Unit key
+ * @returns {boolean} True if units share a dimension
+ */
+export function areUnitsCompatible(from, to) {
+  const a = UNITS[normalizeUnit(from)];
+  const b = UNITS[normalizeUnit(to)];
+  return !!a && !!b && a.dimension === b.dimension;
+}
+
+/**
+ * Convert a quantity between compatible units
+ * @param {number} qty - Quantity in the source unit
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @returns {number|null} Converted quantity or null if units are incompatible
+ */
+export function convertQuantity(qty, from, to) {
+  if (!areUnitsCompatible(from, to)) return null;
+  const result = qty * UNITS[normalizeUnit(from)].factor / UNITS[normalizeUnit(to)].factor;
+  // Avoid floating point noise like 0.30000000000000004
+  return Math.round(result * 1000) / 1000;
+}
+
+/**
+ * Parse a quantity string such as "2 dl", "500g" or "1,5 l"
+ * @param {string} text - Quantity text
+ * @returns {{qty: number, unit: string|null}|null} Parsed quantity or null
+ */
+export function parseQuantity(text) {
+  if (text === null || text === undefined) return null;
+  const match = String(text).trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-zA-ZæøåÆØÅ.]*)/);
+  if (!match) return null;
+
+  return {
+    qty: Number(match[1].replace(',', '.')),
+    unit: match[2] ? normalizeUnit(match[2]) : null,
+  };
+}
+
+/**
+ * Format a quantity with its unit in Danish notation
+ * @param {number} qty - Quantity
+ * @param {string} unit - Unit key
+ * @returns {string} Formatted quantity, e.g. "1,5 l"
+ */
+export function formatQuantity(qty, unit) {
+  const label = UNITS[normalizeUnit(unit)]?.label || unit || DEFAULT_UNIT;
+  const number = Number(qty) || 0;
+  return `${number.toLocaleString('da-DK', { maximumFractionDigits: 2 })} ${label}`;
+}
+
+/**
+ * Amount removed by a single "use" action for a unit
+ * @param {string} unit - Unit key
+ * @returns {number} Step size in the given unit
+ */
+export function getUnitStep(unit) {
+  return UNITS[normalizeUnit(unit)]?.step || 1;
+}